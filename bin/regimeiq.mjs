@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { realpathSync } from "node:fs";
+import { basename } from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import {
+  analyzeHoldings, generateMarketData, parseImportedSeries, buildImportedMarketData, parseTickerList, DATE_PARAM,
+  REGIME_DETECTORS, defaultDetectorParams, FORECAST_MODELS, DEFAULT_MODELS, defaultModelParams,
+  OVERFIT_DEFAULTS, BACKTEST_DEFAULTS, TRANSITION_DEFAULTS, ANALYSIS_TIMEOUT_S, fetchClaudeAnalysis,
+  buildRunBundle, markdownReport, htmlReport,
+} from "../engine/index.mjs";
+
+const DEFAULT_PROXY = "http://localhost:8787";
+const OUTPUT_FORMATS = {
+  json: (bundle) => JSON.stringify(bundle, null, 2),
+  markdown: markdownReport,
+  html: htmlReport,
+};
+
+const USAGE = `Usage: regimeiq (--ticker <list> --start <date> --end <date> | --csv <file>...) [options]
+
+  -t, --ticker <list>     tickers for demo data, e.g. NVDA or "NVDA:0.6, AAPL" for a portfolio;
+                          with --csv, picks and weights the imported series
+      --csv <file>        imported CSV or JSON series (repeat for several)
+      --start <date>      first day, YYYY-MM-DD (defaults to the file's first row with --csv)
+      --end <date>        last day, YYYY-MM-DD (defaults to the file's last row with --csv)
+      --detector <id>     ${Object.keys(REGIME_DETECTORS).join(" | ")} (default hmm)
+      --risk-free <pct>   annual risk-free rate in % (default 0)
+      --models <ids>      comma-separated forecast models (default ${DEFAULT_MODELS.join(",")})
+  -f, --format <fmt>      ${Object.keys(OUTPUT_FORMATS).join(" | ")} (default json: a run bundle the app can reopen)
+  -o, --out <file>        write the report here instead of stdout
+      --ai                add the AI analysis: ANTHROPIC_API_KEY calls the API directly,
+                          otherwise the request goes to the proxy
+      --proxy <url>       analysis proxy (default ${DEFAULT_PROXY})
+      --timeout <s>       AI response timeout in seconds (default ${ANALYSIS_TIMEOUT_S})
+  -h, --help              show this help`;
+
+export class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+export function cliOptions(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        ticker: { type: "string", short: "t" },
+        csv: { type: "string", multiple: true },
+        start: { type: "string" },
+        end: { type: "string" },
+        detector: { type: "string", default: "hmm" },
+        "risk-free": { type: "string", default: "0" },
+        models: { type: "string" },
+        format: { type: "string", short: "f", default: "json" },
+        out: { type: "string", short: "o" },
+        ai: { type: "boolean", default: false },
+        proxy: { type: "string", default: DEFAULT_PROXY },
+        timeout: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (e) {
+    throw new CliError(e.message);
+  }
+  if (values.help) return { help: true };
+
+  const csv = values.csv ?? [];
+  if (!values.ticker && !csv.length) throw new CliError("Pass --ticker for demo data or --csv for an imported series");
+  if (!csv.length && (!values.start || !values.end)) throw new CliError("Demo data needs --start and --end");
+  [values.start, values.end].forEach(d => { if (d && !DATE_PARAM.test(d)) throw new CliError(`"${d}" is not a YYYY-MM-DD date`); });
+  if (values.start && values.end && values.start >= values.end) throw new CliError("--start must be before --end");
+  if (!REGIME_DETECTORS[values.detector]) throw new CliError(`Unknown detector "${values.detector}" — use ${Object.keys(REGIME_DETECTORS).join(", ")}`);
+  const riskFree = Number(values["risk-free"]);
+  if (!Number.isFinite(riskFree)) throw new CliError("--risk-free must be a number");
+  const models = values.models ? values.models.split(",").map(m => m.trim()).filter(Boolean) : DEFAULT_MODELS;
+  const unknown = models.filter(m => !FORECAST_MODELS[m]);
+  if (unknown.length) throw new CliError(`Unknown model${unknown.length > 1 ? "s" : ""} ${unknown.join(", ")} — use ${Object.keys(FORECAST_MODELS).join(", ")}`);
+  if (!OUTPUT_FORMATS[values.format]) throw new CliError(`Unknown format "${values.format}" — use ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+  const timeoutS = values.timeout === undefined ? ANALYSIS_TIMEOUT_S : Number(values.timeout);
+  if (!(timeoutS > 0)) throw new CliError("--timeout must be a positive number of seconds");
+
+  return {
+    help: false,
+    ticker: values.ticker ?? null,
+    csv,
+    startDate: values.start ?? null,
+    endDate: values.end ?? null,
+    detector: values.detector,
+    riskFree,
+    models,
+    format: values.format,
+    out: values.out ?? null,
+    ai: values.ai,
+    proxy: values.proxy.replace(/\/+$/, ""),
+    timeoutS,
+  };
+}
+
+// Mirrors the app's load step: demo series per ticker, or imported files keyed by their ticker,
+// with the date range defaulting to what the files cover.
+async function loadSeries(options) {
+  if (!options.csv.length) {
+    const { holdings, errors } = parseTickerList(options.ticker);
+    if (errors.length) throw new CliError(errors.join("; "));
+    return {
+      holdings, source: "demo", startDate: options.startDate, endDate: options.endDate,
+      series: holdings.map(h => generateMarketData(h.ticker, options.startDate, options.endDate)),
+    };
+  }
+  const imported = {};
+  for (const file of options.csv) {
+    const text = await readFile(file, "utf8").catch(e => { throw new CliError(`Cannot read ${file}: ${e.message}`); });
+    const result = parseImportedSeries(text, basename(file));
+    if (result.errors.length) throw new CliError(result.errors.map(err => `${file}: ${err}`).join("; "));
+    imported[result.ticker] = result;
+  }
+  const { holdings, errors } = parseTickerList(options.ticker ?? Object.keys(imported).join(","));
+  if (errors.length) throw new CliError(errors.join("; "));
+  const missing = holdings.filter(h => !imported[h.ticker]).map(h => h.ticker);
+  if (missing.length) throw new CliError(`No imported file for ${missing.join(", ")} (loaded: ${Object.keys(imported).join(", ")})`);
+  const dates = holdings.flatMap(h => imported[h.ticker].rows.map(r => r.date)).sort();
+  const startDate = options.startDate ?? dates[0], endDate = options.endDate ?? dates[dates.length - 1];
+  const series = holdings.map(h => {
+    const marketData = buildImportedMarketData(imported[h.ticker].rows, h.ticker, startDate, endDate);
+    if (marketData.error) throw new CliError(`${h.ticker}: ${marketData.error}`);
+    return marketData;
+  });
+  return { holdings, source: "import", startDate, endDate, series };
+}
+
+// Returns the process exit code: 0 on success, 1 if the AI analysis failed (the report is still
+// written without it), 2 for bad arguments or data, or an --out path that can't be written.
+export async function runCli(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options, loaded;
+  try {
+    options = cliOptions(argv);
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    stderr.write(`regimeiq: ${e.message}\nRun regimeiq --help for usage.\n`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  try {
+    loaded = await loadSeries(options);
+  } catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    stderr.write(`regimeiq: ${e.message}\n`);
+    return 2;
+  }
+
+  const detectorParams = defaultDetectorParams(options.detector);
+  const modelParams = defaultModelParams();
+  const { data, comparison, error } = analyzeHoldings(loaded.series, loaded.holdings, {
+    detector: options.detector, detectorParams, riskFree: options.riskFree,
+    overfitSettings: OVERFIT_DEFAULTS, backtestSettings: BACKTEST_DEFAULTS, transitionSettings: TRANSITION_DEFAULTS,
+    models: options.models, modelParams,
+  });
+  if (error) {
+    stderr.write(`regimeiq: ${error}\n`);
+    return 2;
+  }
+  stderr.write(`${data.ticker}: ${data.days} days, ${data.regimeSummary.length} regimes (${data.regimeModel.label.toLowerCase()}), return ${data.totalReturn}%, Sharpe ${data.sharpe ?? "n/a"}\n`);
+
+  let analysis = null, code = 0;
+  if (options.ai) {
+    const apiKey = env.ANTHROPIC_API_KEY ?? "";
+    stderr.write(`Requesting AI analysis ${apiKey ? "from the Anthropic API" : `through ${options.proxy}`}…\n`);
+    try {
+      const result = await fetchClaudeAnalysis(data, apiKey, comparison, {
+        timeoutS: options.timeoutS,
+        endpoint: `${options.proxy}/api/analyze`,
+        onRetry: ({ attempt, status, delay }) => stderr.write(`HTTP ${status} — retry ${attempt} in ${(delay / 1000).toFixed(1)}s\n`),
+      });
+      analysis = { subject: data.ticker, text: result.text, report: result.report };
+    } catch (e) {
+      stderr.write(`regimeiq: AI analysis failed (${e.kind ?? "error"}): ${e.message} — writing the report without it\n`);
+      code = 1;
+    }
+  }
+
+  const bundle = buildRunBundle({
+    params: {
+      tickers: options.ticker ?? loaded.holdings.map(h => h.ticker).join(", "),
+      startDate: loaded.startDate,
+      endDate: loaded.endDate,
+      source: loaded.source,
+      detector: options.detector,
+      detectorParams,
+      riskFree: options.riskFree,
+      selectedModels: options.models,
+      modelParams,
+      aiTimeout: options.timeoutS,
+      overfitSettings: OVERFIT_DEFAULTS,
+      backtestSettings: BACKTEST_DEFAULTS,
+      transitionSettings: TRANSITION_DEFAULTS,
+    },
+    data,
+    comparison,
+    analysis,
+  });
+  const text = OUTPUT_FORMATS[options.format](bundle);
+  if (options.out) {
+    try {
+      await writeFile(options.out, text);
+    } catch (e) {
+      stderr.write(`regimeiq: Cannot write ${options.out}: ${e.message}\n`);
+      return 2;
+    }
+    stderr.write(`Wrote ${options.out}\n`);
+  } else {
+    stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+  }
+  return code;
+}
+
+// realpath so the check also holds when npm runs us through a bin symlink.
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,319 @@
+import { FORECAST_METRICS, formatMetric, RISK_METRICS } from "./metrics.mjs";
+import { BACKTEST_RULES, gateNote } from "./backtest.mjs";
+import { comparisonPromptText } from "./portfolio.mjs";
+
+export const REPORT_SECTIONS = [
+  { title: "SIGNAL QUALITY", icon: "◈" },
+  { title: "REGIME ANALYSIS", icon: "◉" },
+  { title: "RISK PROFILE", icon: "⬡" },
+  { title: "OVERFITTING RISK", icon: "▲" },
+  { title: "KEY INSIGHT", icon: "◆" },
+];
+
+// The prompt lists the most recent episodes only; a jittery detector can produce hundreds.
+const TRANSITION_PROMPT_EPISODES = 40;
+
+export function buildAnalysisPrompt(data, comparison = null) {
+  const { ticker, totalReturn, avgVol, signalAccuracy, sharpe, risk, riskFree, regimeSummary, regimeModel, forecastMetrics, overfitting, backtest, models, transitions, days } = data;
+  const regimeText = regimeSummary.map(r =>
+    `${r.name}: avg daily return ${r.actualReturn}%, forecast ${r.forecastReturn}%, vol ${r.avgVol}%, ${r.count} days${r.confidence !== null ? `, label confidence ${r.confidence}%` : ""}`
+  ).join("; ");
+  const metricsLine = (m) => !m ? "insufficient data" :
+    FORECAST_METRICS.map(({ key, label }) => `${label} ${formatMetric(m[key])}`).join(", ") + `, DM vs random walk ${m.dm.stat} (p=${m.dm.pValue})`;
+  const qualityText = [`Overall: ${metricsLine(forecastMetrics.overall)}`,
+    ...regimeSummary.map(r => `${r.name}: ${metricsLine(r.metrics)}`)].join("\n");
+  const riskLine = (m) => !m ? "insufficient data" : RISK_METRICS.map(({ label, get }) => `${label} ${get(m)}`).join(", ");
+  const riskText = [`Overall: ${riskLine(risk)}`, ...regimeSummary.map(r => `${r.name}: ${riskLine(r.risk)}`)].join("\n");
+  const overfitLine = (o) => [
+    o?.dsr ? `signal Sharpe ${o.dsr.sharpe}, deflated Sharpe prob ${o.dsr.dsr} (PSR ${o.dsr.psr}, benchmark Sharpe ${o.dsr.benchmark} over ${o.dsr.trials} trials)` : "DSR n/a",
+    o?.pbo ? `PBO ${o.pbo.pbo} (best-IS Sharpe ${o.pbo.isSharpe} → OOS ${o.pbo.oosSharpe})` : "PBO n/a",
+  ].join(", ");
+  const overfitText = overfitting.settings.mode === "split"
+    ? `${overfitting.settings.inSample}% in-sample split`
+    : `${overfitting.settings.folds}-fold expanding walk-forward`;
+  const overfitDetail = [
+    ...overfitting.windows.map(w => `${w.label} ${w.start}→${w.end}: ${w.overall ? `hit ${w.overall.hitRate}%, IC ${w.overall.ic}, RMSE ${w.overall.rmse}, signal Sharpe ${w.overall.sharpe}` : "n/a"}`),
+    `OOS minus IS: hit rate ${overfitting.degradation.hitRate}pp, IC ${overfitting.degradation.ic}, Sharpe ${overfitting.degradation.sharpe}`,
+    `Overall: ${overfitLine(overfitting.overall)}`,
+    ...regimeSummary.map(r => `${r.name}: ${overfitLine(overfitting.byRegime[r.name])}`),
+  ].join("\n");
+  const perfLine = (p) => `total return ${p.totalReturn}%, ann. return ${p.annReturn}%, ann. vol ${p.annVol}%, Sharpe ${p.sharpe}, max DD ${p.maxDrawdown}%`;
+  const backtestText = backtest && [
+    `Strategy: ${perfLine(backtest.strategy)}`,
+    `Buy-and-hold: ${perfLine(backtest.buyHold)}`,
+    `Trades: ${backtest.trades.count}, win rate ${backtest.trades.winRate ?? "n/a"}%, avg trade ${backtest.trades.avgReturn ?? "n/a"}%, avg hold ${backtest.trades.avgDays ?? "n/a"}d, turnover ${backtest.trades.turnover}x equity/yr, exposure ${backtest.trades.exposure}%, costs paid ${backtest.trades.costs}%`,
+    ...regimeSummary.map(r => {
+      const a = backtest.byRegime[r.name];
+      return `${r.name}: net P&L ${a.net}% (gross ${a.gross}%, costs ${a.costs}%), buy-and-hold ${a.buyHold}%, exposure ${a.exposure}%, hit rate ${a.hitRate ?? "n/a"}%`;
+    }),
+  ].join("\n");
+  const backtestRule = backtest && [
+    BACKTEST_RULES[backtest.settings.rule].description.toLowerCase(),
+    backtest.settings.rule === "threshold" && `threshold ${backtest.settings.threshold}%`,
+    backtest.settings.rule === "volTarget" && `target vol ${backtest.settings.targetVol}%, max leverage ${backtest.settings.maxLeverage}x`,
+    backtest.settings.gate.length && `flat after ${backtest.settings.gate.join("/")} days`,
+    `costs ${backtest.settings.commission} bps commission + ${backtest.settings.slippage} bps slippage per unit traded`,
+    `turnover cap ${backtest.settings.maxTurnover}%/day`,
+  ].filter(Boolean).join("; ");
+  const windowLine = (m) => m ? `hit ${m.hitRate}%, IC ${m.ic}, RMSE ${m.rmse}, signal Sharpe ${m.sharpe} (${m.days} days)` : "n/a";
+  const transitionText = transitions && (() => {
+    const { matrix, durations, current, switches } = transitions;
+    const d = (x) => x ?? "n/a";
+    return [
+      ...transitions.regimes.map(a => `From ${a}: ${transitions.regimes.map(b => `→${b} ${d(matrix.probs[a][b])}`).join(", ")}`),
+      ...transitions.regimes.map(name => {
+        const x = durations.byRegime[name];
+        return `${name} duration: ${x.episodes} finished episodes, mean ${d(x.mean)}d, median ${d(x.median)}d, max ${d(x.max)}d, Markov-implied ${d(x.markov)}d`;
+      }),
+      `Current: ${current.regime} since ${current.since} (${current.age} days), switch probability tomorrow ${d(current.switchProb)}, expected days left ${d(current.empiricalRemaining)} empirical (${current.outlasted} past episodes lasted longer) / ${d(current.markovRemaining)} Markov, most likely next ${current.next ? `${current.next} (${current.nextProb})` : "n/a"}`,
+      `${switches.count} switches. ${switches.window} days before: ${windowLine(switches.before)}`,
+      `${switches.window} days after: ${windowLine(switches.after)}`,
+      `Away from switches: ${windowLine(switches.away)}`,
+      ...transitions.regimes.map(name => `First ${switches.window} days of ${name}: ${windowLine(switches.entering[name])}`),
+    ].join("\n");
+  })();
+  const shownEpisodes = transitions?.episodes.slice(-TRANSITION_PROMPT_EPISODES) ?? [];
+  const episodeText = [
+    transitions && transitions.episodes.length > shownEpisodes.length && `(${transitions.episodes.length - shownEpisodes.length} earlier episodes omitted)`,
+    ...shownEpisodes.map(e => `${e.regime} ${e.start}→${e.end}${e.ongoing ? " (ongoing)" : ""}: ${e.days}d, return ${e.return}%, max DD ${e.drawdown}%, hit ${e.hitRate}%, MAE ${e.mae}, bias ${e.bias}`),
+  ].filter(Boolean).join("\n");
+  const boardLine = (x) => x ? `hit ${x.hitRate ?? "n/a"}${x.hitRate !== null ? "%" : ""}, IC ${x.ic ?? "n/a"}, RMSE ${x.rmse}, DM ${x.dm}` : "n/a";
+  const leaderboardText = (models?.leaderboard ?? []).map((m, i) =>
+    `${i + 1}. ${m.label}: overall ${boardLine(m.overall)}; ${regimeSummary.map(r => `${r.name} ${boardLine(m.byRegime[r.name])}`).join("; ")}`
+  ).join("\n");
+  const modelParams = Object.entries(regimeModel?.params ?? {}).map(([k, v]) => `${k}=${v}`).join(", ");
+  const modelText = regimeModel ? `${regimeModel.label}${modelParams ? ` (${modelParams})` : ""}` : "source labels";
+
+  const prompt = `You are a quantitative financial analyst. Analyze this market data for ${ticker} over ${days} trading days.
+
+Key metrics:
+- Total Return: ${totalReturn}%
+- Average Daily Volatility: ${avgVol}%
+- Directional Hit Rate: ${signalAccuracy}%
+- Sharpe Ratio: ${sharpe} (annualised, risk-free ${riskFree}%)
+
+Regime Detection: ${modelText}
+Regime Performance: ${regimeText}
+
+Forecast Quality (daily returns in %, 95% bootstrap CI in brackets; negative DM favours the forecast over a random walk):
+${qualityText}
+
+Risk by Regime (daily returns, annualised where noted):
+${riskText}
+
+${transitions ? `Regime Transitions (daily transition probabilities; forecast metrics in the ${transitions.switches.window} days either side of each switch, where day 0 is the first day of the new regime):
+${transitionText}
+
+Regime Episodes (return compounded over the episode, drawdown within it, forecast error = forecast − actual):
+${episodeText}
+
+In REGIME ANALYSIS, say whether forecasts break down around regime switches and how long the current regime is likely to last.
+
+` : ""}Model Leaderboard (walk-forward one-day-ahead return forecasts; DM is vs random walk, negative is better):
+${leaderboardText || "no baseline models selected"}
+
+Overfitting Diagnostics (${overfitText}):
+${overfitDetail}
+
+${backtest ? `Strategy Backtest (${backtestRule}; regime P&L in % of starting capital, summing to the total):
+${backtestText}
+
+${backtest.settings.gate.length ? `Regime gate: ${gateNote(regimeModel?.detector ?? "labels")}.
+` : ""}
+In SIGNAL QUALITY, say whether the signal still pays after costs versus buy-and-hold, and which regimes drive the strategy P&L.
+
+` : ""}${comparison ? `Cross-Ticker Comparison (the metrics above are for ${ticker}):
+${comparisonPromptText(comparison)}
+
+In REGIME ANALYSIS, say which names' signals are robust in each regime.
+
+` : ""}Respond with a single JSON object and nothing else (no markdown fences), matching this schema:
+{
+  "sections": [${REPORT_SECTIONS.map(s => `{ "title": "${s.title}", "content": string }`).join(", ")}],
+  "confidence": number between 0 and 1 for how much the data supports your conclusions,
+  "citedMetrics": [{ "name": string, "value": string, "regime": string or null }],
+  "flaggedRisks": [{ "risk": string, "severity": "low" | "medium" | "high" }]
+}
+Emit the sections first, in that order. Each section: 2-3 sentences. Be specific, quantitative, and direct. No fluff. Write like a Bloomberg terminal analyst note. Only cite metrics that appear above, with the exact values given.`;
+  return prompt;
+}
+
+export const ANALYSIS_MODEL = "claude-sonnet-4-20250514";
+export const ANALYZE_ENDPOINT = "/api/analyze";
+export const ANALYSIS_TIMEOUT_S = 60;
+export const ANALYSIS_MAX_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+export const RETRYABLE_STATUS = [429, 529];
+const RISK_SEVERITIES = ["low", "medium", "high"];
+
+export class AnalysisError extends Error {
+  constructor(kind, message, status = null) {
+    super(message);
+    this.name = "AnalysisError";
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const id = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(id); reject(signal.reason); }, { once: true });
+});
+
+export function retryDelay(response, attempt) {
+  const header = Number(response.headers.get("retry-after"));
+  if (Number.isFinite(header) && header > 0) return header * 1000;
+  return RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS;
+}
+
+async function readMessageStream(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const payload = event.split(/\r?\n/).filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("");
+      if (!payload) continue;
+      const json = JSON.parse(payload);
+      if (json.type === "error") throw new AnalysisError("stream", json.error?.message || "Stream error");
+      if (json.type === "content_block_delta" && json.delta?.type === "text_delta") {
+        text += json.delta.text;
+        onText(text);
+      }
+    }
+  }
+  return text;
+}
+
+export function extractJsonObject(text) {
+  const stripped = text.replace(/^\s*```(?:json)?/i, "").replace(/```\s*$/, "");
+  const start = stripped.indexOf("{"), end = stripped.lastIndexOf("}");
+  if (start < 0 || end < start) throw new AnalysisError("schema", "Response did not contain a JSON object");
+  try {
+    return JSON.parse(stripped.slice(start, end + 1));
+  } catch (e) {
+    throw new AnalysisError("schema", `Response JSON is malformed: ${e.message}`);
+  }
+}
+
+export function validateAnalysisReport(json) {
+  const errors = [];
+  const isText = (v) => typeof v === "string" && v.trim() !== "";
+  if (!json || typeof json !== "object" || Array.isArray(json)) return { errors: ["Report must be a JSON object"] };
+  if (!Array.isArray(json.sections)) errors.push("sections must be an array");
+  const sections = (Array.isArray(json.sections) ? json.sections : []).filter((s, i) => {
+    const known = REPORT_SECTIONS.some(r => r.title === s?.title);
+    if (!known) errors.push(`sections[${i}].title "${s?.title}" is not one of ${REPORT_SECTIONS.map(r => r.title).join(", ")}`);
+    if (!isText(s?.content)) errors.push(`sections[${i}].content must be a non-empty string`);
+    return known && isText(s?.content);
+  });
+  REPORT_SECTIONS.forEach(r => { if (!sections.some(s => s.title === r.title)) errors.push(`missing section ${r.title}`); });
+  if (typeof json.confidence !== "number" || json.confidence < 0 || json.confidence > 1) errors.push("confidence must be a number between 0 and 1");
+  if (!Array.isArray(json.citedMetrics)) errors.push("citedMetrics must be an array");
+  else json.citedMetrics.forEach((m, i) => {
+    if (!isText(m?.name) || (typeof m?.value !== "string" && typeof m?.value !== "number")) errors.push(`citedMetrics[${i}] needs a name and value`);
+  });
+  if (!Array.isArray(json.flaggedRisks)) errors.push("flaggedRisks must be an array");
+  else json.flaggedRisks.forEach((r, i) => {
+    if (!isText(r?.risk) || !RISK_SEVERITIES.includes(r?.severity)) errors.push(`flaggedRisks[${i}] needs a risk and a severity of ${RISK_SEVERITIES.join("/")}`);
+  });
+  if (errors.length) return { errors };
+  return {
+    errors: [],
+    report: {
+      sections: REPORT_SECTIONS.map(r => ({ ...r, content: sections.find(s => s.title === r.title).content.trim() })),
+      confidence: json.confidence,
+      citedMetrics: json.citedMetrics.map(m => ({ name: m.name, value: String(m.value), regime: m.regime ?? null })),
+      flaggedRisks: json.flaggedRisks.map(r => ({ risk: r.risk, severity: r.severity })),
+    },
+  };
+}
+
+// Pulls whatever sections have streamed so far out of an incomplete JSON document.
+export function partialReportSections(text) {
+  const sections = [];
+  const re = /"title"\s*:\s*"((?:[^"\\]|\\.)*)"\s*,\s*"content"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const section = REPORT_SECTIONS.find(r => r.title === m[1]);
+    if (!section) continue;
+    let content;
+    try { content = JSON.parse(`"${m[2].replace(/\\$/, "")}"`); } catch { content = m[2]; }
+    sections.push({ ...section, content });
+  }
+  return sections;
+}
+
+// Without a key the request goes through the local proxy (server/index.mjs), which holds the
+// Anthropic key server-side. A pasted key still calls the API directly from the browser.
+function requestAnalysisStream(prompt, apiKey, { signal, endpoint = ANALYZE_ENDPOINT }) {
+  if (!apiKey?.trim()) {
+    return fetch(endpoint, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prompt, model: ANALYSIS_MODEL, max_tokens: 1500 }),
+    });
+  }
+  return fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey.trim(),
+      "anthropic-version": "2023-06-01",
+      "anthropic-dangerous-direct-browser-access": "true"
+    },
+    body: JSON.stringify({
+      model: ANALYSIS_MODEL,
+      max_tokens: 1500,
+      stream: true,
+      messages: [{ role: "user", content: prompt }]
+    })
+  });
+}
+
+export async function fetchClaudeAnalysis(data, apiKey, comparison = null, { signal, timeoutS = ANALYSIS_TIMEOUT_S, endpoint, onText = () => {}, onRetry = () => {} } = {}) {
+  const prompt = buildAnalysisPrompt(data, comparison);
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutS * 1000);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const abortError = () => timedOut
+    ? new AnalysisError("timeout", `No complete response within ${timeoutS}s`)
+    : new AnalysisError("cancelled", "Analysis cancelled");
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const response = await requestAnalysisStream(prompt, apiKey, { signal: controller.signal, endpoint });
+      if (RETRYABLE_STATUS.includes(response.status) && attempt < ANALYSIS_MAX_RETRIES) {
+        const delay = retryDelay(response, attempt);
+        onRetry({ attempt: attempt + 1, status: response.status, delay });
+        await sleep(delay, controller.signal);
+        continue;
+      }
+      if (!response.ok) {
+        const json = await response.json().catch(() => null);
+        throw new AnalysisError("http", json?.error?.message || response.statusText || "Unknown error", response.status);
+      }
+      const text = await readMessageStream(response, onText);
+      if (!text.trim()) throw new AnalysisError("schema", "No analysis returned");
+      const { report, errors } = validateAnalysisReport(extractJsonObject(text));
+      if (errors.length) throw new AnalysisError("schema", `Response did not match the report schema: ${errors.slice(0, 3).join("; ")}`);
+      return { report, text };
+    }
+  } catch (e) {
+    if (e instanceof AnalysisError) throw e;
+    if (controller.signal.aborted) throw abortError();
+    throw new AnalysisError("network", e.message || "Network error");
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
@@ -0,0 +1,158 @@
+import { mean, variance, TRADING_DAYS } from "./stats.mjs";
+import { computeRiskMetrics } from "./metrics.mjs";
+import { REGIME_DETECTORS, CAUSAL_WARMUP_DAYS } from "./regimes.mjs";
+
+export const BACKTEST_RULES = {
+  sign: { label: "SIGN", description: "Long when the forecast is positive, short when negative" },
+  threshold: { label: "THRESHOLD", description: "Trade the sign only when |forecast| clears the threshold, else flat" },
+  volTarget: { label: "VOL TARGET", description: "Sign sized to hit the target volatility from trailing realised vol" },
+};
+export const BACKTEST_DEFAULTS = { rule: "sign", threshold: 0.1, targetVol: 15, maxLeverage: 2, commission: 1, slippage: 2, maxTurnover: 200, gate: [] };
+export const BACKTEST_PARAMS = [
+  { key: "threshold", label: "|FCST| > %", min: 0, max: 5, step: 0.05, rule: "threshold" },
+  { key: "targetVol", label: "TARGET VOL %", min: 1, max: 100, step: 1, rule: "volTarget" },
+  { key: "maxLeverage", label: "MAX LEV", min: 0.1, max: 5, step: 0.1, rule: "volTarget" },
+  { key: "commission", label: "COMM BPS", min: 0, max: 100, step: 0.5 },
+  { key: "slippage", label: "SLIP BPS", min: 0, max: 100, step: 0.5 },
+  { key: "maxTurnover", label: "MAX TURNOVER %/D", min: 5, max: 200, step: 5 },
+];
+const BACKTEST_VOL_WINDOW = 20;
+// What the regime gate reads for a run labelled by `detector`, for the panel and the prompt.
+export function gateNote(detector) {
+  const note = `The gate reads ${REGIME_DETECTORS[detector].asOf}`;
+  return detector === "labels" ? note : `${note}; the first ${CAUSAL_WARMUP_DAYS} days have no label yet and are never gated`;
+}
+export const BACKTEST_PERFORMANCE = [
+  { label: "Total return (%)", key: "totalReturn" },
+  { label: "Ann. return (%)", key: "annReturn" },
+  { label: "Ann. vol (%)", key: "annVol" },
+  { label: "Sharpe", key: "sharpe" },
+  { label: "Sortino", key: "sortino" },
+  { label: "Max drawdown (%)", key: "maxDrawdown" },
+  { label: "Calmar", key: "calmar" },
+];
+export const BACKTEST_ATTRIBUTION = [
+  { label: "Days", key: "days" },
+  { label: "Exposure (%)", key: "exposure" },
+  { label: "Hit rate when positioned (%)", key: "hitRate" },
+  { label: "Gross P&L (%)", key: "gross" },
+  { label: "Costs (%)", key: "costs" },
+  { label: "Net P&L (%)", key: "net" },
+  { label: "Share of net P&L (%)", key: "share" },
+  { label: "Buy & hold (%)", key: "buyHold" },
+];
+
+function targetPosition(forecast, trailingVol, { rule, threshold, targetVol, maxLeverage }) {
+  const side = Math.sign(forecast);
+  if (rule === "threshold") return Math.abs(forecast) > threshold ? side : 0;
+  if (rule === "volTarget") return trailingVol ? side * Math.min(targetVol / trailingVol, maxLeverage) : 0;
+  return side;
+}
+
+// Trades the same-day forecast the way the overfitting diagnostics score it, with positions as a
+// fraction of equity. Costs are charged on the traded fraction; P&L is attributed in % of starting
+// capital so the per-regime figures add up to the total return.
+//
+// The gate trades on `causalRegimes` (see causalRegimeLabels), not on the rows' full-sample labels.
+// Without them the rows' own labels are used, which is only sound when they are source labels.
+export function computeBacktest(returns, settings = BACKTEST_DEFAULTS, { riskFree = 0, causalRegimes = null } = {}) {
+  const opts = { ...BACKTEST_DEFAULTS, ...settings };
+  const known = causalRegimes ?? returns.map(r => r.regime);
+  if (returns.length < 2) return null;
+  const costRate = (opts.commission + opts.slippage) / 10000;
+  const names = [...new Set(returns.map(r => r.regime))];
+  const blank = () => ({ days: 0, exposed: 0, hits: 0, gross: 0, costs: 0, net: 0, buyHold: 0 });
+  const buckets = Object.fromEntries(names.map(n => [n, blank()]));
+  const total = blank();
+  const regimeEquity = Object.fromEntries(names.map(n => [n, 1]));
+  const trades = [], netPct = [];
+  let position = 0, equity = 1, peak = 1, hold = 1, turnover = 0, trade = null;
+
+  const equityRows = returns.map((row, t) => {
+    const window = returns.slice(Math.max(0, t - BACKTEST_VOL_WINDOW), t).map(r => r.actual);
+    const trailingVol = window.length >= 5 ? Math.sqrt(variance(window) * window.length / (window.length - 1)) * Math.sqrt(TRADING_DAYS) : null;
+    // Gating reads yesterday's label as it was known yesterday, so today's position uses no later data.
+    const gated = t > 0 && known[t - 1] !== null && opts.gate.includes(known[t - 1]);
+    const target = gated ? 0 : targetPosition(row.forecast, trailingVol, opts);
+    const cap = opts.maxTurnover / 100;
+    const traded = Math.min(Math.abs(target - position), cap);
+    position += Math.sign(target - position) * traded;
+    if (Math.abs(position) < 1e-9) position = 0;
+
+    const gross = position * row.actual / 100, cost = traded * costRate, net = gross - cost;
+    const b = buckets[row.regime];
+    [b, total].forEach(x => {
+      x.days++;
+      if (position) { x.exposed++; if (gross > 0) x.hits++; }
+      x.gross += equity * gross;
+      x.costs += equity * cost;
+      x.net += equity * net;
+      x.buyHold += hold * row.actual / 100;
+    });
+    turnover += traded;
+    netPct.push(net * 100);
+
+    const side = Math.sign(position);
+    if (trade && trade.side !== side) {
+      if (!side) trade.growth *= 1 - cost;
+      trades.push(trade);
+      trade = null;
+    }
+    if (side && !trade) trade = { side, days: 0, growth: 1 };
+    if (trade) { trade.days++; trade.growth *= 1 + net; }
+
+    equity *= 1 + net;
+    hold *= 1 + row.actual / 100;
+    peak = Math.max(peak, equity);
+    regimeEquity[row.regime] *= 1 + net;
+    return {
+      date: row.date, regime: row.regime,
+      strategy: +(equity * 100).toFixed(2),
+      buyHold: +(hold * 100).toFixed(2),
+      position: +position.toFixed(3),
+      drawdown: +((equity / peak - 1) * 100).toFixed(2),
+      ...Object.fromEntries(names.map(n => [`regime_${n}`, +(regimeEquity[n] * 100).toFixed(2)])),
+    };
+  });
+  if (trade) trades.push(trade);
+
+  const round = (v, d = 2) => Number.isFinite(v) ? +v.toFixed(d) : null;
+  const performance = (risk, growth) => risk && {
+    totalReturn: round((growth - 1) * 100),
+    annReturn: risk.annReturn, annVol: risk.annVol, sharpe: risk.sharpe, sortino: risk.sortino, maxDrawdown: risk.maxDrawdown, calmar: risk.calmar,
+  };
+  const tradeReturns = trades.map(x => (x.growth - 1) * 100);
+  const attribution = (x) => ({
+    days: x.days,
+    exposure: round(x.exposed / x.days * 100, 1),
+    hitRate: x.exposed ? round(x.hits / x.exposed * 100, 1) : null,
+    gross: round(x.gross * 100),
+    costs: round(x.costs * 100),
+    net: round(x.net * 100),
+    buyHold: round(x.buyHold * 100),
+    share: Math.abs(total.net) > 1e-12 ? round(x.net / total.net * 100, 1) : null,
+  });
+  const strategy = performance(computeRiskMetrics(netPct, { riskFree }), equity);
+  const buyHold = performance(computeRiskMetrics(returns.map(r => r.actual), { riskFree }), hold);
+  return {
+    settings: opts,
+    strategy,
+    buyHold,
+    excessReturn: round(strategy.totalReturn - buyHold.totalReturn),
+    trades: {
+      count: trades.length,
+      winRate: trades.length ? round(tradeReturns.filter(r => r > 0).length / trades.length * 100, 1) : null,
+      avgReturn: trades.length ? round(mean(tradeReturns)) : null,
+      best: trades.length ? round(Math.max(...tradeReturns)) : null,
+      worst: trades.length ? round(Math.min(...tradeReturns)) : null,
+      avgDays: trades.length ? round(mean(trades.map(x => x.days)), 1) : null,
+      longShare: trades.length ? round(trades.filter(x => x.side > 0).length / trades.length * 100, 1) : null,
+      turnover: round(turnover / returns.length * TRADING_DAYS, 1),
+      costs: round(total.costs * 100),
+      exposure: round(total.exposed / total.days * 100, 1),
+    },
+    overall: attribution(total),
+    byRegime: Object.fromEntries(names.map(n => [n, attribution(buckets[n])])),
+    equity: equityRows,
+  };
+}
@@ -0,0 +1,236 @@
+import { mean, TRADING_DAYS, periodSharpe } from "./stats.mjs";
+import { DATE_PARAM } from "./data.mjs";
+import { pointMetrics, computeRiskMetrics } from "./metrics.mjs";
+import { ANALYSIS_MODEL, ANALYSIS_TIMEOUT_S, ANALYSIS_MAX_RETRIES, RETRYABLE_STATUS, AnalysisError, sleep, retryDelay } from "./analysis.mjs";
+
+const CHAT_ENDPOINT = "/api/chat";
+const CHAT_MAX_TOOL_ROUNDS = 6;
+const CHAT_MAX_ROWS = 40;
+const CHAT_METRICS = {
+  hit_rate: { unit: "%", describe: "share of days the forecast sign matched the actual sign" },
+  mae: { unit: "pp", describe: "mean absolute forecast error" },
+  rmse: { unit: "pp", describe: "root mean squared forecast error" },
+  bias: { unit: "pp", describe: "mean forecast minus actual" },
+  ic: { unit: "", describe: "Spearman rank correlation of forecast and actual" },
+  signal_sharpe: { unit: "", describe: "annualised Sharpe of trading the forecast sign" },
+  return: { unit: "%", describe: "compounded actual return" },
+  volatility: { unit: "%", describe: "annualised volatility of actual returns" },
+  sharpe: { unit: "", describe: "annualised Sharpe of actual returns" },
+  max_drawdown: { unit: "%", describe: "worst peak-to-trough drawdown of actual returns" },
+  strategy_return: { unit: "%", describe: "compounded net return of the backtested strategy" },
+};
+const CHAT_SLICE_PROPERTIES = {
+  start: { type: "string", description: "First date to include, YYYY-MM-DD (default: first day of the run)" },
+  end: { type: "string", description: "Last date to include, YYYY-MM-DD (default: last day of the run)" },
+  regime: { type: "string", description: "Keep only days labelled with this regime" },
+};
+export const CHAT_TOOLS = [
+  {
+    name: "slice_returns",
+    description: "Summarise the daily actual and forecast returns (in %) for a date range and/or regime: day count, regime mix, compounded return, mean actual and forecast, hit rate, RMSE and IC. Set include_rows to get the daily rows (up to 40).",
+    input_schema: { type: "object", properties: { ...CHAT_SLICE_PROPERTIES, include_rows: { type: "boolean" } } },
+  },
+  {
+    name: "compute_metric",
+    description: `Compute one metric over a date range and/or regime. Metrics: ${Object.entries(CHAT_METRICS).map(([k, m]) => `${k} (${m.describe})`).join("; ")}.`,
+    input_schema: { type: "object", properties: { metric: { type: "string", enum: Object.keys(CHAT_METRICS) }, ...CHAT_SLICE_PROPERTIES }, required: ["metric"] },
+  },
+  {
+    name: "largest_errors",
+    description: "List the days with the largest forecast errors (forecast minus actual, in pp) in a date range and/or regime. direction: absolute (default), over (forecast too high) or under (forecast too low).",
+    input_schema: { type: "object", properties: { n: { type: "integer", minimum: 1, maximum: 20 }, direction: { type: "string", enum: ["absolute", "over", "under"] }, ...CHAT_SLICE_PROPERTIES } },
+  },
+];
+
+function chatSlice(data, { start, end, regime }) {
+  const names = data.regimeSummary.map(r => r.name);
+  if (regime && !names.includes(regime)) return { error: `Unknown regime "${regime}" — this run has ${names.join(", ")}` };
+  if ([start, end].some(d => d && !DATE_PARAM.test(d))) return { error: "Dates must be YYYY-MM-DD" };
+  const rows = data.returns.filter(r => (!start || r.date >= start) && (!end || r.date <= end) && (!regime || r.regime === regime));
+  if (!rows.length) return { error: `No days match (run covers ${data.returns[0].date} → ${data.returns[data.returns.length - 1].date})` };
+  return { rows };
+}
+
+function chatMetric(data, metric, rows) {
+  const round = (v, d = 3) => Number.isFinite(v) ? +v.toFixed(d) : null;
+  const actual = rows.map(r => r.actual), forecast = rows.map(r => r.forecast);
+  if (["hit_rate", "mae", "rmse", "bias", "ic"].includes(metric)) {
+    const m = pointMetrics(actual, forecast);
+    return round({ hit_rate: m.hitRate, mae: m.mae, rmse: m.rmse, bias: m.bias, ic: m.icSpearman }[metric], metric === "hit_rate" ? 1 : 3);
+  }
+  if (metric === "signal_sharpe") return round(periodSharpe(rows.map(r => Math.sign(r.forecast) * r.actual)) * Math.sqrt(TRADING_DAYS), 2);
+  if (metric === "return") return round((actual.reduce((g, x) => g * (1 + x / 100), 1) - 1) * 100, 2);
+  if (metric === "strategy_return") {
+    if (!data.backtest) return null;
+    const equity = data.backtest.equity, index = new Map(equity.map((e, i) => [e.date, i]));
+    // Chains each selected day's growth, so days outside a regime filter are skipped rather than bridged.
+    const growth = rows.reduce((g, r) => {
+      const i = index.get(r.date);
+      return g * equity[i].strategy / (i ? equity[i - 1].strategy : 100);
+    }, 1);
+    return round((growth - 1) * 100, 2);
+  }
+  const risk = computeRiskMetrics(actual, { riskFree: data.riskFree });
+  return risk && { volatility: risk.annVol, sharpe: risk.sharpe, max_drawdown: risk.maxDrawdown }[metric];
+}
+
+// Executes one tool call against the run's data. Errors are returned to the model, not thrown,
+// so it can correct the call.
+export function runChatTool(data, name, input = {}) {
+  const { rows, error } = chatSlice(data, input);
+  if (error) return { error };
+  const scope = { start: rows[0].date, end: rows[rows.length - 1].date, regime: input.regime ?? null, days: rows.length };
+  if (name === "slice_returns") {
+    const m = pointMetrics(rows.map(r => r.actual), rows.map(r => r.forecast));
+    const mix = {};
+    rows.forEach(r => { mix[r.regime] = (mix[r.regime] ?? 0) + 1; });
+    return {
+      ...scope,
+      regimeDays: mix,
+      return: chatMetric(data, "return", rows),
+      meanActual: +mean(rows.map(r => r.actual)).toFixed(3),
+      meanForecast: +mean(rows.map(r => r.forecast)).toFixed(3),
+      hitRate: +m.hitRate.toFixed(1),
+      rmse: +m.rmse.toFixed(3),
+      ic: rows.length > 2 ? +m.icSpearman.toFixed(3) : null,
+      ...(input.include_rows ? {
+        rows: rows.slice(0, CHAT_MAX_ROWS).map(r => ({ date: r.date, regime: r.regime, actual: r.actual, forecast: r.forecast })),
+        truncated: rows.length > CHAT_MAX_ROWS,
+      } : {}),
+    };
+  }
+  if (name === "compute_metric") {
+    if (!CHAT_METRICS[input.metric]) return { error: `Unknown metric "${input.metric}" — use one of ${Object.keys(CHAT_METRICS).join(", ")}` };
+    return { ...scope, metric: input.metric, value: chatMetric(data, input.metric, rows), unit: CHAT_METRICS[input.metric].unit };
+  }
+  if (name === "largest_errors") {
+    const n = Math.min(Math.max(Math.round(input.n ?? 5), 1), 20);
+    const direction = input.direction ?? "absolute";
+    const score = { absolute: e => Math.abs(e), over: e => e, under: e => -e }[direction];
+    if (!score) return { error: "direction must be absolute, over or under" };
+    const errors = rows.map(r => ({ date: r.date, regime: r.regime, actual: r.actual, forecast: r.forecast, error: +(r.forecast - r.actual).toFixed(3) }))
+      .sort((a, b) => score(b.error) - score(a.error)).slice(0, n);
+    return { ...scope, direction, errors };
+  }
+  return { error: `Unknown tool "${name}"` };
+}
+
+function chatSystemPrompt(data, report) {
+  const last = data.returns[data.returns.length - 1].date;
+  return `You answer follow-up questions about a RegimeIQ run for ${data.ticker}: ${data.days} trading days from ${data.returns[0].date} to ${last}, daily returns and forecasts in %.
+Regimes (${data.regimeModel?.label ?? "source labels"}): ${data.regimeSummary.map(r => `${r.name} ${r.count} days`).join(", ")}.
+Headline: total return ${data.totalReturn}%, hit rate ${data.signalAccuracy}%, Sharpe ${data.sharpe}${data.backtest ? `, strategy return ${data.backtest.strategy.totalReturn}% after costs` : ""}.
+${report ? `The earlier report said:\n${report.sections.map(s => `${s.title}: ${s.content}`).join("\n")}\n` : ""}
+Use the tools for every number you state — do not estimate. Quote figures exactly as the tools return them and say which date range and regime they cover. If the tools cannot answer, say so. Keep answers to a short paragraph in plain text.`;
+}
+
+function requestChatMessage(body, apiKey, { signal }) {
+  const payload = JSON.stringify({ model: ANALYSIS_MODEL, max_tokens: 1000, ...body });
+  if (!apiKey?.trim()) {
+    return fetch(CHAT_ENDPOINT, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json" },
+      body: payload,
+    });
+  }
+  return fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": apiKey.trim(),
+      "anthropic-version": "2023-06-01",
+      "anthropic-dangerous-direct-browser-access": "true"
+    },
+    body: payload,
+  });
+}
+
+// One user question: calls the model, runs any tools it asks for and feeds the results back until
+// it answers in text. Returns the full message list (API format) so the next question continues it.
+export async function askRunChat(data, report, messages, question, apiKey, { signal, timeoutS = ANALYSIS_TIMEOUT_S, onMessages = () => {} } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutS * 1000);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let thread = [...messages, { role: "user", content: question }];
+  onMessages(thread);
+
+  try {
+    for (let round = 0, attempt = 0; round <= CHAT_MAX_TOOL_ROUNDS;) {
+      const response = await requestChatMessage({ system: chatSystemPrompt(data, report), tools: CHAT_TOOLS, messages: thread }, apiKey, { signal: controller.signal });
+      if (RETRYABLE_STATUS.includes(response.status) && attempt < ANALYSIS_MAX_RETRIES) {
+        await sleep(retryDelay(response, attempt++), controller.signal);
+        continue;
+      }
+      if (!response.ok) {
+        const json = await response.json().catch(() => null);
+        throw new AnalysisError("http", json?.error?.message || response.statusText || "Unknown error", response.status);
+      }
+      const message = await response.json();
+      thread = [...thread, { role: "assistant", content: message.content }];
+      const calls = message.content.filter(b => b.type === "tool_use");
+      // Any tool_use left in the thread needs a result, even when the reply stopped for another
+      // reason (max_tokens), or the API rejects the next request.
+      if (!calls.length) {
+        onMessages(thread);
+        return thread;
+      }
+      thread = [...thread, {
+        role: "user",
+        content: calls.map(c => ({ type: "tool_result", tool_use_id: c.id, content: JSON.stringify(runChatTool(data, c.name, c.input)) })),
+      }];
+      onMessages(thread);
+      round++;
+      attempt = 0;
+    }
+    throw new AnalysisError("schema", `No answer after ${CHAT_MAX_TOOL_ROUNDS} rounds of tool calls`);
+  } catch (e) {
+    if (e instanceof AnalysisError) throw e;
+    if (controller.signal.aborted) throw timedOut ? new AnalysisError("timeout", `No answer within ${timeoutS}s`) : new AnalysisError("cancelled", "Question cancelled");
+    throw new AnalysisError("network", e.message || "Network error");
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Splits the API message list into question → tool calls → answer turns for display, and checks
+// which figures in each answer appear in that turn's tool results.
+export function chatTurns(messages) {
+  const turns = [];
+  messages.forEach(m => {
+    if (m.role === "user" && typeof m.content === "string") return turns.push({ question: m.content, calls: [], answer: "" });
+    const turn = turns[turns.length - 1];
+    if (!turn) return;
+    if (m.role === "assistant") {
+      m.content.forEach(b => {
+        if (b.type === "tool_use") turn.calls.push({ id: b.id, name: b.name, input: b.input, result: null });
+        if (b.type === "text") turn.answer += `${turn.answer ? "\n\n" : ""}${b.text}`;
+      });
+    } else {
+      m.content.forEach(b => {
+        const call = turn.calls.find(c => c.id === b.tool_use_id);
+        if (call) call.result = JSON.parse(b.content);
+      });
+    }
+  });
+  return turns.map(t => ({ ...t, trace: traceFigures(t.answer, t.calls.map(c => c.result)) }));
+}
+
+export function traceFigures(text, results) {
+  const values = [];
+  const walk = (v) => {
+    if (typeof v === "number") values.push(v);
+    else if (v && typeof v === "object") Object.values(v).forEach(walk);
+  };
+  results.forEach(walk);
+  // Dates and bare small integers (counts, "top 3") are not treated as cited figures.
+  const figures = [...text.replace(/\d{4}-\d{2}-\d{2}/g, "").matchAll(/-?\d+(?:\.(\d+))?/g)]
+    .filter(m => m[1] || Math.abs(+m[0]) >= 10)
+    .map(m => ({ text: m[0], value: +m[0], decimals: m[1]?.length ?? 0 }));
+  const traced = (f) => values.some(v => +v.toFixed(f.decimals) === f.value || +(-v).toFixed(f.decimals) === f.value);
+  return { total: figures.length, untraced: figures.filter(f => !traced(f)).map(f => f.text) };
+}
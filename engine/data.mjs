@@ -0,0 +1,236 @@
+import { rollingStd } from "./stats.mjs";
+import { forecastMetricsByRegime, riskByRegime } from "./metrics.mjs";
+
+export function generateMarketData(ticker, startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const days = Math.floor((end - start) / (1000 * 60 * 60 * 24));
+  const seed = ticker.split("").reduce((a, c) => a + c.charCodeAt(0), 0);
+  let rng = seed;
+  const rand = () => { rng = (rng * 9301 + 49297) % 233280; return rng / 233280; };
+  const baseReturn = 0.0004 + (rand() - 0.5) * 0.0006;
+  const baseVol = 0.012 + rand() * 0.008;
+  let price = 100 + rand() * 200;
+  const prices = [], returns = [], volatility = [];
+
+  for (let i = 0; i <= days; i++) {
+    // ISO dates parse as UTC midnight; stay in UTC so the calendar doesn't depend on the machine's zone.
+    const date = new Date(start); date.setUTCDate(start.getUTCDate() + i);
+    if (date.getUTCDay() === 0 || date.getUTCDay() === 6) continue;
+    const progress = i / days;
+    const regime =
+      progress < 0.25 ? "Bull" :
+      progress < 0.45 ? "Volatile" :
+      progress < 0.65 ? "Bear" :
+      progress < 0.8 ? "Recovery" : "Bull";
+    const volMult = regime === "Volatile" ? 2.2 : regime === "Bear" ? 1.6 : regime === "Recovery" ? 1.2 : 1.0;
+    const retMult = regime === "Bull" ? 1.4 : regime === "Bear" ? -1.2 : regime === "Volatile" ? -0.3 : regime === "Recovery" ? 0.8 : 1.0;
+    const vol = baseVol * volMult;
+    const ret = baseReturn * retMult + (rand() - 0.5) * vol * 2;
+    price *= (1 + ret);
+    const forecastedRet = baseReturn * retMult * 0.85 + (rand() - 0.48) * vol * 1.5;
+    const forecastedPrice = price * (1 + forecastedRet - ret);
+    const dateStr = date.toISOString().slice(0, 10);
+    prices.push({ date: dateStr, actual: +price.toFixed(2), forecast: +forecastedPrice.toFixed(2), regime });
+    returns.push({ date: dateStr, actual: +(ret * 100).toFixed(3), forecast: +(forecastedRet * 100).toFixed(3), regime });
+    volatility.push({ date: dateStr, vol: +(vol * 100).toFixed(3), regime });
+  }
+
+  return { ...summarizeMarketData(prices, returns, volatility), ticker, source: "demo" };
+}
+
+export function summarizeMarketData(prices, returns, volatility, options = {}) {
+  const forecastMetrics = forecastMetricsByRegime(returns);
+  const risk = riskByRegime(returns, options);
+  const regimeStats = {};
+  returns.forEach(({ regime, actual, forecast, confidence }) => {
+    if (!regimeStats[regime]) regimeStats[regime] = { actual: [], forecast: [], confidence: [], count: 0 };
+    regimeStats[regime].actual.push(actual);
+    regimeStats[regime].forecast.push(forecast);
+    if (confidence !== undefined) regimeStats[regime].confidence.push(confidence);
+    regimeStats[regime].count++;
+  });
+  const regimeSummary = Object.entries(regimeStats).map(([name, d]) => ({
+    name,
+    actualReturn: +(d.actual.reduce((a, b) => a + b, 0) / d.actual.length).toFixed(3),
+    forecastReturn: +(d.forecast.reduce((a, b) => a + b, 0) / d.forecast.length).toFixed(3),
+    avgVol: risk.byRegime[name]?.dailyVol ?? 0,
+    metrics: forecastMetrics.byRegime[name],
+    risk: risk.byRegime[name],
+    confidence: d.confidence.length ? +(d.confidence.reduce((a, b) => a + b, 0) / d.confidence.length * 100).toFixed(1) : null,
+    count: d.count,
+  }));
+
+  const totalReturn = +((prices[prices.length - 1]?.actual / prices[0]?.actual - 1) * 100).toFixed(2);
+  const avgVol = +(volatility.reduce((a, b) => a + b.vol, 0) / volatility.length).toFixed(3);
+  const sharpe = risk.overall?.sharpe ?? null;
+  const signalAccuracy = forecastMetrics.overall ? +forecastMetrics.overall.hitRate.value.toFixed(1) : null;
+  return {
+    prices, returns, volatility, regimeSummary, forecastMetrics,
+    risk: risk.overall, drawdown: risk.drawdown, rolling: risk.rolling, riskFree: options.riskFree ?? 0,
+    totalReturn, avgVol, signalAccuracy, sharpe, days: prices.length,
+  };
+}
+
+const IMPORT_COLUMNS = {
+  date: ["date", "timestamp", "time", "day"],
+  close: ["close", "adj close", "adj_close", "adjclose", "price", "actual"],
+  forecast: ["forecast", "forecast_close", "forecast close", "predicted", "prediction"],
+  open: ["open"],
+  high: ["high"],
+  low: ["low"],
+  volume: ["volume", "vol"],
+  regime: ["regime", "regime_label", "label", "state"],
+};
+const REQUIRED_COLUMNS = ["date", "close", "forecast"];
+const MAX_GAP_DAYS = 7;
+export const IMPORT_VOL_WINDOW = 20;
+
+export const REGIME_COLORS = { Bull: "#00d4aa", Volatile: "#f5a623", Bear: "#ff4d6d", Recovery: "#7b8cde", Unlabeled: "#8b949e" };
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { cells.push(cell); cell = ""; }
+    else cell += c;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+function parseCsvRows(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length < 2) throw new Error("CSV needs a header row and at least one data row");
+  const header = splitCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ""]));
+  });
+}
+
+function parseJsonRows(text) {
+  const json = JSON.parse(text);
+  const rows = Array.isArray(json) ? json : json?.rows ?? json?.data ?? json?.prices;
+  if (!Array.isArray(rows)) throw new Error("JSON must be an array of rows or an object with a \"rows\" array");
+  return { rows, ticker: Array.isArray(json) ? null : json?.ticker ?? null };
+}
+
+function parseDateCell(value) {
+  const v = String(value ?? "").trim();
+  let m = v.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/);
+  let y, mo, d;
+  if (m) [y, mo, d] = [+m[1], +m[2], +m[3]];
+  else if ((m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [y, mo, d] = [+m[3], +m[1], +m[2]];
+  else return null;
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return date;
+}
+
+function parseNumberCell(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const v = String(value ?? "").replace(/[$,\s]/g, "");
+  if (v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRegimeLabel(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  const known = Object.keys(REGIME_COLORS).find(k => k.toLowerCase() === v.toLowerCase());
+  return known ?? v;
+}
+
+export function parseImportedSeries(text, fileName = "") {
+  const errors = [];
+  let rawRows, fileTicker = null;
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  try {
+    if (isJson) ({ rows: rawRows, ticker: fileTicker } = parseJsonRows(text));
+    else rawRows = parseCsvRows(text);
+  } catch (e) {
+    return { errors: [`Could not read ${isJson ? "JSON" : "CSV"}: ${e.message}`] };
+  }
+  if (!rawRows.length) return { errors: ["File contains no data rows"] };
+
+  const keys = Object.keys(rawRows[0] ?? {});
+  const columns = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([field, aliases]) => {
+    const key = keys.find(k => aliases.includes(k.trim().toLowerCase()));
+    if (key) columns[field] = key;
+  });
+  const missing = REQUIRED_COLUMNS.filter(c => !columns[c]);
+  if (missing.length) return { errors: [`Missing required column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")} (found: ${keys.join(", ") || "none"})`] };
+
+  const rowNum = i => i + (isJson ? 1 : 2);
+  const rows = [];
+  rawRows.forEach((raw, i) => {
+    const date = parseDateCell(raw[columns.date]);
+    if (!date) { errors.push(`Row ${rowNum(i)}: invalid date "${raw[columns.date]}" (expected YYYY-MM-DD or MM/DD/YYYY)`); return; }
+    const row = { date: date.toISOString().slice(0, 10), line: rowNum(i) };
+    let ok = true;
+    ["close", "forecast", "open", "high", "low", "volume"].forEach(field => {
+      if (!columns[field]) return;
+      const cell = raw[columns[field]];
+      const n = parseNumberCell(cell);
+      const required = REQUIRED_COLUMNS.includes(field);
+      if (n === null && (required || String(cell ?? "").trim() !== "")) {
+        errors.push(`Row ${rowNum(i)}: ${field} is not a number ("${cell ?? ""}")`);
+        ok = false;
+      } else if (n !== null && field !== "volume" && n <= 0) {
+        errors.push(`Row ${rowNum(i)}: ${field} must be positive (${n})`);
+        ok = false;
+      } else if (n !== null) row[field] = n;
+    });
+    if (columns.regime) row.regime = normalizeRegimeLabel(raw[columns.regime]);
+    if (ok) rows.push(row);
+  });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+  for (let i = 1; i < rows.length; i++) {
+    const prev = rows[i - 1], cur = rows[i];
+    if (cur.date === prev.date) {
+      errors.push(`Row ${cur.line}: duplicate date ${cur.date} (also on row ${prev.line})`);
+      continue;
+    }
+    const gap = (new Date(cur.date) - new Date(prev.date)) / 86400000;
+    if (gap > MAX_GAP_DAYS) errors.push(`Gap of ${gap} days between ${prev.date} and ${cur.date} (max ${MAX_GAP_DAYS})`);
+  }
+  if (rows.length < 2) errors.push("Need at least two valid rows to compute returns");
+  if (errors.length) return { errors };
+
+  const labelled = rows.some(r => r.regime);
+  return { rows, ticker: fileTicker ?? fileName.replace(/\.[^.]+$/, "").toUpperCase(), labelled, errors: [] };
+}
+
+export function buildImportedMarketData(rows, ticker, startDate, endDate) {
+  const inRange = rows.filter(r => (!startDate || r.date >= startDate) && (!endDate || r.date <= endDate));
+  if (inRange.length < 2) return { error: `Only ${inRange.length} imported row${inRange.length === 1 ? "" : "s"} between ${startDate} and ${endDate}` };
+
+  const prices = [], returns = [], volatility = [];
+  const rets = inRange.slice(1).map((row, i) => row.close / inRange[i].close - 1);
+  const rollingVol = rollingStd(rets, IMPORT_VOL_WINDOW);
+  for (let i = 1; i < inRange.length; i++) {
+    const prev = inRange[i - 1], row = inRange[i];
+    const regime = row.regime ?? "Unlabeled";
+    const ret = rets[i - 1];
+    const forecastedRet = row.forecast / prev.close - 1;
+    const vol = row.high && row.low ? Math.sqrt(Math.log(row.high / row.low) ** 2 / (4 * Math.log(2))) : rollingVol[i - 1];
+    const ohlcv = Object.fromEntries(["open", "high", "low", "volume"].filter(k => row[k] !== undefined).map(k => [k, row[k]]));
+    prices.push({ date: row.date, actual: +row.close.toFixed(2), forecast: +row.forecast.toFixed(2), regime, ...ohlcv });
+    returns.push({ date: row.date, actual: +(ret * 100).toFixed(3), forecast: +(forecastedRet * 100).toFixed(3), regime });
+    volatility.push({ date: row.date, vol: +(vol * 100).toFixed(3), regime });
+  }
+
+  return { ...summarizeMarketData(prices, returns, volatility), ticker, source: "import" };
+}
+
+export const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
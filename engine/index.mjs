@@ -0,0 +1,71 @@
+import { defaultDetectorParams, detectRegimes, applyRegimeDetection, causalRegimeLabels } from "./regimes.mjs";
+import { OVERFIT_DEFAULTS, computeOverfitting } from "./overfitting.mjs";
+import { BACKTEST_DEFAULTS, computeBacktest } from "./backtest.mjs";
+import { TRANSITION_DEFAULTS, computeTransitions } from "./transitions.mjs";
+import { DEFAULT_MODELS, defaultModelParams, runForecastModels } from "./models.mjs";
+import { buildPortfolioMarketData, regimeMatrix, correlationAnalysis } from "./portfolio.mjs";
+
+export { TRADING_DAYS, mean, variance, median, createRng, normalCdf, normalPdf, inverseNormalCdf, ranks, pearson, periodSharpe, rollingStd } from "./stats.mjs";
+export { generateMarketData, summarizeMarketData, REGIME_COLORS, parseImportedSeries, buildImportedMarketData, DATE_PARAM } from "./data.mjs";
+export { REGIME_DETECTORS, CAUSAL_WARMUP_DAYS, CAUSAL_REFIT_DAYS, defaultDetectorParams, detectRegimes, applyRegimeDetection, causalRegimeLabels } from "./regimes.mjs";
+export {
+  FORECAST_METRICS, directionalHit, pointMetrics, dieboldMariano, computeForecastMetrics, forecastMetricsByRegime, formatMetric,
+  ROLLING_WINDOWS, drawdownStats, computeRiskMetrics, riskByRegime, RISK_METRICS,
+} from "./metrics.mjs";
+export { OVERFIT_DEFAULTS, OVERFIT_PARAMS, windowMetrics, computeOverfitting } from "./overfitting.mjs";
+export { BACKTEST_RULES, BACKTEST_DEFAULTS, BACKTEST_PARAMS, BACKTEST_PERFORMANCE, BACKTEST_ATTRIBUTION, gateNote, computeBacktest } from "./backtest.mjs";
+export { TRANSITION_DEFAULTS, TRANSITION_PARAMS, regimeEpisodes, computeTransitions } from "./transitions.mjs";
+export { FORECAST_MODELS, DEFAULT_MODELS, defaultModelParams, runForecastModels } from "./models.mjs";
+export { PORTFOLIO_TICKER, parseTickerList, buildPortfolioMarketData, regimeMatrix, correlationAnalysis } from "./portfolio.mjs";
+export { SIM_REGIMES, SIM_REGIME_PARAMS, SIM_SETTINGS, SIM_DEFAULTS, calibrateSimulation, runSimulation, observedSignalQuality } from "./simulation.mjs";
+export {
+  REPORT_SECTIONS, buildAnalysisPrompt, ANALYSIS_MODEL, ANALYZE_ENDPOINT, ANALYSIS_TIMEOUT_S, ANALYSIS_MAX_RETRIES,
+  AnalysisError, extractJsonObject, validateAnalysisReport, partialReportSections, fetchClaudeAnalysis,
+} from "./analysis.mjs";
+export { CHAT_TOOLS, runChatTool, askRunChat, chatTurns, traceFigures } from "./chat.mjs";
+export {
+  summaryStatCards, RUN_BUNDLE_FORMAT, RUN_BUNDLE_VERSION, buildRunBundle, parseRunBundle, exportFileName,
+  seriesCsv, reportTables, markdownReport, htmlReport,
+} from "./report.mjs";
+
+// Everything the app computes for one series once it is loaded: regime labels, risk and forecast
+// metrics by regime, transition and duration analytics, overfitting diagnostics, the strategy
+// backtest and the model leaderboard.
+export function analyzeSeries(marketData, {
+  detector = "hmm",
+  detectorParams = defaultDetectorParams(detector),
+  riskFree = 0,
+  overfitSettings = OVERFIT_DEFAULTS,
+  backtestSettings = BACKTEST_DEFAULTS,
+  transitionSettings = TRANSITION_DEFAULTS,
+  models = DEFAULT_MODELS,
+  modelParams = defaultModelParams(),
+} = {}) {
+  const labelled = applyRegimeDetection(marketData, detectRegimes(marketData.returns, detector, detectorParams), { riskFree });
+  labelled.transitions = computeTransitions(labelled.returns, transitionSettings);
+  labelled.overfitting = computeOverfitting(labelled.returns, overfitSettings);
+  labelled.causalRegimes = backtestSettings.gate?.length ? causalRegimeLabels(marketData.returns, detector, detectorParams) : null;
+  labelled.backtest = computeBacktest(labelled.returns, backtestSettings, { riskFree, causalRegimes: labelled.causalRegimes });
+  labelled.models = runForecastModels(labelled, models, modelParams);
+  return labelled;
+}
+
+// One series analyses on its own. Several are combined into the weighted portfolio, which becomes
+// the subject, with each name kept in the comparison. Returns { data, comparison } or { error }.
+export function analyzeHoldings(seriesList, holdings, options = {}) {
+  const analysed = seriesList.map(s => analyzeSeries(s, options));
+  if (analysed.length === 1) return { data: analysed[0], comparison: null };
+  const portfolio = buildPortfolioMarketData(analysed, holdings);
+  if (portfolio.error) return { error: portfolio.error };
+  const data = analyzeSeries(portfolio, options);
+  return {
+    data,
+    comparison: {
+      holdings,
+      series: Object.fromEntries(analysed.map(d => [d.ticker, d])),
+      portfolio: data,
+      matrix: regimeMatrix(analysed, data),
+      correlation: correlationAnalysis(analysed),
+    },
+  };
+}
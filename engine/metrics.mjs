@@ -0,0 +1,195 @@
+import { mean, variance, createRng, normalCdf, ranks, countRanks, pearson, TRADING_DAYS, normalPdf } from "./stats.mjs";
+
+const BOOTSTRAP_SAMPLES = 500;
+const BOOTSTRAP_SEED = 20240101;
+// MAPE on returns is undefined near zero, so flat days below this |actual| (in %) are skipped.
+const MAPE_FLOOR = 0.05;
+export const FORECAST_METRICS = [
+  { key: "hitRate", label: "Hit Rate", unit: "%" },
+  { key: "mae", label: "MAE", unit: "%" },
+  { key: "rmse", label: "RMSE", unit: "%" },
+  { key: "mape", label: "MAPE", unit: "%" },
+  { key: "bias", label: "Bias", unit: "%" },
+  { key: "icPearson", label: "IC (Pearson)", unit: "" },
+  { key: "icSpearman", label: "IC (Spearman)", unit: "" },
+];
+
+// A hit needs both the forecast and the outcome to pick a side: a zero on either (a flat day or a
+// missing forecast) counts as a miss rather than as "both zero, same sign".
+export const directionalHit = (actual, forecast) => actual * forecast > 0;
+
+export function pointMetrics(actual, forecast, rankActual = ranks(actual), rankForecast = ranks(forecast)) {
+  const n = actual.length;
+  let hits = 0, absErr = 0, sqErr = 0, err = 0, ape = 0, apeCount = 0;
+  for (let i = 0; i < n; i++) {
+    const e = forecast[i] - actual[i];
+    if (directionalHit(actual[i], forecast[i])) hits++;
+    absErr += Math.abs(e); sqErr += e * e; err += e;
+    if (Math.abs(actual[i]) >= MAPE_FLOOR) { ape += Math.abs(e / actual[i]); apeCount++; }
+  }
+  return {
+    hitRate: hits / n * 100,
+    mae: absErr / n,
+    rmse: Math.sqrt(sqErr / n),
+    mape: apeCount ? ape / apeCount * 100 : null,
+    bias: err / n,
+    icPearson: pearson(forecast, actual),
+    icSpearman: pearson(rankForecast, rankActual),
+  };
+}
+
+// Diebold-Mariano on squared error against a random-walk price forecast, i.e. a zero return forecast.
+export function dieboldMariano(actual, forecast) {
+  const d = actual.map((a, i) => (forecast[i] - a) ** 2 - a * a);
+  const n = d.length;
+  const se = Math.sqrt(variance(d) * n / Math.max(n - 1, 1) / n);
+  const stat = se ? mean(d) / se : 0;
+  return { stat, pValue: 2 * (1 - normalCdf(Math.abs(stat))) };
+}
+
+export function computeForecastMetrics(actual, forecast, seed = BOOTSTRAP_SEED) {
+  const n = actual.length;
+  if (n < 3) return null;
+  const point = pointMetrics(actual, forecast);
+  const rng = createRng(seed + n);
+  const samples = Object.fromEntries(FORECAST_METRICS.map(m => [m.key, []]));
+  const orderA = Array.from(actual.keys()).sort((a, b) => actual[a] - actual[b]);
+  const orderF = Array.from(forecast.keys()).sort((a, b) => forecast[a] - forecast[b]);
+  const counts = new Int32Array(n);
+  const ra = new Float64Array(n), rf = new Float64Array(n), rra = new Float64Array(n), rrf = new Float64Array(n);
+  for (let b = 0; b < BOOTSTRAP_SAMPLES; b++) {
+    counts.fill(0);
+    for (let i = 0; i < n; i++) counts[Math.floor(rng() * n)]++;
+    const rankA = countRanks(orderA, actual, counts), rankF = countRanks(orderF, forecast, counts);
+    for (let j = 0, i = 0; j < n; j++) {
+      for (let c = 0; c < counts[j]; c++, i++) { ra[i] = actual[j]; rf[i] = forecast[j]; rra[i] = rankA[j]; rrf[i] = rankF[j]; }
+    }
+    const m = pointMetrics(ra, rf, rra, rrf);
+    FORECAST_METRICS.forEach(({ key }) => { if (m[key] !== null) samples[key].push(m[key]); });
+  }
+  const quantile = (xs, q) => xs[Math.min(xs.length - 1, Math.floor(q * xs.length))];
+  const metrics = Object.fromEntries(FORECAST_METRICS.map(({ key }) => {
+    const s = samples[key].sort((a, b) => a - b);
+    const round = (v) => v === null || v === undefined ? null : +v.toFixed(3);
+    return [key, { value: round(point[key]), lo: round(quantile(s, 0.025)), hi: round(quantile(s, 0.975)) }];
+  }));
+  const dm = dieboldMariano(actual, forecast);
+  return { ...metrics, dm: { stat: +dm.stat.toFixed(3), pValue: +dm.pValue.toFixed(4) }, n };
+}
+
+export function forecastMetricsByRegime(returns) {
+  const overall = computeForecastMetrics(returns.map(r => r.actual), returns.map(r => r.forecast));
+  const byRegime = {};
+  [...new Set(returns.map(r => r.regime))].forEach(name => {
+    const rows = returns.filter(r => r.regime === name);
+    byRegime[name] = computeForecastMetrics(rows.map(r => r.actual), rows.map(r => r.forecast));
+  });
+  return { overall, byRegime };
+}
+
+export const formatMetric = (m, digits = 2) =>
+  !m || m.value === null ? "—" : `${m.value.toFixed(digits)} [${m.lo.toFixed(digits)}, ${m.hi.toFixed(digits)}]`;
+
+export const ROLLING_WINDOWS = [20, 60];
+const VAR_LEVELS = [0.95, 0.99];
+const Z_SCORES = { 0.95: 1.6449, 0.99: 2.3263 };
+
+export function drawdownStats(r) {
+  let equity = 1, peak = 1, maxDrawdown = 0, duration = 0, maxDuration = 0;
+  const underwater = r.map(x => {
+    equity *= 1 + x;
+    if (equity >= peak) { peak = equity; duration = 0; } else duration++;
+    maxDuration = Math.max(maxDuration, duration);
+    const dd = equity / peak - 1;
+    maxDrawdown = Math.min(maxDrawdown, dd);
+    return dd;
+  });
+  return { underwater, maxDrawdown, maxDuration };
+}
+
+export function computeRiskMetrics(returnsPct, { riskFree = 0 } = {}) {
+  const n = returnsPct.length;
+  if (n < 2) return null;
+  const r = returnsPct.map(x => x / 100);
+  const rf = riskFree / 100 / TRADING_DAYS;
+  const excess = r.map(x => x - rf);
+  const mu = mean(r), sd = Math.sqrt(variance(r) * n / (n - 1));
+  const downside = Math.sqrt(mean(excess.map(x => Math.min(x, 0) ** 2)));
+  const growth = r.reduce((a, x) => a * (1 + x), 1);
+  const annReturn = growth ** (TRADING_DAYS / n) - 1;
+  const { maxDrawdown, maxDuration } = drawdownStats(r);
+  const m2 = mean(r.map(x => (x - mu) ** 2));
+  const skew = m2 ? mean(r.map(x => (x - mu) ** 3)) / m2 ** 1.5 : 0;
+  const kurtosis = m2 ? mean(r.map(x => (x - mu) ** 4)) / m2 ** 2 - 3 : 0;
+
+  const sorted = [...r].sort((a, b) => a - b);
+  const tail = {};
+  VAR_LEVELS.forEach(level => {
+    const cut = Math.max(0, Math.floor((1 - level) * n) - 1);
+    const z = Z_SCORES[level];
+    tail[level] = {
+      historicalVaR: -sorted[cut] * 100,
+      historicalCVaR: -mean(sorted.slice(0, cut + 1)) * 100,
+      parametricVaR: -(mu - z * sd) * 100,
+      parametricCVaR: -(mu - sd * normalPdf(z) / (1 - level)) * 100,
+    };
+  });
+
+  const round = (v, d = 3) => Number.isFinite(v) ? +v.toFixed(d) : null;
+  return {
+    annReturn: round(annReturn * 100, 2),
+    annVol: round(sd * Math.sqrt(TRADING_DAYS) * 100, 2),
+    dailyVol: round(sd * 100),
+    sharpe: round(sd ? mean(excess) / sd * Math.sqrt(TRADING_DAYS) : NaN, 2),
+    sortino: round(downside ? mean(excess) / downside * Math.sqrt(TRADING_DAYS) : NaN, 2),
+    maxDrawdown: round(maxDrawdown * 100, 2),
+    drawdownDuration: maxDuration,
+    calmar: round(maxDrawdown < 0 ? annReturn / -maxDrawdown : NaN, 2),
+    skew: round(skew, 2),
+    kurtosis: round(kurtosis, 2),
+    var: Object.fromEntries(VAR_LEVELS.map(l => [l, Object.fromEntries(Object.entries(tail[l]).map(([k, v]) => [k, round(v)]))])),
+  };
+}
+
+function rollingRiskSeries(returns, { riskFree = 0 } = {}) {
+  const r = returns.map(x => x.actual / 100);
+  const rf = riskFree / 100 / TRADING_DAYS;
+  return returns.map((row, t) => {
+    const point = { date: row.date, regime: row.regime };
+    ROLLING_WINDOWS.forEach(w => {
+      if (t + 1 < w) { point[`sharpe${w}`] = null; point[`vol${w}`] = null; return; }
+      const xs = r.slice(t + 1 - w, t + 1);
+      const sd = Math.sqrt(variance(xs) * w / (w - 1));
+      point[`sharpe${w}`] = sd ? +((mean(xs) - rf) / sd * Math.sqrt(TRADING_DAYS)).toFixed(2) : null;
+      point[`vol${w}`] = +(sd * Math.sqrt(TRADING_DAYS) * 100).toFixed(2);
+    });
+    return point;
+  });
+}
+
+export function riskByRegime(returns, options) {
+  const overall = computeRiskMetrics(returns.map(r => r.actual), options);
+  const byRegime = {};
+  [...new Set(returns.map(r => r.regime))].forEach(name => {
+    byRegime[name] = computeRiskMetrics(returns.filter(r => r.regime === name).map(r => r.actual), options);
+  });
+  const { underwater } = drawdownStats(returns.map(r => r.actual / 100));
+  const drawdown = returns.map((r, i) => ({ date: r.date, drawdown: +(underwater[i] * 100).toFixed(2), regime: r.regime }));
+  return { overall, byRegime, drawdown, rolling: rollingRiskSeries(returns, options) };
+}
+
+export const RISK_METRICS = [
+  { key: "annReturn", label: "Ann. Return (%)", get: m => m.annReturn },
+  { key: "annVol", label: "Ann. Vol (%)", get: m => m.annVol },
+  { key: "sharpe", label: "Sharpe", get: m => m.sharpe },
+  { key: "sortino", label: "Sortino", get: m => m.sortino },
+  { key: "maxDrawdown", label: "Max Drawdown (%)", get: m => m.maxDrawdown },
+  { key: "drawdownDuration", label: "DD Duration (d)", get: m => m.drawdownDuration },
+  { key: "calmar", label: "Calmar", get: m => m.calmar },
+  { key: "hVaR95", label: "Hist VaR / CVaR 95 (%)", get: m => `${m.var[0.95].historicalVaR} / ${m.var[0.95].historicalCVaR}` },
+  { key: "hVaR99", label: "Hist VaR / CVaR 99 (%)", get: m => `${m.var[0.99].historicalVaR} / ${m.var[0.99].historicalCVaR}` },
+  { key: "pVaR95", label: "Param VaR / CVaR 95 (%)", get: m => `${m.var[0.95].parametricVaR} / ${m.var[0.95].parametricCVaR}` },
+  { key: "pVaR99", label: "Param VaR / CVaR 99 (%)", get: m => `${m.var[0.99].parametricVaR} / ${m.var[0.99].parametricCVaR}` },
+  { key: "skew", label: "Skew", get: m => m.skew },
+  { key: "kurtosis", label: "Excess Kurtosis", get: m => m.kurtosis },
+];
@@ -0,0 +1,139 @@
+import { mean } from "./stats.mjs";
+import { pointMetrics, dieboldMariano } from "./metrics.mjs";
+
+export const FORECAST_MODELS = {
+  naive: {
+    label: "Random Walk", color: "#8b949e", params: [],
+    predict: () => 0,
+  },
+  maCrossover: {
+    label: "MA Crossover", color: "#58a6ff",
+    params: [
+      { key: "fast", label: "FAST", min: 2, max: 50, step: 1, default: 10 },
+      { key: "slow", label: "SLOW", min: 5, max: 200, step: 1, default: 30 },
+    ],
+    warmup: ({ slow }) => slow,
+    predict: (closes, returns, { fast, slow }) => {
+      const fastMa = mean(closes.slice(-fast)), slowMa = mean(closes.slice(-slow));
+      return Math.sign(fastMa - slowMa) * mean(returns.slice(-slow).map(Math.abs));
+    },
+  },
+  expSmoothing: {
+    label: "Exp. Smoothing", color: "#d2a8ff",
+    params: [{ key: "alpha", label: "ALPHA", min: 0.01, max: 1, step: 0.01, default: 0.1 }],
+    warmup: () => 2,
+    predict: (closes, returns, { alpha }) => returns.reduce((level, r) => alpha * r + (1 - alpha) * level, returns[0]),
+  },
+  ar: {
+    label: "AR(p)", color: "#ffa657",
+    params: [
+      { key: "order", label: "P", min: 1, max: 10, step: 1, default: 2 },
+      { key: "lookback", label: "LOOKBACK", min: 30, max: 750, step: 10, default: 120 },
+    ],
+    warmup: ({ order }) => order * 5 + 10,
+    predict: (closes, returns, { order, lookback }, state) => {
+      if (!state.coef || state.sinceFit >= AR_REFIT_EVERY) {
+        state.coef = fitAutoregression(returns.slice(-lookback), order);
+        state.sinceFit = 0;
+      }
+      state.sinceFit++;
+      return state.coef.reduce((f, c, i) => f + (i === 0 ? c : c * returns[returns.length - i]), 0);
+    },
+  },
+  momentum: {
+    label: "Momentum", color: "#3fb950",
+    params: [
+      { key: "lookback", label: "LOOKBACK", min: 5, max: 250, step: 5, default: 60 },
+      { key: "skip", label: "SKIP", min: 0, max: 20, step: 1, default: 5 },
+    ],
+    warmup: ({ lookback, skip }) => lookback + skip,
+    predict: (closes, returns, { lookback, skip }) => {
+      const end = closes.length - 1 - skip;
+      return (closes[end] / closes[Math.max(0, end - lookback)] - 1) / lookback;
+    },
+  },
+};
+const AR_REFIT_EVERY = 20;
+export const DEFAULT_MODELS = ["naive", "maCrossover", "ar"];
+
+export const defaultModelParams = () =>
+  Object.fromEntries(Object.entries(FORECAST_MODELS).map(([id, m]) => [id, Object.fromEntries(m.params.map(p => [p.key, p.default]))]));
+
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    if (Math.abs(M[c][c]) < 1e-12) return Array(n).fill(0);
+    for (let r = 0; r < n; r++) {
+      if (r === c) continue;
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+function fitAutoregression(r, p) {
+  const k = p + 1;
+  const XtX = Array.from({ length: k }, () => Array(k).fill(0)), Xty = Array(k).fill(0);
+  for (let t = p; t < r.length; t++) {
+    const x = [1, ...Array.from({ length: p }, (_, i) => r[t - 1 - i])];
+    for (let i = 0; i < k; i++) {
+      Xty[i] += x[i] * r[t];
+      for (let j = 0; j < k; j++) XtX[i][j] += x[i] * x[j];
+    }
+  }
+  const ridge = 1e-8 * (XtX[0][0] || 1);
+  return solveLinearSystem(XtX.map((row, i) => row.map((v, j) => i === j ? v + ridge : v)), Xty);
+}
+
+function walkForwardForecast(modelId, closes, params) {
+  const model = FORECAST_MODELS[modelId];
+  const warmup = model.warmup?.(params) ?? 1;
+  const returns = closes.slice(1).map((c, i) => c / closes[i] - 1);
+  const state = {};
+  return closes.map((_, t) => {
+    if (t < Math.max(warmup, 2)) return null;
+    return model.predict(closes.slice(0, t), returns.slice(0, t - 1), params, state);
+  });
+}
+
+function leaderboardMetrics(rows, key) {
+  const scored = rows.filter(r => r[key] !== null && r[key] !== undefined);
+  if (scored.length < 3) return null;
+  const actual = scored.map(r => r.actual), forecast = scored.map(r => r[key]);
+  const m = pointMetrics(actual, forecast);
+  const dm = dieboldMariano(actual, forecast);
+  const directional = forecast.some(f => f !== 0);
+  return {
+    hitRate: directional ? +m.hitRate.toFixed(1) : null,
+    ic: directional ? +m.icSpearman.toFixed(3) : null,
+    rmse: +m.rmse.toFixed(3), dm: +dm.stat.toFixed(2), n: scored.length,
+  };
+}
+
+export function runForecastModels(marketData, modelIds, params) {
+  const closes = marketData.prices.map(p => p.actual);
+  const regimes = [...new Set(marketData.returns.map(r => r.regime))];
+  const rows = marketData.returns.map(r => ({ actual: r.actual, regime: r.regime, input: r.forecast }));
+  const models = modelIds.map(id => {
+    const fc = walkForwardForecast(id, closes, params[id]);
+    fc.forEach((f, t) => { rows[t][id] = f === null ? null : +(f * 100).toFixed(3); });
+    return {
+      id, label: FORECAST_MODELS[id].label, color: FORECAST_MODELS[id].color,
+      returns: rows.map(r => r[id]),
+      prices: fc.map((f, t) => f === null || t === 0 ? null : +(closes[t - 1] * (1 + f)).toFixed(2)),
+    };
+  });
+  const board = [{ id: "input", label: marketData.source === "import" ? "Imported Forecast" : "Demo Forecast", color: "#7b8cde" }, ...models]
+    .map(m => ({
+      id: m.id, label: m.label, color: m.color,
+      overall: leaderboardMetrics(rows, m.id),
+      byRegime: Object.fromEntries(regimes.map(n => [n, leaderboardMetrics(rows.filter(r => r.regime === n), m.id)])),
+    }))
+    .sort((a, b) => (b.overall?.hitRate ?? -1) - (a.overall?.hitRate ?? -1) || (b.overall?.ic ?? -1) - (a.overall?.ic ?? -1));
+  return { series: models, leaderboard: board, params: Object.fromEntries(modelIds.map(id => [id, params[id]])) };
+}
@@ -0,0 +1,174 @@
+import { mean, variance, median, normalCdf, TRADING_DAYS, inverseNormalCdf, periodSharpe } from "./stats.mjs";
+import { pointMetrics } from "./metrics.mjs";
+
+export const OVERFIT_DEFAULTS = { mode: "walkforward", inSample: 70, folds: 4, trials: 16, blocks: 8 };
+
+export const OVERFIT_PARAMS = [
+  { key: "inSample", label: "IS %", min: 30, max: 90, step: 5, mode: "split" },
+  { key: "folds", label: "FOLDS", min: 2, max: 10, step: 1, mode: "walkforward" },
+  { key: "trials", label: "TRIALS", min: 2, max: 1000, step: 1 },
+  { key: "blocks", label: "CSCV BLOCKS", min: 4, max: 12, step: 2 },
+];
+const VARIANT_THRESHOLDS = [0, 0.1, 0.25, 0.5];
+const VARIANT_SMOOTHING = [1, 3, 5, 10];
+const EULER_GAMMA = 0.5772156649;
+
+// Strategy variants built from the one forecast: trade sign(smoothed forecast) only when it clears
+// a threshold in units of forecast std. These are the "trials" the overfitting tests penalise.
+function signalVariants(returns) {
+  const f = returns.map(r => r.forecast);
+  const sd = Math.sqrt(variance(f)) || 1;
+  const variants = [];
+  VARIANT_SMOOTHING.forEach(w => {
+    const smooth = f.map((_, t) => mean(f.slice(Math.max(0, t - w + 1), t + 1)));
+    VARIANT_THRESHOLDS.forEach(k => {
+      variants.push({
+        label: `ma${w}/thr${k}`,
+        returns: returns.map((r, t) => Math.abs(smooth[t]) > k * sd ? Math.sign(smooth[t]) * r.actual : 0),
+      });
+    });
+  });
+  return variants;
+}
+
+function deflatedSharpe(strategy, trialSharpes, trials) {
+  const T = strategy.length;
+  if (T < 10) return null;
+  const sr = periodSharpe(strategy);
+  const mu = mean(strategy), m2 = variance(strategy);
+  const skew = m2 ? mean(strategy.map(x => (x - mu) ** 3)) / m2 ** 1.5 : 0;
+  const kurt = m2 ? mean(strategy.map(x => (x - mu) ** 4)) / m2 ** 2 : 3;
+  const srStd = Math.sqrt(Math.max(1 - skew * sr + (kurt - 1) / 4 * sr * sr, 1e-12) / (T - 1));
+  const n = Math.max(trials, 2);
+  const trialVar = trialSharpes.length > 1 && variance(trialSharpes) > 0 ? variance(trialSharpes) : srStd ** 2;
+  const sr0 = Math.sqrt(trialVar) * ((1 - EULER_GAMMA) * inverseNormalCdf(1 - 1 / n) + EULER_GAMMA * inverseNormalCdf(1 - 1 / (n * Math.E)));
+  return {
+    sharpe: +(sr * Math.sqrt(TRADING_DAYS)).toFixed(2),
+    benchmark: +(sr0 * Math.sqrt(TRADING_DAYS)).toFixed(2),
+    psr: +normalCdf(sr / srStd).toFixed(3),
+    dsr: +normalCdf((sr - sr0) / srStd).toFixed(3),
+    trials: n,
+  };
+}
+
+function combinations(n, k) {
+  const out = [];
+  const pick = (start, chosen) => {
+    if (chosen.length === k) { out.push([...chosen]); return; }
+    for (let i = start; i < n; i++) { chosen.push(i); pick(i + 1, chosen); chosen.pop(); }
+  };
+  pick(0, []);
+  return out;
+}
+
+// Each variant's returns are reduced to per-block n / sum / sum of squares once, so a split's Sharpe
+// is a sum over blocks rather than a pass over the data: C(S, S/2) splits × variants × S blocks.
+//
+// The blocks are calendar blocks of the whole series and the best variant is always picked on the
+// whole training half. A regime's PBO then ranks that pick among the variants on the regime's days in
+// the test half, so no block ever joins days from separate episodes. Splits where either half holds
+// fewer than MIN_REGIME_BLOCK_DAYS of the regime are skipped for that regime.
+const MIN_REGIME_BLOCK_DAYS = 5;
+
+function backtestOverfitProbability(variants, blocks, labels) {
+  const T = variants[0]?.returns.length ?? 0;
+  const S = Math.max(2, blocks - (blocks % 2));
+  if (T < S * 5 || variants.length < 2) return null;
+  const bounds = Array.from({ length: S + 1 }, (_, i) => Math.round(i * T / S));
+  const blockMoments = (keep) => variants.map(v => Array.from({ length: S }, (_, b) => {
+    let n = 0, sum = 0, sumSq = 0;
+    for (let t = bounds[b]; t < bounds[b + 1]; t++) if (keep(t)) { n++; sum += v.returns[t]; sumSq += v.returns[t] ** 2; }
+    return { n, sum, sumSq };
+  }));
+  const sharpe = (m, inSet) => {
+    let n = 0, sum = 0, sumSq = 0;
+    for (let b = 0; b < S; b++) if (inSet[b]) { n += m[b].n; sum += m[b].sum; sumSq += m[b].sumSq; }
+    const mu = sum / n, sd = Math.sqrt(Math.max(sumSq / n - mu * mu, 0));
+    return sd > 1e-12 ? mu / sd : 0;
+  };
+  const days = (m, inSet) => m[0].reduce((a, x, b) => a + (inSet[b] ? x.n : 0), 0);
+
+  const overall = blockMoments(() => true);
+  const names = [...new Set(labels)];
+  const regimes = names.map(n => labels.filter(l => l === n).length >= S * MIN_REGIME_BLOCK_DAYS ? blockMoments(t => labels[t] === n) : null);
+  const scores = [overall, ...regimes].map(() => ({ logits: [], is: [], oos: [] }));
+  combinations(S, S / 2).forEach(train => {
+    const inTrain = Array(S).fill(false);
+    train.forEach(b => { inTrain[b] = true; });
+    const inTest = inTrain.map(x => !x);
+    const isSharpe = overall.map(m => sharpe(m, inTrain));
+    const best = isSharpe.indexOf(Math.max(...isSharpe));
+    [overall, ...regimes].forEach((moments, g) => {
+      if (!moments || (g > 0 && Math.min(days(moments, inTrain), days(moments, inTest)) < MIN_REGIME_BLOCK_DAYS)) return;
+      const oosSharpe = moments.map(m => sharpe(m, inTest));
+      const rank = oosSharpe.filter(s => s < oosSharpe[best]).length + 1;
+      const omega = rank / (variants.length + 1);
+      scores[g].logits.push(Math.log(omega / (1 - omega)));
+      scores[g].is.push(sharpe(moments[best], inTrain) * Math.sqrt(TRADING_DAYS));
+      scores[g].oos.push(oosSharpe[best] * Math.sqrt(TRADING_DAYS));
+    });
+  });
+  const summarise = ({ logits, is, oos }) => logits.length ? {
+    pbo: +(logits.filter(l => l <= 0).length / logits.length).toFixed(3),
+    combinations: logits.length,
+    medianLogit: +median(logits).toFixed(3),
+    isSharpe: +mean(is).toFixed(2),
+    oosSharpe: +mean(oos).toFixed(2),
+    variants: variants.length,
+  } : null;
+  return { overall: summarise(scores[0]), byRegime: Object.fromEntries(names.map((n, i) => [n, summarise(scores[i + 1])])) };
+}
+
+export function windowMetrics(rows) {
+  if (rows.length < 3) return null;
+  const m = pointMetrics(rows.map(r => r.actual), rows.map(r => r.forecast));
+  return {
+    hitRate: +m.hitRate.toFixed(1),
+    rmse: +m.rmse.toFixed(3),
+    ic: +m.icSpearman.toFixed(3),
+    sharpe: +(periodSharpe(rows.map(r => Math.sign(r.forecast) * r.actual)) * Math.sqrt(TRADING_DAYS)).toFixed(2),
+  };
+}
+
+function evaluationWindows(returns, { mode, inSample, folds }) {
+  const describe = (label, kind, rows) => ({
+    label, kind, start: rows[0]?.date, end: rows[rows.length - 1]?.date, days: rows.length,
+    overall: windowMetrics(rows),
+    byRegime: Object.fromEntries([...new Set(returns.map(r => r.regime))].map(n => [n, windowMetrics(rows.filter(r => r.regime === n))])),
+  });
+  if (mode === "split") {
+    const cut = Math.round(returns.length * inSample / 100);
+    return [describe("In-sample", "IS", returns.slice(0, cut)), describe("Out-of-sample", "OOS", returns.slice(cut))];
+  }
+  const size = Math.floor(returns.length / (folds + 1));
+  return Array.from({ length: folds }, (_, i) => {
+    const end = (i + 1) * size;
+    const testEnd = i === folds - 1 ? returns.length : end + size;
+    return [describe(`Fold ${i + 1} IS`, "IS", returns.slice(0, end)), describe(`Fold ${i + 1} OOS`, "OOS", returns.slice(end, testEnd))];
+  }).flat();
+}
+
+export function computeOverfitting(returns, settings = OVERFIT_DEFAULTS) {
+  const opts = { ...OVERFIT_DEFAULTS, ...settings };
+  const windows = evaluationWindows(returns, opts);
+  const avg = (kind, key) => {
+    const xs = windows.filter(w => w.kind === kind && w.overall).map(w => w.overall[key]);
+    return xs.length ? mean(xs) : null;
+  };
+  const degradation = Object.fromEntries(["hitRate", "ic", "sharpe"].map(k => {
+    const is = avg("IS", k), oos = avg("OOS", k);
+    return [k, is === null || oos === null ? null : +(oos - is).toFixed(3)];
+  }));
+
+  // Variants are smoothed over the whole series and only then narrowed to a regime's days, so a
+  // moving average never runs across the gap between two episodes.
+  const variants = signalVariants(returns);
+  const strategy = returns.map(r => Math.sign(r.forecast) * r.actual);
+  const pbo = backtestOverfitProbability(variants, opts.blocks, returns.map(r => r.regime));
+  const dsr = (keep) => {
+    const on = (xs) => xs.filter((_, t) => keep(returns[t]));
+    return deflatedSharpe(on(strategy), variants.map(v => periodSharpe(on(v.returns))), opts.trials);
+  };
+  const byRegime = Object.fromEntries([...new Set(returns.map(r => r.regime))].map(n => [n, { dsr: dsr(r => r.regime === n), pbo: pbo?.byRegime[n] ?? null }]));
+  return { settings: opts, windows, degradation, overall: { dsr: dsr(() => true), pbo: pbo?.overall ?? null }, byRegime };
+}
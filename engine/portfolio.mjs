@@ -0,0 +1,127 @@
+import { mean, variance, pearson, TRADING_DAYS, rollingStd } from "./stats.mjs";
+import { summarizeMarketData, IMPORT_VOL_WINDOW } from "./data.mjs";
+import { directionalHit } from "./metrics.mjs";
+
+export const PORTFOLIO_TICKER = "PORTFOLIO";
+const CORRELATION_WINDOW = 60;
+const HEATMAP_COLUMNS = 40;
+
+const WEIGHT_UNITS = "a fraction like 0.6 or a percent like 60%";
+
+// Weights are fractions, or percents when written with "%". Bare numbers are read as percents too
+// once any of them is above 1, so "NVDA:60, AMD:40" means 60/40 rather than a normalised 60:40.
+export function parseTickerList(text) {
+  const errors = [];
+  const entries = text.split(/[,;\s]+/).filter(Boolean).map(token => {
+    const [name, weight] = token.split(/[:=@]/);
+    const symbol = name.trim().toUpperCase();
+    if (!/^[A-Z0-9.^-]{1,12}$/.test(symbol)) errors.push(`"${token}" is not a valid ticker`);
+    const percent = weight?.endsWith("%") ?? false;
+    const w = weight === undefined || weight === "" ? null : Number(percent ? weight.slice(0, -1) : weight);
+    if (w !== null && !Number.isFinite(w)) errors.push(`"${token}" has a non-numeric weight — use ${WEIGHT_UNITS}`);
+    return { ticker: symbol, weight: w, percent };
+  });
+  const dupes = entries.map(e => e.ticker).filter((t, i, all) => all.indexOf(t) !== i);
+  if (dupes.length) errors.push(`Duplicate ticker${dupes.length > 1 ? "s" : ""}: ${[...new Set(dupes)].join(", ")}`);
+  if (!entries.length) errors.push("Enter at least one ticker");
+  if (errors.length) return { holdings: [], errors };
+
+  const barePercents = entries.some(e => !e.percent && e.weight !== null && Math.abs(e.weight) > 1);
+  entries.forEach(e => { if (e.weight !== null && (e.percent || barePercents)) e.weight /= 100; });
+  const given = entries.filter(e => e.weight !== null);
+  const open = entries.length - given.length;
+  const assigned = given.reduce((a, e) => a + e.weight, 0);
+  if (given.length && open && assigned >= 1) {
+    const unweighted = entries.filter(e => e.weight === null).map(e => e.ticker);
+    return { holdings: [], errors: [`Weights already sum to ${+(assigned * 100).toFixed(1)}%; ${unweighted.join(", ")} ${unweighted.length > 1 ? "have" : "has"} no weight (each weight is ${WEIGHT_UNITS})`] };
+  }
+  const fill = given.length && open ? (1 - assigned) / open : 1;
+  const raw = entries.map(e => ({ ...e, weight: e.weight ?? fill }));
+  const gross = raw.reduce((a, e) => a + Math.abs(e.weight), 0);
+  if (!gross) return { holdings: [], errors: ["Weights sum to zero"] };
+  return { holdings: raw.map(e => ({ ticker: e.ticker, weight: +(e.weight / gross).toFixed(4) })), errors: [] };
+}
+
+export function buildPortfolioMarketData(seriesList, holdings) {
+  const byDate = seriesList.map(s => new Map(s.returns.map(r => [r.date, r])));
+  const dates = seriesList[0].returns.map(r => r.date).filter(d => byDate.every(m => m.has(d)));
+  if (dates.length < 2) return { error: "Tickers share fewer than two trading days — check the date ranges of the imported files" };
+  const weights = seriesList.map(s => holdings.find(h => h.ticker === s.ticker).weight);
+
+  const prices = [], returns = [];
+  let price = 100;
+  const portRets = dates.map(date => {
+    const rows = byDate.map(m => m.get(date));
+    const actual = rows.reduce((a, r, i) => a + weights[i] * r.actual, 0);
+    const forecast = rows.reduce((a, r, i) => a + weights[i] * r.forecast, 0);
+    const forecastPrice = price * (1 + forecast / 100);
+    price *= 1 + actual / 100;
+    prices.push({ date, actual: +price.toFixed(2), forecast: +forecastPrice.toFixed(2), regime: "Unlabeled" });
+    returns.push({ date, actual: +actual.toFixed(3), forecast: +forecast.toFixed(3), regime: "Unlabeled" });
+    return actual / 100;
+  });
+  const vol = rollingStd(portRets, IMPORT_VOL_WINDOW);
+  const volatility = dates.map((date, i) => ({ date, vol: +(vol[i] * 100).toFixed(3), regime: "Unlabeled" }));
+  return { ...summarizeMarketData(prices, returns, volatility), ticker: PORTFOLIO_TICKER, source: "portfolio", holdings };
+}
+
+export function regimeMatrix(seriesList, portfolio) {
+  const regimeOf = new Map(portfolio.returns.map(r => [r.date, r.regime]));
+  const regimes = portfolio.regimeSummary.map(r => r.name);
+  const cell = (rows) => {
+    if (rows.length < 2) return null;
+    const actual = rows.map(r => r.actual);
+    const sd = Math.sqrt(variance(actual));
+    const hits = rows.filter(r => directionalHit(r.actual, r.forecast)).length;
+    return {
+      ret: +mean(actual).toFixed(3),
+      hitRate: +(hits / rows.length * 100).toFixed(1),
+      sharpe: sd ? +(mean(actual) / sd * Math.sqrt(TRADING_DAYS)).toFixed(2) : null,
+      days: rows.length,
+    };
+  };
+  const rows = [...seriesList, portfolio].map(s => ({
+    ticker: s.ticker,
+    cells: Object.fromEntries(regimes.map(n => [n, cell(s.returns.filter(r => regimeOf.get(r.date) === n))])),
+  }));
+  return { regimes, rows };
+}
+
+export function correlationAnalysis(seriesList) {
+  const byDate = seriesList.map(s => new Map(s.returns.map(r => [r.date, r.actual])));
+  const dates = seriesList[0].returns.map(r => r.date).filter(d => byDate.every(m => m.has(d)));
+  const cols = byDate.map(m => dates.map(d => m.get(d)));
+  const pairs = [];
+  for (let i = 0; i < seriesList.length; i++) for (let j = i + 1; j < seriesList.length; j++) pairs.push([i, j]);
+  const step = Math.max(1, Math.ceil((dates.length - CORRELATION_WINDOW) / HEATMAP_COLUMNS));
+  const ends = [];
+  for (let t = Math.min(CORRELATION_WINDOW, dates.length) - 1; t < dates.length; t += step) ends.push(t);
+  return {
+    window: CORRELATION_WINDOW,
+    dates: ends.map(t => dates[t]),
+    pairs: pairs.map(([i, j]) => ({
+      pair: `${seriesList[i].ticker}/${seriesList[j].ticker}`,
+      full: +pearson(cols[i], cols[j]).toFixed(3),
+      rolling: ends.map(t => {
+        const lo = Math.max(0, t - CORRELATION_WINDOW + 1);
+        return +pearson(cols[i].slice(lo, t + 1), cols[j].slice(lo, t + 1)).toFixed(3);
+      }),
+    })),
+  };
+}
+
+export function comparisonPromptText(comparison) {
+  const { holdings, series, portfolio, matrix, correlation } = comparison;
+  const line = (d) => `${d.ticker}${d.ticker === PORTFOLIO_TICKER ? "" : ` (weight ${(holdings.find(h => h.ticker === d.ticker).weight * 100).toFixed(1)}%)`}: return ${d.totalReturn}%, Sharpe ${d.sharpe}, max DD ${d.risk?.maxDrawdown}%, hit rate ${d.signalAccuracy}%, IC ${d.forecastMetrics.overall?.icSpearman.value ?? "n/a"}, DSR ${d.overfitting?.overall.dsr?.dsr ?? "n/a"}`;
+  const matrixText = matrix.rows.map(r =>
+    `${r.ticker}: ${matrix.regimes.map(n => { const c = r.cells[n]; return `${n} ${c ? `ret ${c.ret}%/day, hit ${c.hitRate}%, Sharpe ${c.sharpe}` : "n/a"}`; }).join("; ")}`
+  ).join("\n");
+  const corrText = correlation.pairs.map(p => `${p.pair} full ${p.full}, rolling ${correlation.window}d range ${Math.min(...p.rolling)}…${Math.max(...p.rolling)}`).join("; ");
+  return `Per-ticker and portfolio:
+${[...Object.values(series), portfolio].map(line).join("\n")}
+
+Regime-performance matrix (regimes from the portfolio series, applied to each name on the same dates):
+${matrixText}
+
+Correlations: ${corrText || "n/a"}`;
+}
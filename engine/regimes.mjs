@@ -0,0 +1,326 @@
+import { mean, variance, median } from "./stats.mjs";
+import { summarizeMarketData } from "./data.mjs";
+
+export const CAUSAL_WARMUP_DAYS = 60;
+export const CAUSAL_REFIT_DAYS = 63;
+
+// `asOf` describes the detector's causal labels (see causalRegimeLabels).
+export const REGIME_DETECTORS = {
+  hmm: { label: "GAUSSIAN HMM", params: [
+    { key: "states", label: "STATES", min: 2, max: 4, step: 1, default: 3 },
+    { key: "iterations", label: "ITERATIONS", min: 5, max: 200, step: 5, default: 50 },
+  ], asOf: `an HMM refitted every ${CAUSAL_REFIT_DAYS} days on the data up to then and forward-filtered day by day in between, not the smoothed full-sample labels on the charts` },
+  threshold: { label: "ROLLING THRESHOLD", params: [
+    { key: "window", label: "WINDOW", min: 5, max: 120, step: 1, default: 20 },
+    { key: "volMultiple", label: "VOL × MEDIAN", min: 1, max: 3, step: 0.1, default: 1.5 },
+  ], asOf: "threshold labels whose volatility cut is the median of the volatility seen so far, not the full-sample cut on the charts" },
+  changepoint: { label: "CHANGE-POINT", params: [
+    { key: "penalty", label: "PENALTY", min: 0.5, max: 20, step: 0.5, default: 3 },
+    { key: "minSegment", label: "MIN SEGMENT", min: 5, max: 120, step: 1, default: 10 },
+  ], asOf: `change points re-found every ${CAUSAL_REFIT_DAYS} days on the data up to then, with the latest segment extended day by day, not the full-sample segmentation on the charts` },
+  labels: { label: "SOURCE LABELS", params: [], asOf: "the source labels as supplied, which are free of look-ahead only if the source assigned them in real time" },
+};
+const RECOVERY_DRAWDOWN = 0.05;
+const CHANGEPOINT_VOL_MULTIPLE = 1.5;
+const POSTERIOR_WINDOW = 5;
+
+export const defaultDetectorParams = (detector) =>
+  Object.fromEntries(REGIME_DETECTORS[detector].params.map(p => [p.key, p.default]));
+
+const logGaussian = (x, mu, v) => -0.5 * (Math.log(2 * Math.PI * v) + (x - mu) ** 2 / v);
+
+function drawdownSeries(returnsPct) {
+  let equity = 1, peak = 1;
+  return returnsPct.map(r => { equity *= 1 + r / 100; peak = Math.max(peak, equity); return 1 - equity / peak; });
+}
+
+function classifyRegime({ mean: mu, vol, drawdown }, volCut) {
+  if (vol > volCut) return "Volatile";
+  if (mu < 0) return "Bear";
+  if (drawdown > RECOVERY_DRAWDOWN) return "Recovery";
+  return "Bull";
+}
+
+function labelPosteriors(x, labels) {
+  const names = [...new Set(labels)];
+  const floor = variance(x) * 1e-3 || 1e-8;
+  const stats = Object.fromEntries(names.map(n => {
+    const xs = x.filter((_, i) => labels[i] === n);
+    return [n, { mu: mean(xs), v: Math.max(variance(xs), floor), prior: xs.length / x.length }];
+  }));
+  const half = POSTERIOR_WINDOW >> 1;
+  return x.map((_, t) => {
+    const lo = Math.max(0, t - half), hi = Math.min(x.length, t + half + 1);
+    const logp = names.map(n => {
+      let lp = Math.log(stats[n].prior);
+      for (let i = lo; i < hi; i++) lp += logGaussian(x[i], stats[n].mu, stats[n].v);
+      return lp;
+    });
+    const max = Math.max(...logp);
+    const w = logp.map(l => Math.exp(l - max));
+    const total = w.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(names.map((n, i) => [n, w[i] / total]));
+  });
+}
+
+function rollingStats(x, window) {
+  const dd = drawdownSeries(x);
+  return x.map((_, t) => {
+    const xs = x.slice(Math.max(0, t - window + 1), t + 1);
+    return { mean: mean(xs), vol: Math.sqrt(variance(xs)), drawdown: dd[t] };
+  });
+}
+
+function detectThresholdRegimes(x, { window, volMultiple }) {
+  const rolling = rollingStats(x, window);
+  const volCut = median(rolling.map(r => r.vol)) * volMultiple;
+  const labels = rolling.map(r => classifyRegime(r, volCut));
+  return { labels, probs: labelPosteriors(x, labels), info: { volCut: +volCut.toFixed(3) } };
+}
+
+function segmentChangePoints(x, { penalty, minSegment: requestedMin }) {
+  const n = x.length;
+  const minSegment = Math.min(Math.max(Math.round(requestedMin), 1), n);
+  const cs = [0], cs2 = [0];
+  x.forEach((v, i) => { cs.push(cs[i] + v); cs2.push(cs2[i] + v * v); });
+  const floor = variance(x) * 1e-3 || 1e-8;
+  const cost = (s, e) => {
+    const len = e - s, m = (cs[e] - cs[s]) / len;
+    return len * Math.log(Math.max((cs2[e] - cs2[s]) / len - m * m, floor));
+  };
+  const beta = penalty * Math.log(n);
+  const F = [-beta], last = [0];
+  let candidates = [0];
+  for (let t = 1; t <= n; t++) {
+    F[t] = Infinity;
+    candidates.filter(s => t - s >= minSegment).forEach(s => {
+      const f = F[s] + cost(s, t) + beta;
+      if (f < F[t]) { F[t] = f; last[t] = s; }
+    });
+    if (F[t] < Infinity) candidates = candidates.filter(s => t - s < minSegment || F[s] + cost(s, t) <= F[t]);
+    candidates.push(t);
+  }
+  const bounds = [];
+  for (let t = n; t > 0; t = last[t]) bounds.unshift([last[t], t]);
+
+  const dd = drawdownSeries(x);
+  const segments = bounds.map(([s, e]) => {
+    const xs = x.slice(s, e);
+    return { start: s, end: e, mean: mean(xs), vol: Math.sqrt(variance(xs)), drawdown: s > 0 ? dd[s - 1] : 0 };
+  });
+  const volCut = median(x.map((_, t) => segments.find(sg => t < sg.end).vol)) * CHANGEPOINT_VOL_MULTIPLE;
+  return { bounds, segments, volCut };
+}
+
+function detectChangePointRegimes(x, params) {
+  const { bounds, segments, volCut } = segmentChangePoints(x, params);
+  const labels = [];
+  segments.forEach(sg => { const r = classifyRegime(sg, volCut); for (let t = sg.start; t < sg.end; t++) labels.push(r); });
+  return { labels, probs: labelPosteriors(x, labels), info: { changePoints: bounds.slice(1).map(([s]) => s) } };
+}
+
+function fitGaussianHmm(x, K, iterations) {
+  const T = x.length;
+  const total = variance(x);
+  const floor = total * 1e-3 || 1e-8;
+  let mu = Array(K).fill(mean(x));
+  let v = Array.from({ length: K }, (_, k) => Math.max(total * 2 ** (k - (K - 1) / 2), floor));
+  let pi = Array(K).fill(1 / K);
+  let A = Array.from({ length: K }, (_, i) => Array.from({ length: K }, (_, j) => i === j ? 0.95 : 0.05 / (K - 1)));
+  let gamma = [], logLik = -Infinity;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const b = x.map(xt => mu.map((m, k) => Math.exp(logGaussian(xt, m, v[k]))));
+    const alpha = Array(T), beta = Array(T), c = Array(T);
+    for (let t = 0; t < T; t++) {
+      const a = Array(K);
+      let sum = 0;
+      for (let k = 0; k < K; k++) {
+        let prior = 0;
+        if (t === 0) prior = pi[k];
+        else for (let j = 0; j < K; j++) prior += alpha[t - 1][j] * A[j][k];
+        a[k] = prior * b[t][k];
+        sum += a[k];
+      }
+      c[t] = sum || 1e-300;
+      for (let k = 0; k < K; k++) a[k] /= c[t];
+      alpha[t] = a;
+    }
+    beta[T - 1] = Array(K).fill(1);
+    for (let t = T - 2; t >= 0; t--) {
+      beta[t] = Array(K).fill(0);
+      for (let j = 0; j < K; j++) {
+        for (let k = 0; k < K; k++) beta[t][j] += A[j][k] * b[t + 1][k] * beta[t + 1][k];
+        beta[t][j] /= c[t + 1];
+      }
+    }
+    gamma = alpha.map((a, t) => { const g = a.map((y, k) => y * beta[t][k]); const s = g.reduce((p, q) => p + q, 0) || 1; return g.map(y => y / s); });
+    const xiSum = Array.from({ length: K }, () => Array(K).fill(0));
+    for (let t = 0; t < T - 1; t++) {
+      for (let j = 0; j < K; j++) for (let k = 0; k < K; k++) {
+        xiSum[j][k] += alpha[t][j] * A[j][k] * b[t + 1][k] * beta[t + 1][k] / c[t + 1];
+      }
+    }
+    const nextLogLik = c.reduce((s, y) => s + Math.log(y), 0);
+
+    pi = gamma[0].map(g => Math.max(g, 1e-6));
+    A = xiSum.map(row => { const s = row.reduce((p, q) => p + q, 0) || 1; return row.map(y => Math.max(y / s, 1e-6)); });
+    const weight = mu.map((_, k) => gamma.reduce((s, g) => s + g[k], 0) || 1e-12);
+    mu = mu.map((_, k) => gamma.reduce((s, g, t) => s + g[k] * x[t], 0) / weight[k]);
+    v = v.map((_, k) => Math.max(gamma.reduce((s, g, t) => s + g[k] * (x[t] - mu[k]) ** 2, 0) / weight[k], floor));
+
+    if (Math.abs(nextLogLik - logLik) < 1e-6) { logLik = nextLogLik; break; }
+    logLik = nextLogLik;
+  }
+  return { mu, v, pi, A, gamma, logLik };
+}
+
+function viterbi(x, { mu, v, pi, A }) {
+  const K = mu.length;
+  let delta = mu.map((m, k) => Math.log(pi[k]) + logGaussian(x[0], m, v[k]));
+  const psi = [Array(K).fill(0)];
+  for (let t = 1; t < x.length; t++) {
+    const next = [], back = [];
+    for (let k = 0; k < K; k++) {
+      let best = -Infinity, arg = 0;
+      for (let j = 0; j < K; j++) { const s = delta[j] + Math.log(A[j][k]); if (s > best) { best = s; arg = j; } }
+      next.push(best + logGaussian(x[t], mu[k], v[k]));
+      back.push(arg);
+    }
+    delta = next;
+    psi.push(back);
+  }
+  const path = Array(x.length);
+  path[x.length - 1] = delta.indexOf(Math.max(...delta));
+  for (let t = x.length - 1; t > 0; t--) path[t - 1] = psi[t][path[t]];
+  return path;
+}
+
+function nameHmmStates(mu, v) {
+  const names = Array(mu.length);
+  let order = mu.map((_, k) => k);
+  if (mu.length >= 3) {
+    const noisiest = order.reduce((a, k) => v[k] > v[a] ? k : a, 0);
+    names[noisiest] = "Volatile";
+    order = order.filter(k => k !== noisiest);
+  }
+  order.sort((a, b) => mu[b] - mu[a]);
+  names[order[0]] = "Bull";
+  names[order[order.length - 1]] = "Bear";
+  if (order.length === 3) names[order[1]] = "Recovery";
+  return names;
+}
+
+const hmmStateCount = (states) => Math.min(Math.max(Math.round(states), 2), 4);
+
+function detectHmmRegimes(x, { states, iterations }) {
+  const K = hmmStateCount(states);
+  const model = fitGaussianHmm(x, K, iterations);
+  const names = nameHmmStates(model.mu, model.v);
+  const labels = viterbi(x, model).map(k => names[k]);
+  const probs = model.gamma.map(g => {
+    const p = {};
+    g.forEach((y, k) => { p[names[k]] = (p[names[k]] ?? 0) + y; });
+    return p;
+  });
+  return {
+    labels, probs,
+    info: {
+      logLik: +model.logLik.toFixed(2),
+      states: names.map((n, k) => ({ name: n, mean: +model.mu[k].toFixed(3), vol: +Math.sqrt(model.v[k]).toFixed(3), persistence: +model.A[k][k].toFixed(3) })),
+    },
+  };
+}
+
+export function detectRegimes(returns, detector, params) {
+  const x = returns.map(r => r.actual);
+  if (detector === "labels" || x.length < 3) {
+    const labels = returns.map(r => r.regime);
+    return { detector: "labels", params: {}, labels, probs: labels.map(l => ({ [l]: 1 })), info: {} };
+  }
+  const run = { threshold: detectThresholdRegimes, changepoint: detectChangePointRegimes, hmm: detectHmmRegimes }[detector];
+  return { detector, params, ...run(x, { ...defaultDetectorParams(detector), ...params }) };
+}
+
+// P(state at t | x up to t) under fixed parameters.
+function forwardFilter(x, { mu, v, pi, A }) {
+  const K = mu.length;
+  let prev = pi;
+  return x.map((xt, t) => {
+    const a = Array(K);
+    let sum = 0;
+    for (let k = 0; k < K; k++) {
+      let prior = 0;
+      if (t === 0) prior = pi[k];
+      else for (let j = 0; j < K; j++) prior += prev[j] * A[j][k];
+      a[k] = prior * Math.exp(logGaussian(xt, mu[k], v[k]));
+      sum += a[k];
+    }
+    if (sum > 0) prev = a.map(y => y / sum);
+    return prev;
+  });
+}
+
+// Refits every CAUSAL_REFIT_DAYS on the expanding sample; `labelWindow(s, end)` labels days s - 1 …
+// end - 1 from the fit on the first s days and the data up to each of those days.
+function expandingLabels(n, labelWindow) {
+  const labels = Array(n).fill(null);
+  for (let s = CAUSAL_WARMUP_DAYS; s <= n; s += CAUSAL_REFIT_DAYS) {
+    labelWindow(s, Math.min(s - 1 + CAUSAL_REFIT_DAYS, n)).forEach((label, i) => { labels[s - 1 + i] = label; });
+  }
+  return labels;
+}
+
+// The rolling stats already look back only; the volatility cut becomes the median seen so far.
+function causalThresholdLabels(x, { window, volMultiple }) {
+  const seen = [];
+  return rollingStats(x, window).map((r, t) => {
+    let lo = 0, hi = seen.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (seen[mid] < r.vol) lo = mid + 1; else hi = mid; }
+    seen.splice(lo, 0, r.vol);
+    return t + 1 < CAUSAL_WARMUP_DAYS ? null : classifyRegime(r, median(seen) * volMultiple);
+  });
+}
+
+// Between refits no new change point is assumed: each day extends the latest segment and is labelled
+// from that segment's stats so far against the refit's volatility cut.
+function causalChangePointLabels(x, params) {
+  const dd = drawdownSeries(x);
+  return expandingLabels(x.length, (s, end) => {
+    const { segments, volCut } = segmentChangePoints(x.slice(0, s), params);
+    const start = segments[segments.length - 1].start;
+    return Array.from({ length: end - s + 1 }, (_, i) => {
+      const xs = x.slice(start, s + i);
+      return classifyRegime({ mean: mean(xs), vol: Math.sqrt(variance(xs)), drawdown: start > 0 ? dd[start - 1] : 0 }, volCut);
+    });
+  });
+}
+
+function causalHmmLabels(x, { states, iterations }) {
+  const K = hmmStateCount(states);
+  return expandingLabels(x.length, (s, end) => {
+    const model = fitGaussianHmm(x.slice(0, s), K, iterations);
+    const names = nameHmmStates(model.mu, model.v);
+    return forwardFilter(x.slice(0, end), model).slice(s - 1).map(p => names[p.indexOf(Math.max(...p))]);
+  });
+}
+
+// The regime each day as the detector would have called it with only the data up to and including
+// that day (null while it warms up), for trading decisions such as the backtest's regime gate. The
+// labels from detectRegimes are fitted with the whole sample in view and must not drive trades.
+// Refitting is costly, so callers compute these only when something trades on them.
+export function causalRegimeLabels(returns, detector, params) {
+  const x = returns.map(r => r.actual);
+  if (detector === "labels" || x.length < 3) return returns.map(r => r.regime);
+  const run = { threshold: causalThresholdLabels, changepoint: causalChangePointLabels, hmm: causalHmmLabels }[detector];
+  return run(x, { ...defaultDetectorParams(detector), ...params });
+}
+
+export function applyRegimeDetection(marketData, detection, options = {}) {
+  const { labels, probs } = detection;
+  const relabel = (rows) => rows.map((row, i) => ({ ...row, regime: labels[i], confidence: +(probs[i][labels[i]] ?? 0).toFixed(3) }));
+  const prices = relabel(marketData.prices), returns = relabel(marketData.returns), volatility = relabel(marketData.volatility);
+  const regimeProbs = returns.map((r, i) => ({ date: r.date, ...Object.fromEntries(Object.entries(probs[i]).map(([k, p]) => [k, +p.toFixed(3)])) }));
+  const regimeModel = { detector: detection.detector, label: REGIME_DETECTORS[detection.detector].label, params: detection.params, ...detection.info };
+  return { ...marketData, ...summarizeMarketData(prices, returns, volatility, options), regimeProbs, regimeModel };
+}
@@ -0,0 +1,292 @@
+import { REGIME_COLORS } from "./data.mjs";
+import { REGIME_DETECTORS } from "./regimes.mjs";
+import { FORECAST_METRICS, formatMetric, RISK_METRICS } from "./metrics.mjs";
+import { BACKTEST_RULES, BACKTEST_PERFORMANCE, BACKTEST_ATTRIBUTION } from "./backtest.mjs";
+import { ANALYSIS_MODEL, partialReportSections } from "./analysis.mjs";
+import { chatTurns } from "./chat.mjs";
+
+export function summaryStatCards(data) {
+  const tone = (v) => v > 1 ? "#00d4aa" : v > 0 ? "#f5a623" : "#ff4d6d";
+  return [
+    { label: "TOTAL RETURN", value: `${data.totalReturn > 0 ? "+" : ""}${data.totalReturn}%`, color: data.totalReturn > 0 ? "#00d4aa" : "#ff4d6d" },
+    { label: "AVG VOLATILITY", value: `${data.avgVol}%`, color: "#f5a623" },
+    { label: "DIRECTIONAL HIT RATE", value: data.signalAccuracy === null ? "—" : `${data.signalAccuracy}%`, color: "#7b8cde" },
+    { label: "SHARPE RATIO", value: data.sharpe ?? "—", color: tone(data.sharpe) },
+    ...(data.risk ? [
+      { label: "SORTINO RATIO", value: data.risk.sortino ?? "—", color: tone(data.risk.sortino) },
+      { label: "MAX DRAWDOWN", value: `${data.risk.maxDrawdown}%`, sub: `${data.risk.drawdownDuration}d longest underwater`, color: "#ff4d6d" },
+      { label: "CALMAR RATIO", value: data.risk.calmar ?? "—", color: tone(data.risk.calmar) },
+      { label: "SKEW / KURTOSIS", value: `${data.risk.skew} / ${data.risk.kurtosis}`, sub: "excess kurtosis", color: "#7b8cde" },
+      { label: "VAR 95% (HIST)", value: `${data.risk.var[0.95].historicalVaR}%`, sub: `parametric ${data.risk.var[0.95].parametricVaR}%`, color: "#f5a623" },
+      { label: "CVAR 95% (HIST)", value: `${data.risk.var[0.95].historicalCVaR}%`, sub: `parametric ${data.risk.var[0.95].parametricCVaR}%`, color: "#f5a623" },
+      { label: "VAR 99% (HIST)", value: `${data.risk.var[0.99].historicalVaR}%`, sub: `parametric ${data.risk.var[0.99].parametricVaR}%`, color: "#ff4d6d" },
+      { label: "CVAR 99% (HIST)", value: `${data.risk.var[0.99].historicalCVaR}%`, sub: `parametric ${data.risk.var[0.99].parametricCVaR}%`, color: "#ff4d6d" },
+    ] : []),
+  ];
+}
+
+export const RUN_BUNDLE_FORMAT = "regimeiq-run";
+export const RUN_BUNDLE_VERSION = 1;
+const EXPORT_CHART_POINTS = 400;
+
+export function buildRunBundle({ params, data, comparison, analysis, chat = null }) {
+  return {
+    format: RUN_BUNDLE_FORMAT,
+    version: RUN_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    params,
+    data,
+    comparison,
+    analysis: analysis && { subject: analysis.subject, model: ANALYSIS_MODEL, text: analysis.text, report: analysis.report },
+    chat: chat?.messages.length ? chat : null,
+  };
+}
+
+export function parseRunBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    return { error: `Not valid JSON: ${e.message}` };
+  }
+  if (bundle?.format !== RUN_BUNDLE_FORMAT) return { error: "Not a RegimeIQ run bundle — use IMPORT CSV / JSON for price series" };
+  if (!(bundle.version <= RUN_BUNDLE_VERSION)) return { error: `Bundle version ${bundle.version} is newer than this app supports (${RUN_BUNDLE_VERSION})` };
+  if (!bundle.params || !bundle.data?.prices?.length || !bundle.data.regimeSummary) return { error: "Bundle is missing its parameters or market data" };
+  return { bundle };
+}
+
+export const exportFileName = (data, suffix, ext) =>
+  `regimeiq-${data.ticker}-${data.prices[0].date}-${data.prices[data.prices.length - 1].date}${suffix ? `-${suffix}` : ""}.${ext}`;
+
+const csvCell = (v) => v === null || v === undefined ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+// Columns follow the row objects, so a prices export re-imports directly (close is aliased as "actual").
+export function seriesCsv(data, key) {
+  const rows = data[key];
+  const models = key === "volatility" ? [] : data.models?.series ?? [];
+  const columns = Object.keys(rows[0]).filter(c => c !== "regime");
+  const header = [...columns, ...models.map(m => `model_${m.id}`), "regime"];
+  const lines = rows.map((row, i) => [...columns.map(c => row[c]), ...models.map(m => m[key][i]), row.regime].map(csvCell).join(","));
+  return [header.join(","), ...lines].join("\n");
+}
+
+// Table content shared by the Markdown and HTML reports: [{ title, header, rows }] with plain-text cells.
+export function reportTables(data) {
+  const regimes = data.regimeSummary.map(r => r.name);
+  const header = ["Metric", "Overall", ...regimes];
+  const tables = [{
+    title: "Regime breakdown",
+    header: ["Regime", "Days", "Actual %/day", "Forecast %/day", "Daily vol %", "Confidence %"],
+    rows: data.regimeSummary.map(r => [r.name, r.count, r.actualReturn, r.forecastReturn, r.avgVol, r.confidence ?? "—"]),
+  }];
+  if (data.forecastMetrics.overall) {
+    tables.push({
+      title: "Forecast quality (95% bootstrap CI)",
+      header,
+      rows: [
+        ...FORECAST_METRICS.map(({ key, label, unit }) => [
+          `${label}${unit && ` (${unit})`}`,
+          formatMetric(data.forecastMetrics.overall[key]),
+          ...data.regimeSummary.map(r => formatMetric(r.metrics?.[key])),
+        ]),
+        ["DM vs random walk (p)", ...[data.forecastMetrics.overall, ...data.regimeSummary.map(r => r.metrics)].map(m => m ? `${m.dm.stat.toFixed(2)} (${m.dm.pValue.toFixed(3)})` : "—")],
+      ],
+    });
+  }
+  if (data.risk) {
+    tables.push({
+      title: `Risk by regime (risk-free ${data.riskFree}%)`,
+      header,
+      rows: RISK_METRICS.map(({ label, get }) => [label, ...[data.risk, ...data.regimeSummary.map(r => r.risk)].map(m => m ? get(m) ?? "—" : "—")]),
+    });
+  }
+  if (data.transitions) {
+    const t = data.transitions;
+    tables.push({
+      title: "Regime transition probabilities (row → column, next day)",
+      header: ["From", ...t.regimes],
+      rows: t.regimes.map(a => [a, ...t.regimes.map(b => t.matrix.probs[a][b] ?? "—")]),
+    });
+    tables.push({
+      title: `Regime durations (days; ${t.current.regime} running for ${t.current.age})`,
+      header: ["Regime", "Episodes", "Mean", "Median", "Max", "Markov"],
+      rows: t.regimes.map(n => [n, ...["episodes", "mean", "median", "max", "markov"].map(k => t.durations.byRegime[n][k] ?? "—")]),
+    });
+    const w = t.switches;
+    tables.push({
+      title: `Forecasts ±${w.window} days around ${w.count} regime switches`,
+      header: ["Metric", "Before", "After", "Away"],
+      rows: [["Hit rate %", "hitRate"], ["IC", "ic"], ["RMSE", "rmse"], ["Signal Sharpe", "sharpe"], ["Days", "days"]]
+        .map(([label, key]) => [label, ...[w.before, w.after, w.away].map(x => x?.[key] ?? "—")]),
+    });
+    tables.push({
+      title: "Regime episodes",
+      header: ["Regime", "Start", "End", "Days", "Return %", "Max DD %", "Hit %", "MAE"],
+      rows: t.episodes.map(e => [e.ongoing ? `${e.regime} (ongoing)` : e.regime, e.start, e.end, e.days, e.return, e.drawdown, e.hitRate, e.mae]),
+    });
+  }
+  if (data.models) {
+    tables.push({
+      title: "Model leaderboard (hit % · IC · RMSE · DM vs RW)",
+      header: ["Model", "Overall", ...regimes],
+      rows: data.models.leaderboard.map((m, rank) => [
+        `${rank + 1}. ${m.label}`,
+        ...[m.overall, ...regimes.map(n => m.byRegime[n])].map(x => x ? `${x.hitRate ?? "—"}${x.hitRate !== null ? "%" : ""} · ${x.ic ?? "—"} · ${x.rmse} · ${x.dm}` : "—"),
+      ]),
+    });
+  }
+  if (data.overfitting) {
+    const o = data.overfitting;
+    tables.push({
+      title: `Overfitting (${o.degradation.hitRate ?? "—"}pp OOS − IS hit rate, ${o.degradation.sharpe ?? "—"} OOS − IS Sharpe)`,
+      header,
+      rows: [
+        { label: "Deflated Sharpe (prob)", get: x => x.dsr?.dsr },
+        { label: "Probabilistic Sharpe", get: x => x.dsr?.psr },
+        { label: "PBO", get: x => x.pbo?.pbo },
+        { label: "Best IS → OOS Sharpe", get: x => x.pbo && `${x.pbo.isSharpe} → ${x.pbo.oosSharpe}` },
+      ].map(({ label, get }) => [label, ...[o.overall, ...regimes.map(n => o.byRegime[n])].map(x => (x && get(x)) ?? "—")]),
+    });
+  }
+  if (data.backtest) {
+    const b = data.backtest;
+    tables.push({
+      title: `Strategy backtest (${BACKTEST_RULES[b.settings.rule].label.toLowerCase()} rule, ${b.settings.commission + b.settings.slippage} bps costs)`,
+      header: ["Metric", "Strategy", "Buy & hold"],
+      rows: [
+        ...BACKTEST_PERFORMANCE.map(({ label, key }) => [label, b.strategy[key] ?? "—", b.buyHold[key] ?? "—"]),
+        ["Trades · win rate", `${b.trades.count} · ${b.trades.winRate ?? "—"}%`, "—"],
+        ["Turnover (× equity/yr) · costs paid %", `${b.trades.turnover} · ${b.trades.costs}`, "—"],
+      ],
+    });
+    tables.push({
+      title: "P&L attribution by regime (% of starting capital)",
+      header,
+      rows: BACKTEST_ATTRIBUTION.map(({ label, key }) => [label, ...[b.overall, ...regimes.map(n => b.byRegime[n])].map(x => x?.[key] ?? "—")]),
+    });
+  }
+  return tables;
+}
+
+const reportAnalysis = (analysis) =>
+  analysis && { ...analysis, sections: analysis.report?.sections ?? partialReportSections(analysis.text) };
+
+export function markdownReport(bundle) {
+  const { data, params, comparison } = bundle;
+  const ai = reportAnalysis(bundle.analysis);
+  const table = (header, rows) => [header, header.map(() => "---"), ...rows].map(r => `| ${r.map(c => String(c).replace(/\|/g, "\\|")).join(" | ")} |`).join("\n");
+  const lines = [
+    `# RegimeIQ · ${data.ticker}`,
+    "",
+    `${data.prices[0].date} → ${data.prices[data.prices.length - 1].date} · ${data.days} days · source ${data.source ?? params.source} · detector ${REGIME_DETECTORS[params.detector]?.label ?? params.detector}`,
+    ...(comparison ? ["", `Holdings: ${comparison.holdings.map(h => `${h.ticker} ${(h.weight * 100).toFixed(1)}%`).join(", ")}`] : []),
+    "",
+    "## Key metrics",
+    "",
+    table(["Metric", "Value"], summaryStatCards(data).map(s => [s.label, s.sub ? `${s.value} (${s.sub})` : s.value])),
+    ...reportTables(data).flatMap(t => ["", `## ${t.title}`, "", table(t.header, t.rows)]),
+  ];
+  if (ai) {
+    lines.push("", `## AI analysis${ai.subject && ai.subject !== data.ticker ? ` (${ai.subject})` : ""}`, "");
+    if (ai.report) lines.push(`Confidence: ${Math.round(ai.report.confidence * 100)}%`, "");
+    ai.sections.forEach(s => lines.push(`### ${s.title}`, "", s.content, ""));
+    if (ai.report?.flaggedRisks.length) lines.push("### Flagged risks", "", ...ai.report.flaggedRisks.map(r => `- **${r.severity}** ${r.risk}`), "");
+    if (ai.report?.citedMetrics.length) lines.push("### Cited metrics", "", ...ai.report.citedMetrics.map(m => `- ${m.regime ? `${m.regime} · ` : ""}${m.name}: ${m.value}`), "");
+  }
+  if (bundle.chat) {
+    lines.push("", "## Follow-up chat", "");
+    chatTurns(bundle.chat.messages).forEach(t => lines.push(
+      `**Q:** ${t.question}`, "",
+      ...t.calls.map(c => `- \`${c.name}(${JSON.stringify(c.input ?? {})})\``), ...(t.calls.length ? [""] : []),
+      t.answer, "",
+    ));
+  }
+  lines.push("", `_Exported ${bundle.exportedAt}_`, "");
+  return lines.join("\n");
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Static SVG so the HTML report needs no scripts; a strip under the plot carries the regime labels.
+function svgChart(rows, series, { title, width = 760, height = 190, zero = false } = {}) {
+  const step = Math.max(1, Math.ceil(rows.length / EXPORT_CHART_POINTS));
+  const points = rows.filter((_, i) => i % step === 0);
+  const values = points.flatMap(r => series.map(s => r[s.key])).filter(Number.isFinite);
+  if (!values.length) return "";
+  let lo = Math.min(...values), hi = Math.max(...values);
+  if (zero) { lo = Math.min(lo, 0); hi = Math.max(hi, 0); }
+  if (hi === lo) hi = lo + 1;
+  const left = 52, right = 8, top = 8, strip = 6, bottom = 22;
+  const plotW = width - left - right, plotH = height - top - bottom - strip - 4;
+  const x = (i) => left + (points.length > 1 ? i / (points.length - 1) : 0.5) * plotW;
+  const y = (v) => top + (hi - v) / (hi - lo) * plotH;
+  const slot = plotW / points.length;
+  const shapes = series.map(s => {
+    if (s.bars) {
+      return points.map((r, i) => Number.isFinite(r[s.key])
+        ? `<rect x="${(x(i) - slot / 2).toFixed(1)}" y="${Math.min(y(r[s.key]), y(Math.max(lo, 0))).toFixed(1)}" width="${Math.max(slot - 0.5, 0.5).toFixed(1)}" height="${Math.abs(y(r[s.key]) - y(Math.max(lo, 0))).toFixed(1)}" fill="${s.color === "regime" ? REGIME_COLORS[r.regime] ?? REGIME_COLORS.Unlabeled : s.color}" opacity="0.8"/>`
+        : "").join("");
+    }
+    const d = points.map((r, i) => Number.isFinite(r[s.key]) ? `${x(i).toFixed(1)},${y(r[s.key]).toFixed(1)}` : null).filter(Boolean).join(" L");
+    return `<path d="M${d}" fill="none" stroke="${s.color}" stroke-width="1.4"${s.dashed ? ' stroke-dasharray="4 3"' : ""}/>`;
+  }).join("");
+  const regimeStrip = points.map((r, i) =>
+    `<rect x="${(x(i) - slot / 2).toFixed(1)}" y="${top + plotH + 4}" width="${(slot + 0.3).toFixed(1)}" height="${strip}" fill="${REGIME_COLORS[r.regime] ?? REGIME_COLORS.Unlabeled}"/>`).join("");
+  const label = (tx, ty, text, anchor = "end") => `<text x="${tx}" y="${ty}" font-size="9" fill="#57606a" text-anchor="${anchor}">${escapeHtml(text)}</text>`;
+  return `<figure><figcaption>${escapeHtml(title)} <span>${series.map(s => `<i style="color:${s.color === "regime" ? "#57606a" : s.color}">■ ${escapeHtml(s.label)}</i>`).join(" ")}</span></figcaption>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(title)}">
+<rect x="${left}" y="${top}" width="${plotW}" height="${plotH}" fill="#f6f8fa"/>
+${zero && lo < 0 && hi > 0 ? `<line x1="${left}" x2="${left + plotW}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="#d0d7de"/>` : ""}
+${shapes}${regimeStrip}
+${label(left - 6, top + 8, +hi.toFixed(2))}${label(left - 6, top + plotH, +lo.toFixed(2))}
+${label(left, height - 4, points[0].date, "start")}${label(left + plotW, height - 4, points[points.length - 1].date)}
+</svg></figure>`;
+}
+
+export function htmlReport(bundle, { autoPrint = false } = {}) {
+  const { data, params, comparison } = bundle;
+  const ai = reportAnalysis(bundle.analysis);
+  const regimes = data.regimeSummary.map(r => r.name);
+  const models = data.models?.series ?? [];
+  const withModels = (rows, key) => rows.map((row, i) => ({ ...row, ...Object.fromEntries(models.map(m => [`model_${m.id}`, m[key][i]])) }));
+  const modelLines = models.map(m => ({ key: `model_${m.id}`, label: m.label, color: m.color, dashed: true }));
+  const charts = [
+    svgChart(withModels(data.prices, "prices"), [{ key: "actual", label: "Actual", color: "#0969da" }, { key: "forecast", label: "Forecast", color: "#7b8cde", dashed: true }, ...modelLines], { title: "Price vs forecast" }),
+    svgChart(data.returns, [{ key: "actual", label: "Actual return %", color: "regime", bars: true }, { key: "forecast", label: "Forecast", color: "#7b8cde" }], { title: "Daily returns", zero: true }),
+    svgChart(data.volatility, [{ key: "vol", label: "Volatility %", color: "regime", bars: true }], { title: "Volatility", zero: true }),
+    data.drawdown ? svgChart(data.drawdown, [{ key: "drawdown", label: "Drawdown %", color: "#cf222e" }], { title: "Underwater", zero: true }) : "",
+    data.backtest ? svgChart(data.backtest.equity, [{ key: "strategy", label: "Strategy", color: "#0969da" }, { key: "buyHold", label: "Buy & hold", color: "#57606a", dashed: true }], { title: "Strategy equity (start = 100)" }) : "",
+  ].join("\n");
+  const table = (t) => `<h2>${escapeHtml(t.title)}</h2><table><thead><tr>${t.header.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${t.rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  const aiHtml = !ai ? "" : `<h2>AI analysis${ai.subject && ai.subject !== data.ticker ? ` · ${escapeHtml(ai.subject)}` : ""}${ai.report ? ` · confidence ${Math.round(ai.report.confidence * 100)}%` : ""}</h2>
+<div class="grid">${ai.sections.map(s => `<section><h3>${escapeHtml(`${s.icon ?? ""} ${s.title}`.trim())}</h3><p>${escapeHtml(s.content)}</p></section>`).join("")}</div>
+${ai.report?.flaggedRisks.length ? `<h3>Flagged risks</h3><ul>${ai.report.flaggedRisks.map(r => `<li><b>${escapeHtml(r.severity)}</b> ${escapeHtml(r.risk)}</li>`).join("")}</ul>` : ""}
+${ai.report?.citedMetrics.length ? `<h3>Cited metrics</h3><ul>${ai.report.citedMetrics.map(m => `<li>${escapeHtml(`${m.regime ? `${m.regime} · ` : ""}${m.name}: ${m.value}`)}</li>`).join("")}</ul>` : ""}`;
+  const chatHtml = !bundle.chat ? "" : `<h2>Follow-up chat</h2>
+${chatTurns(bundle.chat.messages).map(t => `<section><h3>${escapeHtml(t.question)}</h3>${t.calls.length ? `<p class="meta">${t.calls.map(c => escapeHtml(`${c.name}(${JSON.stringify(c.input ?? {})})`)).join(" · ")}</p>` : ""}<p>${escapeHtml(t.answer)}</p></section>`).join("\n")}`;
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>RegimeIQ · ${escapeHtml(data.ticker)}</title>
+<style>
+body { font: 13px/1.5 -apple-system, "IBM Plex Sans", "Segoe UI", sans-serif; color: #1f2328; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+h1 { font-size: 22px; margin: 0 0 4px; } h2 { font-size: 14px; margin: 28px 0 10px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; } h3 { font-size: 12px; margin: 14px 0 6px; }
+.meta { color: #57606a; font-size: 12px; } .cards, .grid { display: grid; gap: 8px; } .cards { grid-template-columns: repeat(4, 1fr); } .grid { grid-template-columns: 1fr 1fr; }
+.card, section { border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 10px; } .card small { display: block; color: #57606a; font-size: 9px; letter-spacing: 0.08em; } .card b { font-size: 16px; } .card i { display: block; color: #57606a; font-size: 10px; font-style: normal; }
+table { border-collapse: collapse; width: 100%; font-size: 11px; } th, td { border-bottom: 1px solid #eaeef2; padding: 4px 6px; text-align: right; } th:first-child, td:first-child { text-align: left; } th { color: #57606a; font-weight: 500; }
+figure { margin: 18px 0; } figcaption { font-size: 12px; font-weight: 600; margin-bottom: 4px; } figcaption span { font-weight: 400; font-size: 10px; margin-left: 8px; } figcaption i { font-style: normal; margin-right: 8px; }
+.legend span { margin-right: 12px; font-size: 11px; } p { margin: 0; } footer { margin-top: 32px; color: #57606a; font-size: 10px; }
+@media print { body { margin: 0; } h2 { break-after: avoid; } figure, table, section { break-inside: avoid; } }
+</style></head><body>
+<h1>RegimeIQ · ${escapeHtml(data.ticker)}</h1>
+<div class="meta">${escapeHtml(`${data.prices[0].date} → ${data.prices[data.prices.length - 1].date} · ${data.days} days · source ${data.source ?? params.source} · detector ${REGIME_DETECTORS[params.detector]?.label ?? params.detector}`)}${comparison ? `<br>Holdings: ${escapeHtml(comparison.holdings.map(h => `${h.ticker} ${(h.weight * 100).toFixed(1)}%`).join(", "))}` : ""}</div>
+<h2>Key metrics</h2>
+<div class="cards">${summaryStatCards(data).map(s => `<div class="card"><small>${escapeHtml(s.label)}</small><b style="color:${s.color}">${escapeHtml(s.value)}</b>${s.sub ? `<i>${escapeHtml(s.sub)}</i>` : ""}</div>`).join("")}</div>
+<h2>Charts</h2>
+<div class="legend">${regimes.map(n => `<span style="color:${REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled}">■ ${escapeHtml(n)}</span>`).join("")}</div>
+${charts}
+${reportTables(data).map(table).join("\n")}
+${aiHtml}
+${chatHtml}
+<footer>Exported from RegimeIQ ${escapeHtml(bundle.exportedAt)}</footer>
+${autoPrint ? "<script>addEventListener(\"load\", () => setTimeout(print, 200));</script>" : ""}
+</body></html>`;
+}
@@ -0,0 +1,272 @@
+import { createRng } from "./stats.mjs";
+import { windowMetrics } from "./overfitting.mjs";
+
+export const SIM_REGIMES = ["Bull", "Volatile", "Bear", "Recovery"];
+export const SIM_REGIME_PARAMS = [
+  { key: "drift", label: "DRIFT %/YR", min: -80, max: 80, step: 1 },
+  { key: "vol", label: "VOL %/YR", min: 1, max: 150, step: 1 },
+  { key: "dof", label: "T DOF", min: 2.5, max: 100, step: 0.5 },
+  { key: "skill", label: "SKILL", min: -1, max: 1, step: 0.01 },
+  { key: "noise", label: "NOISE × VOL", min: 0, max: 5, step: 0.1 },
+];
+export const SIM_SETTINGS = [
+  { key: "paths", label: "PATHS", min: 100, max: 10000, step: 100 },
+  { key: "days", label: "DAYS", min: 20, max: 2520, step: 1 },
+  { key: "seed", label: "SEED", min: 1, max: 999999, step: 1 },
+];
+// Defaults mirror the demo generator: its return/vol multipliers on a 10%/yr drift and ~15%/yr vol base.
+export const SIM_DEFAULTS = {
+  paths: 2000,
+  days: 252,
+  seed: 42,
+  regimes: {
+    Bull: { drift: 14, vol: 15, dof: 8, skill: 0.1, noise: 1 },
+    Volatile: { drift: -3, vol: 32, dof: 4, skill: 0.05, noise: 1.2 },
+    Bear: { drift: -12, vol: 24, dof: 5, skill: 0.05, noise: 1 },
+    Recovery: { drift: 8, vol: 18, dof: 6, skill: 0.1, noise: 1 },
+  },
+  transitions: {
+    Bull: { Bull: 0.98, Volatile: 0.015, Bear: 0.005, Recovery: 0 },
+    Volatile: { Bull: 0.01, Volatile: 0.98, Bear: 0.01, Recovery: 0 },
+    Bear: { Bull: 0, Volatile: 0.005, Bear: 0.98, Recovery: 0.015 },
+    Recovery: { Bull: 0.015, Volatile: 0, Bear: 0.005, Recovery: 0.98 },
+  },
+};
+const SIM_FAN_POINTS = 120;
+const SIM_HIST_BINS = 30;
+
+// Regime parameters fitted to a finished run: per-regime annualised drift/vol, a t dof matched to
+// excess kurtosis, skill/noise matched to the forecast's IC, and transition frequencies between labels.
+export function calibrateSimulation(data, base = SIM_DEFAULTS) {
+  const regimes = { ...base.regimes };
+  data.regimeSummary.forEach(r => {
+    if (!regimes[r.name] || !r.risk) return;
+    const ic = r.metrics?.icPearson.value ?? 0;
+    regimes[r.name] = {
+      drift: Math.min(Math.max(Math.round(r.risk.annReturn), -80), 80),
+      vol: Math.min(Math.max(Math.round(r.risk.annVol), 1), 150),
+      dof: r.risk.kurtosis > 0.06 ? Math.min(Math.max(+(4 + 6 / r.risk.kurtosis).toFixed(1), 2.5), 100) : 100,
+      skill: +Math.min(Math.max(ic, -1), 1).toFixed(2),
+      noise: +Math.sqrt(Math.max(1 - ic * ic, 0)).toFixed(1),
+    };
+  });
+  const counts = Object.fromEntries(SIM_REGIMES.map(a => [a, Object.fromEntries(SIM_REGIMES.map(b => [b, 0]))]));
+  data.returns.forEach((r, t) => {
+    const next = data.returns[t + 1];
+    if (next && counts[r.regime] && counts[r.regime][next.regime] !== undefined) counts[r.regime][next.regime]++;
+  });
+  const transitions = Object.fromEntries(SIM_REGIMES.map(a => {
+    const total = SIM_REGIMES.reduce((s, b) => s + counts[a][b], 0);
+    return [a, total ? Object.fromEntries(SIM_REGIMES.map(b => [b, +(counts[a][b] / total).toFixed(4)])) : base.transitions[a]];
+  }));
+  return { ...base, days: data.days, regimes, transitions };
+}
+
+// Self-contained so it can be stringified into the worker: only createRng is injected alongside it.
+// Returns are simulated per regime as drift + vol · unit-variance Student-t; the forecast is
+// skill · return + noise · vol · N(0,1). A second, zero-skill batch over `observed.days` is the null
+// distribution for the luck test.
+export function simulateRegimePaths(config, observed, onProgress = () => {}) {
+  const { paths, days, seed, regimes, transitions } = config;
+  const names = Object.keys(regimes);
+  const K = names.length, TD = 252;
+  const rng = createRng(seed);
+  let spare = null;
+  const normal = () => {
+    if (spare !== null) { const z = spare; spare = null; return z; }
+    let u = 0, v = 0;
+    while (u === 0) u = rng();
+    v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+  const gamma = (shape) => {
+    if (shape < 1) return gamma(shape + 1) * rng() ** (1 / shape);
+    const d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x, v;
+      do { x = normal(); v = 1 + c * x; } while (v <= 0);
+      v = v * v * v;
+      const u = rng();
+      if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+  };
+  const shock = (dof) => dof >= 100 ? normal() : normal() / Math.sqrt(2 * gamma(dof / 2) / dof) * Math.sqrt((dof - 2) / dof);
+  const params = names.map(n => ({
+    mu: regimes[n].drift / 100 / TD, sigma: regimes[n].vol / 100 / Math.sqrt(TD),
+    dof: regimes[n].dof, skill: regimes[n].skill, noise: regimes[n].noise,
+  }));
+  const cumulative = names.map(a => {
+    const row = names.map(b => Math.max(transitions[a]?.[b] ?? 0, 0));
+    const total = row.reduce((s, p) => s + p, 0) || 1;
+    let acc = 0;
+    return row.map(p => (acc += p / total));
+  });
+  let stationary = names.map(() => 1 / K);
+  for (let it = 0; it < 500; it++) {
+    stationary = names.map((_, j) => stationary.reduce((s, p, i) => s + p * (cumulative[i][j] - (j ? cumulative[i][j - 1] : 0)), 0));
+  }
+  const draw = (cdf) => { const u = rng(); let k = 0; while (k < K - 1 && u > cdf[k]) k++; return k; };
+  const initial = stationary.reduce((acc, p) => [...acc, (acc[acc.length - 1] ?? 0) + p], []);
+
+  const checkpoints = [...new Set(Array.from({ length: Math.min(days, SIM_FAN_POINTS) }, (_, k) => Math.round((days - 1) * k / Math.max(Math.min(days, SIM_FAN_POINTS) - 1, 1))))];
+  const fanPrice = checkpoints.map(() => new Float64Array(paths));
+  const fanHit = checkpoints.map(() => new Float64Array(paths));
+
+  // One path: returns per-regime sufficient statistics for hit rate and sign-strategy Sharpe.
+  const runPath = (length, skilled, p, record) => {
+    const stats = names.map(() => ({ n: 0, hits: 0, sum: 0, sumSq: 0 }));
+    let state = draw(initial), price = 100, hits = 0, c = 0;
+    for (let t = 0; t < length; t++) {
+      if (t) state = draw(cumulative[state]);
+      const q = params[state];
+      const ret = q.mu + q.sigma * shock(q.dof);
+      const forecast = (skilled ? q.skill : 0) * ret + (skilled ? q.noise : 1) * q.sigma * normal();
+      price *= 1 + ret;
+      const hit = ret * forecast > 0 ? 1 : 0;
+      const pnl = Math.sign(forecast) * ret;
+      const s = stats[state];
+      s.n++; s.hits += hit; s.sum += pnl; s.sumSq += pnl * pnl;
+      hits += hit;
+      if (record && t === checkpoints[c]) {
+        fanPrice[c][p] = price;
+        fanHit[c][p] = hits / (t + 1) * 100;
+        c++;
+      }
+    }
+    return stats;
+  };
+  const summarise = (s, minDays = 20) => {
+    if (s.n < minDays) return null;
+    const m = s.sum / s.n, sd = Math.sqrt(Math.max(s.sumSq / s.n - m * m, 0));
+    return { hitRate: s.hits / s.n * 100, sharpe: sd ? m / sd * Math.sqrt(TD) : 0 };
+  };
+  const merge = (stats) => stats.reduce((a, s) => ({ n: a.n + s.n, hits: a.hits + s.hits, sum: a.sum + s.sum, sumSq: a.sumSq + s.sumSq }), { n: 0, hits: 0, sum: 0, sumSq: 0 });
+
+  const collect = (length, skilled, record, offset) => {
+    const out = { overall: { hitRate: [], sharpe: [] }, share: names.map(() => 0), byRegime: names.map(() => ({ hitRate: [], sharpe: [] })) };
+    for (let p = 0; p < paths; p++) {
+      const stats = runPath(length, skilled, p, record);
+      const total = summarise(merge(stats), 3);
+      if (total) { out.overall.hitRate.push(total.hitRate); out.overall.sharpe.push(total.sharpe); }
+      stats.forEach((s, k) => {
+        out.share[k] += s.n / length / paths;
+        const m = summarise(s);
+        if (m) { out.byRegime[k].hitRate.push(m.hitRate); out.byRegime[k].sharpe.push(m.sharpe); }
+      });
+      if (p % 100 === 99) onProgress((offset + p + 1) / (observed ? 2 * paths : paths));
+    }
+    return out;
+  };
+
+  const quantile = (sorted, q) => {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  };
+  const round = (v, d = 2) => v === null ? null : +v.toFixed(d);
+  const describe = (values) => {
+    const sorted = Float64Array.from(values).sort();
+    return {
+      n: sorted.length,
+      mean: round(sorted.reduce((s, v) => s + v, 0) / (sorted.length || 1)),
+      p05: round(quantile(sorted, 0.05)), p50: round(quantile(sorted, 0.5)), p95: round(quantile(sorted, 0.95)),
+      sorted,
+    };
+  };
+  const fan = (columns) => columns.map((col, c) => {
+    const sorted = Float64Array.from(col).sort();
+    return { day: checkpoints[c] + 1, p05: round(quantile(sorted, 0.05)), p25: round(quantile(sorted, 0.25)), p50: round(quantile(sorted, 0.5)), p75: round(quantile(sorted, 0.75)), p95: round(quantile(sorted, 0.95)) };
+  });
+  // Shared bins over the pooled 1st–99th percentile range; values outside land in the edge bins.
+  const histogram = (series, lo, hi) => {
+    const width = (hi - lo) / SIM_HIST_BINS || 1;
+    const rows = Array.from({ length: SIM_HIST_BINS }, (_, b) => ({ x: round(lo + width * (b + 0.5)) }));
+    series.forEach(({ name, sorted }) => {
+      rows.forEach(row => { row[name] = 0; });
+      for (const v of sorted) rows[Math.min(Math.max(Math.floor((v - lo) / width), 0), SIM_HIST_BINS - 1)][name]++;
+      rows.forEach(row => { row[name] = sorted.length ? round(row[name] / sorted.length, 4) : 0; });
+    });
+    return rows;
+  };
+  // P(null ≥ observed) with the +1 correction so a finite simulation never reports exactly zero.
+  const luck = (nullSorted, value) => {
+    if (value === null || value === undefined || !nullSorted.length) return null;
+    let above = 0;
+    for (const v of nullSorted) if (v >= value) above++;
+    return round((above + 1) / (nullSorted.length + 1), 4);
+  };
+
+  const skilled = collect(days, true, true, 0);
+  const nullRun = observed ? collect(observed.days, false, false, paths) : null;
+  const metric = (key) => {
+    const overall = describe(skilled.overall[key]);
+    const byRegime = names.map((n, k) => ({ name: n, ...describe(skilled.byRegime[k][key]) }));
+    const populated = [overall, ...byRegime].filter(d => d.n);
+    const lo = Math.min(...populated.map(d => quantile(d.sorted, 0.01))), hi = Math.max(...populated.map(d => quantile(d.sorted, 0.99)));
+    const hist = histogram([{ name: "Overall", sorted: overall.sorted }, ...byRegime.map(d => ({ name: d.name, sorted: d.sorted }))], lo, hi);
+    const strip = ({ sorted, ...rest }) => rest;
+    return { overall: strip(overall), byRegime: Object.fromEntries(byRegime.map(d => [d.name, strip(d)])), hist };
+  };
+  const luckTable = observed && Object.fromEntries(["hitRate", "sharpe"].map(key => {
+    const nullOverall = Float64Array.from(nullRun.overall[key]).sort();
+    return [key, {
+      overall: { observed: observed.overall?.[key] ?? null, pValue: luck(nullOverall, observed.overall?.[key]) },
+      byRegime: Object.fromEntries(names.map((n, k) => [n, {
+        observed: observed.byRegime[n]?.[key] ?? null,
+        pValue: luck(Float64Array.from(nullRun.byRegime[k][key]).sort(), observed.byRegime[n]?.[key]),
+      }])),
+    }];
+  }));
+  onProgress(1);
+  return {
+    paths, days, seed,
+    share: Object.fromEntries(names.map((n, k) => [n, round(skilled.share[k] * 100, 1)])),
+    stationary: Object.fromEntries(names.map((n, k) => [n, round(stationary[k] * 100, 1)])),
+    fan: { price: fan(fanPrice), hitRate: fan(fanHit) },
+    hitRate: metric("hitRate"),
+    sharpe: metric("sharpe"),
+    luck: luckTable,
+  };
+}
+
+// Runs the simulation in a module worker so the page stays responsive. If the worker can't be
+// started, fails to load or reports an error, the run is redone on the main thread instead (sandboxed
+// previews, hosts without module workers, tests).
+export function runSimulation(config, observed, { signal, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Simulation cancelled"));
+    const onMainThread = () => setTimeout(() => {
+      if (signal?.aborted) return reject(new Error("Simulation cancelled"));
+      try { resolve(simulateRegimePaths(config, observed, onProgress)); } catch (e) { reject(e); }
+    }, 0);
+    let worker;
+    try {
+      worker = new Worker(new URL("./simulation.worker.mjs", import.meta.url), { type: "module" });
+    } catch {
+      return onMainThread();
+    }
+    const cancel = () => { worker.terminate(); reject(new Error("Simulation cancelled")); };
+    const finish = () => { worker.terminate(); signal?.removeEventListener("abort", cancel); };
+    signal?.addEventListener("abort", cancel, { once: true });
+    const fallBack = () => { finish(); onMainThread(); };
+    worker.onmessage = ({ data: msg }) => {
+      if (msg.type === "progress") return onProgress(msg.done);
+      if (msg.type !== "result") return fallBack();
+      finish();
+      resolve(msg.result);
+    };
+    worker.onerror = (e) => { e.preventDefault?.(); fallBack(); };
+    worker.onmessageerror = fallBack;
+    worker.postMessage({ config, observed });
+  });
+}
+
+export function observedSignalQuality(data) {
+  return {
+    days: data.days,
+    overall: windowMetrics(data.returns),
+    byRegime: Object.fromEntries(data.regimeSummary.map(r => [r.name, windowMetrics(data.returns.filter(x => x.regime === r.name))])),
+  };
+}
@@ -0,0 +1,12 @@
+// Module worker behind runSimulation: one message in with the config, progress messages out, then
+// the result (or an error, which makes runSimulation redo the run on the main thread).
+import { simulateRegimePaths } from "./simulation.mjs";
+
+self.onmessage = (e) => {
+  try {
+    const result = simulateRegimePaths(e.data.config, e.data.observed, (done) => postMessage({ type: "progress", done }));
+    postMessage({ type: "result", result });
+  } catch (err) {
+    postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,84 @@
+export const TRADING_DAYS = 252;
+
+export const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+export const variance = (xs) => { const m = mean(xs); return xs.reduce((a, b) => a + (b - m) ** 2, 0) / xs.length; };
+export const median = (xs) => { const s = [...xs].sort((a, b) => a - b); const h = s.length >> 1; return s.length % 2 ? s[h] : (s[h - 1] + s[h]) / 2; };
+
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+export const normalPdf = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+export function ranks(xs) {
+  const counts = new Int32Array(xs.length).fill(1);
+  return countRanks(Array.from(xs.keys()).sort((a, b) => xs[a] - xs[b]), xs, counts);
+}
+
+// Ranks of a bootstrap resample expressed as draw counts per original index, so each resample
+// is ranked in O(n) from the original sort order instead of being re-sorted.
+export function countRanks(order, xs, counts) {
+  const r = new Float64Array(xs.length);
+  let seen = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i, tied = counts[order[i]];
+    while (j + 1 < order.length && xs[order[j + 1]] === xs[order[i]]) tied += counts[order[++j]];
+    for (let k = i; k <= j; k++) r[order[k]] = seen + (tied + 1) / 2;
+    seen += tied;
+    i = j + 1;
+  }
+  return r;
+}
+
+export function pearson(xs, ys) {
+  const n = xs.length;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += xs[i]; my += ys[i]; }
+  mx /= n; my /= n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx, dy = ys[i] - my;
+    sxy += dx * dy; sxx += dx * dx; syy += dy * dy;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+export function inverseNormalCdf(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - lo) return -inverseNormalCdf(1 - p);
+  const q = p - 0.5, r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+export const periodSharpe = (r) => { const sd = Math.sqrt(variance(r)); return sd ? mean(r) / sd : 0; };
+
+export function rollingStd(xs, window) {
+  return xs.map((_, t) => {
+    const w = xs.slice(Math.max(0, t - window + 1), t + 1);
+    const m = mean(w);
+    return Math.sqrt(w.reduce((a, b) => a + (b - m) ** 2, 0) / Math.max(w.length - 1, 1));
+  });
+}
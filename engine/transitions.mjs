@@ -0,0 +1,138 @@
+import { mean, median } from "./stats.mjs";
+import { drawdownStats, directionalHit } from "./metrics.mjs";
+import { windowMetrics } from "./overfitting.mjs";
+
+export const TRANSITION_DEFAULTS = { window: 5 };
+export const TRANSITION_PARAMS = [
+  { key: "window", label: "± DAYS", min: 1, max: 30, step: 1 },
+];
+// Upper edges of the duration histogram buckets, in trading days.
+const DURATION_BINS = [1, 5, 10, 20, 40, 80, Infinity];
+
+const binLabel = (i) => {
+  const lo = i ? DURATION_BINS[i - 1] + 1 : 1, hi = DURATION_BINS[i];
+  return hi === Infinity ? `${lo}+` : lo === hi ? `${hi}` : `${lo}–${hi}`;
+};
+
+// Consecutive runs of one label. The last episode is still running when the data ends.
+export function regimeEpisodes(returns) {
+  const runs = [];
+  returns.forEach((row, i) => {
+    const last = runs[runs.length - 1];
+    if (last?.regime === row.regime) last.to = i;
+    else runs.push({ regime: row.regime, from: i, to: i });
+  });
+  return runs.map((run, k) => {
+    const rows = returns.slice(run.from, run.to + 1);
+    const r = rows.map(x => x.actual / 100);
+    const errors = rows.map(x => x.forecast - x.actual);
+    return {
+      regime: run.regime,
+      start: rows[0].date,
+      end: rows[rows.length - 1].date,
+      days: rows.length,
+      return: +((r.reduce((a, x) => a * (1 + x), 1) - 1) * 100).toFixed(2),
+      drawdown: +(drawdownStats(r).maxDrawdown * 100).toFixed(2),
+      hitRate: +(rows.filter(x => directionalHit(x.actual, x.forecast)).length / rows.length * 100).toFixed(1),
+      mae: +mean(errors.map(Math.abs)).toFixed(3),
+      bias: +mean(errors).toFixed(3),
+      ongoing: k === runs.length - 1,
+    };
+  });
+}
+
+export function computeTransitions(returns, settings = TRANSITION_DEFAULTS) {
+  const opts = { ...TRANSITION_DEFAULTS, ...settings };
+  const names = [...new Set(returns.map(r => r.regime))];
+  const counts = Object.fromEntries(names.map(a => [a, Object.fromEntries(names.map(b => [b, 0]))]));
+  for (let t = 1; t < returns.length; t++) counts[returns[t - 1].regime][returns[t].regime]++;
+  const probs = Object.fromEntries(names.map(a => {
+    const total = names.reduce((s, b) => s + counts[a][b], 0);
+    return [a, Object.fromEntries(names.map(b => [b, total ? +(counts[a][b] / total).toFixed(3) : null]))];
+  }));
+  // Geometric holding time implied by the daily stay probability.
+  const markovDuration = (name) => {
+    const stay = probs[name][name];
+    return stay === null ? null : stay < 1 ? +(1 / (1 - stay)).toFixed(1) : null;
+  };
+
+  const episodes = regimeEpisodes(returns);
+  const finished = episodes.filter(e => !e.ongoing);
+  const byRegime = Object.fromEntries(names.map(name => {
+    const days = finished.filter(e => e.regime === name).map(e => e.days);
+    return [name, {
+      episodes: days.length,
+      mean: days.length ? +mean(days).toFixed(1) : null,
+      median: days.length ? median(days) : null,
+      max: days.length ? Math.max(...days) : null,
+      markov: markovDuration(name),
+    }];
+  }));
+  const histogram = DURATION_BINS.map((_, i) => ({
+    bin: binLabel(i),
+    ...Object.fromEntries(names.map(name => [name, finished.filter(e =>
+      e.regime === name && e.days <= DURATION_BINS[i] && (i === 0 || e.days > DURATION_BINS[i - 1])).length])),
+  }));
+
+  // Expected days left in the running episode: the Markov estimate is memoryless; the empirical one
+  // averages the remaining life of past episodes of the same regime that outlasted the current age.
+  const live = episodes[episodes.length - 1];
+  const outlasted = finished.filter(e => e.regime === live.regime && e.days > live.days).map(e => e.days - live.days);
+  const exits = names.filter(n => n !== live.regime && counts[live.regime][n] > 0);
+  const exitTotal = exits.reduce((s, n) => s + counts[live.regime][n], 0);
+  const next = exits.sort((a, b) => counts[live.regime][b] - counts[live.regime][a])[0] ?? null;
+  const current = {
+    regime: live.regime,
+    since: live.start,
+    age: live.days,
+    switchProb: probs[live.regime][live.regime] === null ? null : +(1 - probs[live.regime][live.regime]).toFixed(3),
+    markovRemaining: markovDuration(live.regime),
+    empiricalRemaining: outlasted.length ? +mean(outlasted).toFixed(1) : null,
+    outlasted: outlasted.length,
+    next,
+    nextProb: next ? +(counts[live.regime][next] / exitTotal).toFixed(3) : null,
+  };
+
+  // Forecast quality in the N days either side of each change (day 0 is the first day of the new
+  // regime). Windows of nearby switches can overlap; a day counts once per side.
+  const N = opts.window;
+  const switches = [];
+  for (let t = 1; t < returns.length; t++) if (returns[t].regime !== returns[t - 1].regime) switches.push(t);
+  const before = new Set(), after = new Set();
+  const entering = Object.fromEntries(names.map(n => [n, new Set()]));
+  switches.forEach(t => {
+    for (let k = Math.max(0, t - N); k < t; k++) before.add(k);
+    for (let k = t; k < Math.min(returns.length, t + N); k++) { after.add(k); entering[returns[t].regime].add(k); }
+  });
+  const pick = (set) => [...set].sort((a, b) => a - b).map(i => returns[i]);
+  const away = returns.filter((_, i) => !before.has(i) && !after.has(i));
+  const profile = [];
+  for (let k = -N; k < N; k++) {
+    const rows = switches.map(t => returns[t + k]).filter(Boolean);
+    profile.push({
+      offset: k,
+      hitRate: rows.length ? +(rows.filter(r => directionalHit(r.actual, r.forecast)).length / rows.length * 100).toFixed(1) : null,
+      mae: rows.length ? +mean(rows.map(r => Math.abs(r.forecast - r.actual))).toFixed(3) : null,
+      n: rows.length,
+    });
+  }
+  const describe = (rows) => { const m = windowMetrics(rows); return m && { ...m, days: rows.length }; };
+
+  return {
+    settings: opts,
+    regimes: names,
+    matrix: { counts, probs },
+    episodes,
+    durations: { byRegime, histogram },
+    current,
+    switches: {
+      count: switches.length,
+      window: N,
+      profile,
+      before: describe(pick(before)),
+      after: describe(pick(after)),
+      away: describe(away),
+      entering: Object.fromEntries(names.map(n => [n, describe(pick(entering[n]))])),
+    },
+  };
+}
@@ -1,121 +1,334 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
 import {
   LineChart, Line, AreaChart, Area, BarChart, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer, ReferenceLine
+  ResponsiveContainer, ReferenceLine, ReferenceArea, Brush, Cell
 } from "recharts";
+import {
+  analyzeHoldings, generateMarketData, REGIME_COLORS, parseImportedSeries, buildImportedMarketData,
+  REGIME_DETECTORS, defaultDetectorParams, causalRegimeLabels, mean, FORECAST_METRICS, pointMetrics, formatMetric,
+  ROLLING_WINDOWS, computeRiskMetrics, RISK_METRICS, OVERFIT_DEFAULTS, OVERFIT_PARAMS,
+  computeOverfitting, BACKTEST_RULES, BACKTEST_DEFAULTS, BACKTEST_PARAMS, BACKTEST_ATTRIBUTION,
+  gateNote, computeBacktest, TRANSITION_DEFAULTS, TRANSITION_PARAMS, computeTransitions,
+  FORECAST_MODELS, DEFAULT_MODELS, defaultModelParams, PORTFOLIO_TICKER, parseTickerList,
+  SIM_REGIMES, SIM_REGIME_PARAMS, SIM_SETTINGS, SIM_DEFAULTS, calibrateSimulation, runSimulation,
+  observedSignalQuality, buildAnalysisPrompt, ANALYZE_ENDPOINT, ANALYSIS_TIMEOUT_S,
+  ANALYSIS_MAX_RETRIES, AnalysisError, partialReportSections, fetchClaudeAnalysis, askRunChat,
+  chatTurns, summaryStatCards, buildRunBundle, parseRunBundle, exportFileName, seriesCsv,
+  markdownReport, htmlReport, DATE_PARAM
+} from "./engine/index.mjs";
+
+function correlationColor(c) {
+  const a = Math.min(Math.abs(c), 1);
+  return c >= 0 ? `rgba(0,212,170,${0.1 + a * 0.8})` : `rgba(255,77,109,${0.1 + a * 0.8})`;
+}
+
+// Histogram x values are bin centres on a category axis, so markers snap to the closest one.
+function nearestBin(hist, value) {
+  return hist.reduce((best, r) => Math.abs(r.x - value) < Math.abs(best - value) ? r.x : best, hist[0]?.x);
+}
+
+const EXPORT_FORMATS = [
+  { id: "html", label: "HTML REPORT", ext: "html" },
+  { id: "pdf", label: "PDF (PRINT)" },
+  { id: "markdown", label: "MARKDOWN NOTE", ext: "md" },
+  { id: "prices", label: "CSV · PRICES", ext: "csv" },
+  { id: "returns", label: "CSV · RETURNS", ext: "csv" },
+  { id: "volatility", label: "CSV · VOLATILITY", ext: "csv" },
+  { id: "bundle", label: "JSON RUN BUNDLE", ext: "json" },
+];
+
+function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const HISTORY_DB = "regimeiq";
+const HISTORY_RUNS = "runs";
+const HISTORY_BUNDLES = "bundles";
+
+// Run metadata and the (large) bundles live in separate stores so the sidebar never loads full series.
+function openHistoryDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available in this browser"));
+    const request = indexedDB.open(HISTORY_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(HISTORY_RUNS, { keyPath: "id" });
+      request.result.createObjectStore(HISTORY_BUNDLES, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function historyTransaction(mode, work) {
+  const db = await openHistoryDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction([HISTORY_RUNS, HISTORY_BUNDLES], mode);
+      let result;
+      const request = work(tx.objectStore(HISTORY_RUNS), tx.objectStore(HISTORY_BUNDLES));
+      if (request) request.onsuccess = () => { result = request.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error ?? new Error("History transaction aborted"));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+const listSavedRuns = async () =>
+  (await historyTransaction("readonly", runs => runs.getAll())).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+const loadSavedBundle = async (id) => (await historyTransaction("readonly", (_, bundles) => bundles.get(id)))?.bundle ?? null;
+const updateSavedRun = (run) => historyTransaction("readwrite", runs => { runs.put(run); });
+// Chat turns are written into the saved bundle in place, leaving the rest of the run untouched.
+const saveRunChat = (id, chat) => historyTransaction("readwrite", (_, bundles) => {
+  const request = bundles.get(id);
+  request.onsuccess = () => { if (request.result) bundles.put({ ...request.result, bundle: { ...request.result.bundle, chat } }); };
+});
+const deleteSavedRun = (id) => historyTransaction("readwrite", (runs, bundles) => { runs.delete(id); bundles.delete(id); });
+
+function saveRunToHistory(run, bundle) {
+  return historyTransaction("readwrite", (runs, bundles) => {
+    runs.put(run);
+    bundles.put({ id: run.id, bundle });
+  });
+}
+
+function savedRunRecord({ id, name, tags, createdAt }, bundle, promptHash) {
+  const { data, params, analysis } = bundle;
+  return {
+    id,
+    name: name ?? `${params.tickers} · ${params.startDate} → ${params.endDate}`,
+    tags: tags ?? [],
+    createdAt: createdAt ?? bundle.exportedAt,
+    params,
+    promptHash,
+    hasReport: !!analysis?.report,
+    summary: {
+      ticker: data.ticker, days: data.days, totalReturn: data.totalReturn, sharpe: data.sharpe,
+      hitRate: data.signalAccuracy, detector: params.detector, confidence: analysis?.report?.confidence ?? null,
+    },
+  };
+}
 
-function generateMarketData(ticker, startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const days = Math.floor((end - start) / (1000 * 60 * 60 * 24));
-  const seed = ticker.split("").reduce((a, c) => a + c.charCodeAt(0), 0);
-  let rng = seed;
-  const rand = () => { rng = (rng * 9301 + 49297) % 233280; return rng / 233280; };
-  const baseReturn = 0.0004 + (rand() - 0.5) * 0.0006;
-  const baseVol = 0.012 + rand() * 0.008;
-  let price = 100 + rand() * 200;
-  const prices = [], returns = [], volatility = [];
-
-  for (let i = 0; i <= days; i++) {
-    const date = new Date(start); date.setDate(start.getDate() + i);
-    if (date.getDay() === 0 || date.getDay() === 6) continue;
-    const progress = i / days;
-    const regime =
-      progress < 0.25 ? "Bull" :
-      progress < 0.45 ? "Volatile" :
-      progress < 0.65 ? "Bear" :
-      progress < 0.8 ? "Recovery" : "Bull";
-    const volMult = regime === "Volatile" ? 2.2 : regime === "Bear" ? 1.6 : regime === "Recovery" ? 1.2 : 1.0;
-    const retMult = regime === "Bull" ? 1.4 : regime === "Bear" ? -1.2 : regime === "Volatile" ? -0.3 : regime === "Recovery" ? 0.8 : 1.0;
-    const vol = baseVol * volMult;
-    const ret = baseReturn * retMult + (rand() - 0.5) * vol * 2;
-    price *= (1 + ret);
-    const forecastedRet = baseReturn * retMult * 0.85 + (rand() - 0.48) * vol * 1.5;
-    const forecastedPrice = price * (1 + forecastedRet - ret);
-    const dateStr = date.toISOString().slice(0, 10);
-    prices.push({ date: dateStr, actual: +price.toFixed(2), forecast: +forecastedPrice.toFixed(2), regime });
-    returns.push({ date: dateStr, actual: +(ret * 100).toFixed(3), forecast: +(forecastedRet * 100).toFixed(3), regime });
-    volatility.push({ date: dateStr, vol: +(vol * 100).toFixed(3), regime });
+// 53-bit string hash (cyrb53) — identifies prompts that were already analysed.
+function hashString(text) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
   }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
 
-  const regimeStats = {};
-  returns.forEach(({ regime, actual, forecast }) => {
-    if (!regimeStats[regime]) regimeStats[regime] = { actual: [], forecast: [], count: 0 };
-    regimeStats[regime].actual.push(actual);
-    regimeStats[regime].forecast.push(forecast);
-    regimeStats[regime].count++;
+function encodeRunParams(p) {
+  const pairs = (values, specs) => specs.filter(s => values?.[s.key] !== undefined).map(s => `${s.key}:${values[s.key]}`).join(",");
+  const query = new URLSearchParams({
+    tickers: p.tickers,
+    start: p.startDate,
+    end: p.endDate,
+    source: p.source,
+    detector: p.detector,
+    dp: pairs(p.detectorParams, REGIME_DETECTORS[p.detector]?.params ?? []),
+    models: p.selectedModels.join(","),
+    mp: p.selectedModels.filter(id => FORECAST_MODELS[id]?.params.length).map(id => `${id}.${pairs(p.modelParams[id], FORECAST_MODELS[id].params)}`).join(";"),
+    of: `mode:${p.overfitSettings?.mode ?? OVERFIT_DEFAULTS.mode},${pairs(p.overfitSettings, OVERFIT_PARAMS)}`,
+    bt: `rule:${p.backtestSettings?.rule ?? BACKTEST_DEFAULTS.rule},${pairs(p.backtestSettings, BACKTEST_PARAMS)},gate:${(p.backtestSettings?.gate ?? []).join("+")}`,
+    tr: pairs(p.transitionSettings ?? TRANSITION_DEFAULTS, TRANSITION_PARAMS),
+    rf: p.riskFree,
+    timeout: p.aiTimeout,
   });
-  const regimeSummary = Object.entries(regimeStats).map(([name, d]) => ({
-    name,
-    actualReturn: +(d.actual.reduce((a, b) => a + b, 0) / d.actual.length).toFixed(3),
-    forecastReturn: +(d.forecast.reduce((a, b) => a + b, 0) / d.forecast.length).toFixed(3),
-    avgVol: +(d.actual.map(Math.abs).reduce((a, b) => a + b, 0) / d.actual.length * 10).toFixed(3),
-    count: d.count,
-  }));
-
-  const totalReturn = +((prices[prices.length - 1]?.actual / prices[0]?.actual - 1) * 100).toFixed(2);
-  const avgVol = +(volatility.reduce((a, b) => a + b.vol, 0) / volatility.length).toFixed(3);
-  const signalAccuracy = +(85 - rand() * 20).toFixed(1);
-  const sharpe = +(totalReturn / 100 / (avgVol / 100 * Math.sqrt(252))).toFixed(2);
-  return { prices, returns, volatility, regimeSummary, totalReturn, avgVol, signalAccuracy, sharpe, ticker, days: prices.length };
+  return query.toString();
 }
 
-async function fetchClaudeAnalysis(data, apiKey) {
-  const { ticker, totalReturn, avgVol, signalAccuracy, sharpe, regimeSummary, days } = data;
-  const regimeText = regimeSummary.map(r =>
-    `${r.name}: avg daily return ${r.actualReturn}%, forecast ${r.forecastReturn}%, vol ${r.avgVol}%`
-  ).join("; ");
-
-  const prompt = `You are a quantitative financial analyst. Analyze this market data for ${ticker} over ${days} trading days.
-
-Key metrics:
-- Total Return: ${totalReturn}%
-- Average Daily Volatility: ${avgVol}%
-- Signal Accuracy: ${signalAccuracy}%
-- Sharpe Ratio: ${sharpe}
-
-Regime Performance: ${regimeText}
-
-Provide a structured analysis with these exact sections (use these headers):
-**SIGNAL QUALITY**
-**REGIME ANALYSIS**
-**RISK PROFILE**
-**KEY INSIGHT**
-
-Each section: 2-3 sentences. Be specific, quantitative, and direct. No fluff. Write like a Bloomberg terminal analyst note.`;
-
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey.trim(),
-      "anthropic-version": "2023-06-01",
-      "anthropic-dangerous-direct-browser-access": "true"
+// Inverse of encodeRunParams. Unknown keys are dropped and numbers clamped to each parameter's range,
+// so a hand-edited link can't push the app into a state its inputs would never allow.
+function decodeRunParams(search) {
+  const query = new URLSearchParams(search);
+  if (!query.get("tickers")) return null;
+  const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+  const pairs = (text, specs, base) => {
+    const out = { ...base };
+    (text ?? "").split(",").forEach(pair => {
+      const [key, value] = pair.split(":");
+      const spec = specs.find(s => s.key === key);
+      if (spec && value !== "" && Number.isFinite(+value)) out[key] = clamp(+value, spec.min, spec.max);
+    });
+    return out;
+  };
+  const detector = REGIME_DETECTORS[query.get("detector")] ? query.get("detector") : "hmm";
+  const models = (query.get("models") ?? "").split(",").filter(id => FORECAST_MODELS[id]);
+  const modelParams = defaultModelParams();
+  (query.get("mp") ?? "").split(";").forEach(entry => {
+    const [id, values] = entry.split(".");
+    if (FORECAST_MODELS[id]) modelParams[id] = pairs(values, FORECAST_MODELS[id].params, modelParams[id]);
+  });
+  const overfitText = query.get("of") ?? "";
+  const mode = /mode:split/.test(overfitText) ? "split" : "walkforward";
+  const backtestText = query.get("bt") ?? "";
+  const rule = backtestText.match(/rule:(\w+)/)?.[1];
+  return {
+    tickers: query.get("tickers").toUpperCase(),
+    startDate: DATE_PARAM.test(query.get("start")) ? query.get("start") : null,
+    endDate: DATE_PARAM.test(query.get("end")) ? query.get("end") : null,
+    source: query.get("source") === "import" ? "import" : "demo",
+    detector,
+    detectorParams: pairs(query.get("dp"), REGIME_DETECTORS[detector].params, defaultDetectorParams(detector)),
+    selectedModels: models.length ? models : DEFAULT_MODELS,
+    modelParams,
+    overfitSettings: { ...pairs(overfitText, OVERFIT_PARAMS, OVERFIT_DEFAULTS), mode },
+    backtestSettings: {
+      ...pairs(backtestText, BACKTEST_PARAMS, BACKTEST_DEFAULTS),
+      rule: BACKTEST_RULES[rule] ? rule : BACKTEST_DEFAULTS.rule,
+      gate: (backtestText.match(/gate:([^,]*)/)?.[1] ?? "").split("+").filter(Boolean),
     },
-    body: JSON.stringify({
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 1000,
-      messages: [{ role: "user", content: prompt }]
-    })
+    transitionSettings: pairs(query.get("tr"), TRANSITION_PARAMS, TRANSITION_DEFAULTS),
+    riskFree: Number.isFinite(+query.get("rf")) ? clamp(+query.get("rf"), 0, 20) : 0,
+    aiTimeout: query.get("timeout") && Number.isFinite(+query.get("timeout")) ? clamp(+query.get("timeout"), 10, 600) : ANALYSIS_TIMEOUT_S,
+  };
+}
+
+const RUN_DIFF_METRICS = [
+  { label: "Total Return (%)", get: d => d.totalReturn },
+  { label: "Avg Vol (%)", get: d => d.avgVol },
+  { label: "Hit Rate (%)", get: d => d.signalAccuracy },
+  { label: "IC (Spearman)", get: d => d.forecastMetrics.overall?.icSpearman.value },
+  { label: "Sharpe", get: d => d.sharpe },
+  { label: "Sortino", get: d => d.risk?.sortino },
+  { label: "Max Drawdown (%)", get: d => d.risk?.maxDrawdown },
+  { label: "Calmar", get: d => d.risk?.calmar },
+  { label: "Hist VaR 95 (%)", get: d => d.risk?.var[0.95].historicalVaR },
+  { label: "Deflated Sharpe (prob)", get: d => d.overfitting?.overall.dsr?.dsr },
+  { label: "PBO", get: d => d.overfitting?.overall.pbo?.pbo },
+  { label: "Strategy Return (%)", get: d => d.backtest?.strategy.totalReturn },
+  { label: "Strategy Sharpe", get: d => d.backtest?.strategy.sharpe },
+  { label: "Regime Switches", get: d => d.transitions?.switches.count },
+  { label: "Hit Rate After Switch (%)", get: d => d.transitions?.switches.after?.hitRate },
+];
+
+const RUN_DIFF_REGIME_METRICS = [
+  { label: "Days", get: r => r.count },
+  { label: "Return / day (%)", get: r => r.actualReturn },
+  { label: "Hit Rate (%)", get: r => r.metrics?.hitRate.value },
+  { label: "IC (Spearman)", get: r => r.metrics?.icSpearman.value },
+  { label: "Sharpe", get: r => r.risk?.sharpe },
+  { label: "Max Drawdown (%)", get: r => r.risk?.maxDrawdown },
+];
+
+function diffRuns(a, b) {
+  const round = (v) => Number.isFinite(v) ? +v.toFixed(3) : null;
+  const row = (label, x, y) => ({ label, a: round(x), b: round(y), delta: round(x) !== null && round(y) !== null ? round(y - x) : null });
+  const before = new URLSearchParams(encodeRunParams({ overfitSettings: OVERFIT_DEFAULTS, backtestSettings: BACKTEST_DEFAULTS, transitionSettings: TRANSITION_DEFAULTS, ...a.params }));
+  const after = new URLSearchParams(encodeRunParams({ overfitSettings: OVERFIT_DEFAULTS, backtestSettings: BACKTEST_DEFAULTS, transitionSettings: TRANSITION_DEFAULTS, ...b.params }));
+  const names = [...new Set([...a.data.regimeSummary, ...b.data.regimeSummary].map(r => r.name))];
+  return {
+    params: [...after.keys()].filter(k => before.get(k) !== after.get(k)).map(k => ({ key: k, a: before.get(k), b: after.get(k) })),
+    metrics: RUN_DIFF_METRICS.map(m => row(m.label, m.get(a.data), m.get(b.data))),
+    regimes: names.map(name => {
+      const ra = a.data.regimeSummary.find(r => r.name === name), rb = b.data.regimeSummary.find(r => r.name === name);
+      return { name, rows: RUN_DIFF_REGIME_METRICS.map(m => row(m.label, ra && m.get(ra), rb && m.get(rb))) };
+    }),
+  };
+}
+
+const CHART_POINTS = 320;
+
+// Largest-Triangle-Three-Buckets: keeps the point per bucket that spans the largest triangle with its
+// neighbours, so spikes and turning points survive where fixed-stride thinning would drop them. The
+// global high and low always win their bucket so the y-range of the chart never shrinks.
+function lttbIndices(values, threshold) {
+  const n = values.length;
+  if (threshold >= n || threshold < 3) return values.map((_, i) => i);
+  let hi = 0, lo = 0;
+  for (let i = 1; i < n; i++) {
+    if (values[i] > values[hi]) hi = i;
+    if (values[i] < values[lo]) lo = i;
+  }
+  const keep = [0];
+  const bucket = (n - 2) / (threshold - 2);
+  let a = 0;
+  for (let b = 0; b < threshold - 2; b++) {
+    const start = Math.floor(b * bucket) + 1, end = Math.floor((b + 1) * bucket) + 1;
+    const nextEnd = Math.min(Math.floor((b + 2) * bucket) + 1, n);
+    let avgX = 0, avgY = 0;
+    for (let j = end; j < nextEnd; j++) { avgX += j; avgY += values[j]; }
+    avgX /= nextEnd - end; avgY /= nextEnd - end;
+    let best = start, bestArea = -1;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs((a - avgX) * (values[j] - values[a]) - (a - j) * (avgY - values[a]));
+      if (area > bestArea) { bestArea = area; best = j; }
+    }
+    if (hi >= start && hi < end) best = hi;
+    else if (lo >= start && lo < end) best = lo;
+    keep.push(best);
+    a = best;
+  }
+  keep.push(n - 1);
+  return keep;
+}
+
+// Rows for one chart: the [from, to] window, downsampled on `key`, tagged with the full-series index `i`
+// for the numeric x-axis. With `regime` set, values outside that regime are nulled so lines break there.
+function chartRows(rows, key, { from, to, labels, regime = null }) {
+  const slice = rows.slice(from, to + 1);
+  return lttbIndices(slice.map(r => Number.isFinite(r[key]) ? r[key] : 0), CHART_POINTS).map(j => {
+    const row = { ...slice[j], i: from + j };
+    if (regime && labels[from + j] !== regime) {
+      Object.keys(row).forEach(k => { if (typeof row[k] === "number" && k !== "i") row[k] = null; });
+    }
+    return row;
   });
+}
 
-  const json = await response.json();
-  if (!response.ok) {
-    return `Error ${response.status}: ${json?.error?.message || "Unknown error"}`;
+function regimeSegments(labels, from, to) {
+  const segments = [];
+  for (let i = from; i <= to; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.regime === labels[i]) last.x2 = Math.min(i + 0.5, to);
+    else segments.push({ regime: labels[i], x1: Math.max(i - 0.5, from), x2: Math.min(i + 0.5, to) });
   }
-  return json?.content?.[0]?.text || "No analysis returned.";
+  return segments;
 }
 
-const REGIME_COLORS = { Bull: "#00d4aa", Volatile: "#f5a623", Bear: "#ff4d6d", Recovery: "#7b8cde" };
-const REGIME_BG = { Bull: "rgba(0,212,170,0.12)", Volatile: "rgba(245,166,35,0.12)", Bear: "rgba(255,77,109,0.12)", Recovery: "rgba(123,140,222,0.12)" };
+const axisTicks = (from, to, count) =>
+  to <= from ? [from] : [...new Set(Array.from({ length: count }, (_, k) => Math.round(from + (to - from) * k / (count - 1))))];
+
+// Stat-card inputs recomputed for a zoom window; the per-regime tables keep the full-sample numbers.
+function windowSummary(data, from, to) {
+  const prices = data.prices.slice(from, to + 1), returns = data.returns.slice(from, to + 1);
+  const volatility = data.volatility.slice(from, to + 1);
+  const actual = returns.map(r => r.actual);
+  const risk = computeRiskMetrics(actual, { riskFree: data.riskFree });
+  return {
+    ...data, prices, returns, volatility, risk,
+    days: prices.length,
+    // Compounded over the window's own returns so day `from` counts, as it does in risk and hit rate.
+    totalReturn: +((actual.reduce((g, r) => g * (1 + r / 100), 1) - 1) * 100).toFixed(2),
+    avgVol: +mean(volatility.map(v => v.vol)).toFixed(3),
+    signalAccuracy: returns.length ? +pointMetrics(actual, returns.map(r => r.forecast)).hitRate.toFixed(1) : null,
+    sharpe: risk?.sharpe ?? null,
+  };
+}
+
+const REGIME_BG = { Bull: "rgba(0,212,170,0.12)", Volatile: "rgba(245,166,35,0.12)", Bear: "rgba(255,77,109,0.12)", Recovery: "rgba(123,140,222,0.12)", Unlabeled: "rgba(139,148,158,0.12)" };
 
 const DarkTooltip = ({ active, payload, label }) => {
   if (!active || !payload?.length) return null;
   return (
     <div style={{ background: "#0d1117", border: "1px solid #30363d", borderRadius: 8, padding: "10px 14px", fontSize: 12, fontFamily: "monospace" }}>
-      <div style={{ color: "#8b949e", marginBottom: 4 }}>{label}</div>
-      {payload.map((p, i) => (
+      <div style={{ color: "#8b949e", marginBottom: 4 }}>{payload[0].payload?.date ?? label}</div>
+      {payload.filter(p => p.value !== null && p.value !== undefined).map((p, i) => (
         <div key={i} style={{ color: p.color, marginBottom: 2 }}>
           {p.name}: <span style={{ color: "#e6edf3" }}>{typeof p.value === "number" ? p.value.toFixed(3) : p.value}</span>
         </div>
@@ -124,58 +337,505 @@ const DarkTooltip = ({ active, payload, label }) => {
   );
 };
 
+const MetricTable = ({ title, columns, rows, rowHeader = "METRIC" }) => (
+  <div style={{ marginTop: 20, overflowX: "auto" }}>
+    {title && <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>{title}</div>}
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+      <thead>
+        <tr style={{ color: "#8b949e", textAlign: "left" }}>
+          <th style={{ padding: "6px 8px", fontWeight: 400, borderBottom: "1px solid #21262d" }}>{rowHeader}</th>
+          {columns.map(c => (
+            <th key={c.label} style={{ padding: "6px 8px", fontWeight: 400, borderBottom: "1px solid #21262d", color: c.color ?? "#8b949e" }}>{c.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.label}>
+            <td style={{ padding: "6px 8px", color: "#8b949e", borderBottom: "1px solid #161b22" }}>{row.label}</td>
+            {row.cells.map((cell, i) => (
+              <td key={i} style={{ padding: "6px 8px", color: i === 0 ? "#e6edf3" : "#c9d1d9", borderBottom: "1px solid #161b22" }}>{cell ?? "—"}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
 export default function App() {
-  const [ticker, setTicker] = useState("NVDA");
-  const [startDate, setStartDate] = useState("2024-01-01");
-  const [endDate, setEndDate] = useState("2024-12-31");
+  const [linked] = useState(() => typeof window === "undefined" ? null : decodeRunParams(window.location.search));
+  const [ticker, setTicker] = useState(linked?.tickers ?? "NVDA");
+  const [startDate, setStartDate] = useState(linked?.startDate ?? "2024-01-01");
+  const [endDate, setEndDate] = useState(linked?.endDate ?? "2024-12-31");
   const [apiKey, setApiKey] = useState("");
   const [showKey, setShowKey] = useState(false);
   const [loading, setLoading] = useState(false);
   const [phase, setPhase] = useState("");
   const [data, setData] = useState(null);
   const [analysis, setAnalysis] = useState("");
+  const [report, setReport] = useState(null);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [retryNote, setRetryNote] = useState("");
+  const [aiTimeout, setAiTimeout] = useState(linked?.aiTimeout ?? ANALYSIS_TIMEOUT_S);
+  const [analysisSubject, setAnalysisSubject] = useState(null);
+  const abortRef = useRef(null);
   const [activeRegime, setActiveRegime] = useState(null);
+  const [regimeMode, setRegimeMode] = useState("highlight");
+  const [simConfig, setSimConfig] = useState(SIM_DEFAULTS);
+  const [simResult, setSimResult] = useState(null);
+  const [simProgress, setSimProgress] = useState(null);
+  const [simError, setSimError] = useState("");
+  const simAbortRef = useRef(null);
+  const [zoom, setZoom] = useState(null);
+  const [source, setSource] = useState(linked?.source ?? "demo");
+  const [imported, setImported] = useState(null);
+  const [importErrors, setImportErrors] = useState([]);
+  const [detector, setDetector] = useState(linked?.detector ?? "hmm");
+  const [detectorParams, setDetectorParams] = useState(linked?.detectorParams ?? defaultDetectorParams("hmm"));
+  const [riskFree, setRiskFree] = useState(linked?.riskFree ?? 0);
+  const [overfitSettings, setOverfitSettings] = useState(linked?.overfitSettings ?? OVERFIT_DEFAULTS);
+  const [backtestSettings, setBacktestSettings] = useState(linked?.backtestSettings ?? BACKTEST_DEFAULTS);
+  const [transitionSettings, setTransitionSettings] = useState(linked?.transitionSettings ?? TRANSITION_DEFAULTS);
+  const [selectedModels, setSelectedModels] = useState(linked?.selectedModels ?? DEFAULT_MODELS);
+  const [modelParams, setModelParams] = useState(linked?.modelParams ?? defaultModelParams);
+  const [comparison, setComparison] = useState(null);
+  const [tickerErrors, setTickerErrors] = useState([]);
+  const [runParams, setRunParams] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportNote, setExportNote] = useState("");
+  const [bundleError, setBundleError] = useState("");
+  const [history, setHistory] = useState([]);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyError, setHistoryError] = useState("");
+  const [historyFilter, setHistoryFilter] = useState("");
+  const [compareIds, setCompareIds] = useState([]);
+  const [runDiff, setRunDiff] = useState(null);
+  const [renaming, setRenaming] = useState(null);
+  const [tagDraft, setTagDraft] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [currentRunId, setCurrentRunId] = useState(null);
+  const [reusedRun, setReusedRun] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatDraft, setChatDraft] = useState("");
+  const [chatPending, setChatPending] = useState(false);
+  const [chatError, setChatError] = useState(null);
+  const chatAbortRef = useRef(null);
   const analysisRef = useRef(null);
+  const fileRef = useRef(null);
+  const bundleRef = useRef(null);
+
+  const handleImport = async (e) => {
+    const files = [...(e.target.files ?? [])];
+    if (!files.length) return;
+    const results = await Promise.all(files.map(async file => ({ file, result: parseImportedSeries(await file.text(), file.name) })));
+    e.target.value = "";
+    const errors = results.flatMap(({ file, result }) => result.errors.map(err => files.length > 1 ? `${file.name}: ${err}` : err));
+    if (errors.length) {
+      setImported(null);
+      setImportErrors(errors);
+      return;
+    }
+    const series = Object.fromEntries(results.map(({ file, result }) => [result.ticker, { ...result, fileName: file.name }]));
+    const all = Object.values(series).flatMap(s => s.rows.map(r => r.date)).sort();
+    setImportErrors([]);
+    setImported(series);
+    setTicker(Object.keys(series).join(", "));
+    setStartDate(all[0]);
+    setEndDate(all[all.length - 1]);
+  };
+
+  const handleDetector = (id) => {
+    setDetector(id);
+    setDetectorParams(defaultDetectorParams(id));
+  };
+
+  const toggleModel = (id) =>
+    setSelectedModels(selectedModels.includes(id) ? selectedModels.filter(m => m !== id) : [...selectedModels, id]);
+
+  const handleOverfitSettings = (patch) => {
+    const next = { ...overfitSettings, ...patch };
+    setOverfitSettings(next);
+    if (data) replaceFocused({ ...data, overfitting: computeOverfitting(data.returns, next) });
+  };
+
+  const handleBacktestSettings = (patch) => {
+    const next = { ...backtestSettings, ...patch };
+    setBacktestSettings(next);
+    if (!data) return;
+    // Causal labels mean refitting the detector, so they're computed the first time a gate is set.
+    const causalRegimes = data.causalRegimes ?? (next.gate.length ? causalRegimeLabels(data.returns, data.regimeModel.detector, data.regimeModel.params) : null);
+    replaceFocused({ ...data, causalRegimes, backtest: computeBacktest(data.returns, next, { riskFree: data.riskFree, causalRegimes }) });
+  };
+
+  const handleTransitionSettings = (patch) => {
+    const next = { ...transitionSettings, ...patch };
+    setTransitionSettings(next);
+    if (data) replaceFocused({ ...data, transitions: computeTransitions(data.returns, next) });
+  };
+
+  // Settings panels recompute only the focused series; keep the comparison's copy in step with it.
+  const replaceFocused = (updated) => {
+    setData(updated);
+    if (comparison) {
+      setComparison(updated.ticker === PORTFOLIO_TICKER
+        ? { ...comparison, portfolio: updated }
+        : { ...comparison, series: { ...comparison.series, [updated.ticker]: updated } });
+    }
+  };
 
   const handleAnalyze = async () => {
-    if (!ticker || !startDate || !endDate || !apiKey) return;
+    if (!ticker || !startDate || !endDate) return;
+    if (source === "import" && !imported) return;
+    const { holdings, errors } = parseTickerList(ticker);
+    const missing = source === "import" ? holdings.filter(h => !imported[h.ticker]).map(h => h.ticker) : [];
+    if (errors.length || missing.length) {
+      setTickerErrors([...errors, ...(missing.length ? [`No imported file for ${missing.join(", ")} (loaded: ${Object.keys(imported).join(", ")})`] : [])]);
+      return;
+    }
+    setTickerErrors([]);
+    const params = { tickers: ticker, startDate, endDate, source, detector, detectorParams, riskFree, selectedModels, modelParams, aiTimeout };
+    setRunParams(params);
+    syncUrl({ ...params, overfitSettings, backtestSettings, transitionSettings });
+    setCurrentRunId(null);
+    setExportNote("");
     setLoading(true);
     setData(null);
+    setComparison(null);
     setAnalysis("");
+    setReport(null);
+    setAnalysisError(null);
+    setAnalysisSubject(null);
     setPhase("data");
-    await new Promise(r => setTimeout(r, 900));
-    const marketData = generateMarketData(ticker.toUpperCase(), startDate, endDate);
+    const fail = (message) => {
+      setImportErrors([message]);
+      setLoading(false);
+      setPhase("");
+    };
+    const loaded = [];
+    if (source === "import") {
+      for (const { ticker: symbol } of holdings) {
+        const marketData = buildImportedMarketData(imported[symbol].rows, symbol, startDate, endDate);
+        if (marketData.error) return fail(`${symbol}: ${marketData.error}`);
+        loaded.push(marketData);
+      }
+    } else {
+      await new Promise(r => setTimeout(r, 900));
+      holdings.forEach(h => loaded.push(generateMarketData(h.ticker, startDate, endDate)));
+    }
+    const { data: marketData, comparison: compared, error } = analyzeHoldings(loaded, holdings, {
+      detector, detectorParams, riskFree, overfitSettings, backtestSettings, transitionSettings, models: selectedModels, modelParams,
+    });
+    if (error) return fail(error);
+    setComparison(compared);
     setData(marketData);
+    const id = `run-${Date.now().toString(36)}`;
+    setCurrentRunId(id);
+    await runAiAnalysis(marketData, compared, { run: { id, params: { ...params, overfitSettings, backtestSettings, transitionSettings } } });
+  };
+
+  // Every finished AI call (first run, retry or fresh re-run) is written to history under the current run id.
+  const runAiAnalysis = async (marketData, compared, { run = null, fresh = false } = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
     setPhase("ai");
-    const aiText = await fetchClaudeAnalysis(marketData, apiKey);
-    setAnalysis(aiText);
-    setLoading(false);
-    setPhase("");
+    setAnalysis("");
+    setReport(null);
+    setAnalysisError(null);
+    setRetryNote("");
+    setReusedRun(null);
+    setChatMessages([]);
+    setChatError(null);
+    setAnalysisSubject({ data: marketData, comparison: compared });
     setTimeout(() => analysisRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 300);
+    const saveTo = run ?? (currentRunId && { id: currentRunId, params: { ...runParams, overfitSettings, backtestSettings, transitionSettings } });
+    const promptHash = hashString(buildAnalysisPrompt(marketData, compared));
+    let result = null, chat = null;
+    try {
+      const previous = !fresh && history.find(r => r.promptHash === promptHash && r.hasReport);
+      const saved = previous && await loadSavedBundle(previous.id).catch(() => null);
+      if (saved?.analysis?.report) {
+        result = { text: saved.analysis.text, report: saved.analysis.report };
+        chat = saved.chat;
+        setAnalysis(result.text);
+        setReport(result.report);
+        setChatMessages(chat?.messages ?? []);
+        setReusedRun(previous);
+        return;
+      }
+      result = await fetchClaudeAnalysis(marketData, apiKey, compared, {
+        signal: controller.signal,
+        timeoutS: aiTimeout,
+        onText: (text) => { setAnalysis(text); setRetryNote(""); },
+        onRetry: ({ attempt, status, delay }) => setRetryNote(`HTTP ${status} — retry ${attempt}/${ANALYSIS_MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s`),
+      });
+      setAnalysis(result.text);
+      setReport(result.report);
+    } catch (e) {
+      setAnalysisError(e instanceof AnalysisError ? e : new AnalysisError("network", e.message));
+    } finally {
+      abortRef.current = null;
+      setRetryNote("");
+      setLoading(false);
+      setPhase("");
+      if (saveTo) {
+        const bundle = buildRunBundle({
+          params: saveTo.params, data: marketData, comparison: compared,
+          analysis: result && { subject: marketData.ticker, text: result.text, report: result.report },
+          chat,
+        });
+        const existing = history.find(r => r.id === saveTo.id);
+        saveRunToHistory(savedRunRecord(existing ?? { id: saveTo.id }, bundle, result?.report ? promptHash : null), bundle)
+          .then(refreshHistory, e => setHistoryError(`Could not save run: ${e.message}`));
+      }
+    }
+  };
+
+  const cancelAnalysis = () => abortRef.current?.abort();
+
+  const askQuestion = async () => {
+    const question = chatDraft.trim();
+    if (!question || !analysisSubject || chatPending) return;
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    const before = chatMessages;
+    setChatDraft("");
+    setChatError(null);
+    setChatPending(true);
+    try {
+      const messages = await askRunChat(analysisSubject.data, report, before, question, apiKey, {
+        signal: controller.signal, timeoutS: aiTimeout, onMessages: setChatMessages,
+      });
+      if (currentRunId) {
+        saveRunChat(currentRunId, { subject: analysisSubject.data.ticker, messages })
+          .catch(e => setHistoryError(`Could not save chat: ${e.message}`));
+      }
+    } catch (e) {
+      setChatMessages(before);
+      setChatDraft(question);
+      setChatError(e instanceof AnalysisError ? e : new AnalysisError("network", e.message));
+    } finally {
+      chatAbortRef.current = null;
+      setChatPending(false);
+    }
+  };
+
+  const runSimulator = async () => {
+    const controller = new AbortController();
+    simAbortRef.current = controller;
+    setSimError("");
+    setSimProgress(0);
+    try {
+      const result = await runSimulation(simConfig, data ? observedSignalQuality(data) : null, { signal: controller.signal, onProgress: setSimProgress });
+      setSimResult({ ...result, observedTicker: data?.ticker ?? null });
+    } catch (e) {
+      setSimError(e.message);
+    } finally {
+      simAbortRef.current = null;
+      setSimProgress(null);
+    }
+  };
+
+  const setSimRegime = (name, key, value) =>
+    setSimConfig({ ...simConfig, regimes: { ...simConfig.regimes, [name]: { ...simConfig.regimes[name], [key]: value } } });
+  const setSimTransition = (from, to, value) =>
+    setSimConfig({ ...simConfig, transitions: { ...simConfig.transitions, [from]: { ...simConfig.transitions[from], [to]: value } } });
+
+  const focusSeries = (symbol) => {
+    setData(symbol === PORTFOLIO_TICKER ? comparison.portfolio : comparison.series[symbol]);
+    setActiveRegime(null);
+  };
+
+  const currentBundle = () => buildRunBundle({
+    params: { ...runParams, overfitSettings, backtestSettings, transitionSettings },
+    data,
+    comparison,
+    analysis: analysisSubject && (analysis || report) ? { subject: analysisSubject.data.ticker, text: analysis, report } : null,
+    chat: analysisSubject ? { subject: analysisSubject.data.ticker, messages: chatMessages } : null,
+  });
+
+  const exportRun = (format) => {
+    setExportOpen(false);
+    setExportNote("");
+    const bundle = currentBundle();
+    const { ext } = EXPORT_FORMATS.find(f => f.id === format);
+    if (format === "pdf") {
+      const win = window.open("", "_blank");
+      if (!win) return setExportNote("Pop-up blocked — allow pop-ups for this page, or export HTML and print it from the browser");
+      win.document.write(htmlReport(bundle, { autoPrint: true }));
+      win.document.close();
+    } else if (format === "html") {
+      downloadFile(exportFileName(data, "report", ext), htmlReport(bundle), "text/html");
+    } else if (format === "markdown") {
+      downloadFile(exportFileName(data, "report", ext), markdownReport(bundle), "text/markdown");
+    } else if (format === "bundle") {
+      downloadFile(exportFileName(data, "run", ext), JSON.stringify(bundle), "application/json");
+    } else {
+      downloadFile(exportFileName(data, format, ext), seriesCsv(data, format), "text/csv");
+    }
   };
 
-  const parsedSections = analysis ? (() => {
-    const sections = [];
-    const headers = ["SIGNAL QUALITY", "REGIME ANALYSIS", "RISK PROFILE", "KEY INSIGHT"];
-    const icons = ["◈", "◉", "⬡", "◆"];
-    headers.forEach((h, i) => {
-      const regex = new RegExp(`\\*\\*${h}\\*\\*([\\s\\S]*?)(?=\\*\\*[A-Z]|$)`);
-      const match = analysis.match(regex);
-      if (match) sections.push({ title: h, content: match[1].trim(), icon: icons[i] });
+  const loadRun = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { bundle, error } = parseRunBundle(await file.text());
+    if (error) return setBundleError(`${file.name}: ${error}`);
+    restoreBundle(bundle);
+    setCurrentRunId(null);
+  };
+
+  const restoreBundle = (bundle) => {
+    const { params, comparison: compared, analysis: saved } = bundle;
+    const lookup = (symbol) => symbol === bundle.data.ticker ? bundle.data
+      : symbol === PORTFOLIO_TICKER ? compared?.portfolio : compared?.series[symbol];
+    setBundleError("");
+    setExportNote("");
+    setTicker(params.tickers);
+    setStartDate(params.startDate);
+    setEndDate(params.endDate);
+    setSource(params.source);
+    if (params.source === "import") setImported(null);
+    setDetector(params.detector);
+    setDetectorParams(params.detectorParams);
+    setRiskFree(params.riskFree);
+    setOverfitSettings(params.overfitSettings ?? OVERFIT_DEFAULTS);
+    setBacktestSettings(params.backtestSettings ?? BACKTEST_DEFAULTS);
+    setTransitionSettings(params.transitionSettings ?? TRANSITION_DEFAULTS);
+    setSelectedModels(params.selectedModels);
+    setModelParams({ ...defaultModelParams(), ...params.modelParams });
+    setAiTimeout(params.aiTimeout ?? ANALYSIS_TIMEOUT_S);
+    setRunParams(params);
+    setTickerErrors([]);
+    setImportErrors([]);
+    setActiveRegime(null);
+    setData(bundle.data);
+    setComparison(compared ?? null);
+    setAnalysis(saved?.text ?? "");
+    setReport(saved?.report ?? null);
+    setAnalysisError(null);
+    setReusedRun(null);
+    setAnalysisSubject(saved ? { data: lookup(saved.subject) ?? bundle.data, comparison: compared ?? null } : null);
+    setChatMessages(bundle.chat?.messages ?? []);
+    setChatError(null);
+    syncUrl({
+      ...params,
+      overfitSettings: params.overfitSettings ?? OVERFIT_DEFAULTS,
+      backtestSettings: params.backtestSettings ?? BACKTEST_DEFAULTS,
+      transitionSettings: params.transitionSettings ?? TRANSITION_DEFAULTS,
     });
-    return sections.length ? sections : [{ title: "ANALYSIS", content: analysis, icon: "◈" }];
-  })() : [];
+  };
 
-  const chartPrices = data?.prices.filter((_, i) => i % 3 === 0) ?? [];
-  const chartReturns = data?.returns.filter((_, i) => i % 3 === 0) ?? [];
-  const chartVol = data?.volatility.filter((_, i) => i % 3 === 0) ?? [];
+  const syncUrl = (params) => {
+    try {
+      window.history.replaceState(null, "", `${window.location.pathname}?${encodeRunParams(params)}`);
+    } catch {
+      // sandboxed iframes can refuse history updates; the link is a convenience only
+    }
+  };
 
-  const statCards = data ? [
-    { label: "TOTAL RETURN", value: `${data.totalReturn > 0 ? "+" : ""}${data.totalReturn}%`, color: data.totalReturn > 0 ? "#00d4aa" : "#ff4d6d" },
-    { label: "AVG VOLATILITY", value: `${data.avgVol}%`, color: "#f5a623" },
-    { label: "SIGNAL ACCURACY", value: `${data.signalAccuracy}%`, color: "#7b8cde" },
-    { label: "SHARPE RATIO", value: data.sharpe, color: data.sharpe > 1 ? "#00d4aa" : data.sharpe > 0 ? "#f5a623" : "#ff4d6d" },
-  ] : [];
+  const copyRunLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      setExportNote("Clipboard unavailable — copy the address bar instead");
+    }
+  };
+
+  const refreshHistory = () =>
+    listSavedRuns().then(runs => { setHistory(runs); setHistoryError(""); }, e => setHistoryError(e.message));
+
+  useEffect(() => { refreshHistory(); }, []);
+
+  useEffect(() => { setZoom(null); }, [data?.ticker, data?.days]);
+
+  const withSavedBundle = async (id, use) => {
+    const bundle = await loadSavedBundle(id).catch(() => null);
+    if (!bundle) return setHistoryError("Saved run could not be read — it may have been deleted in another tab");
+    use(bundle);
+  };
+
+  const openSavedRun = (run) => withSavedBundle(run.id, (bundle) => {
+    restoreBundle(bundle);
+    setCurrentRunId(run.id);
+    setRunDiff(null);
+    setHistoryOpen(false);
+  });
+
+  const patchSavedRun = (run, patch) =>
+    updateSavedRun({ ...run, ...patch }).then(refreshHistory, e => setHistoryError(e.message));
+
+  const addTag = (run, text) => {
+    const tag = text.trim().toLowerCase().replace(/^#/, "").replace(/\s+/g, "-");
+    setTagDraft(null);
+    if (tag && !run.tags.includes(tag)) patchSavedRun(run, { tags: [...run.tags, tag] });
+  };
+
+  const removeSavedRun = (run) => {
+    setPendingDelete(null);
+    setCompareIds(compareIds.filter(id => id !== run.id));
+    if (currentRunId === run.id) setCurrentRunId(null);
+    deleteSavedRun(run.id).then(refreshHistory, e => setHistoryError(e.message));
+  };
+
+  const toggleCompare = (id) =>
+    setCompareIds(compareIds.includes(id) ? compareIds.filter(x => x !== id) : [...compareIds, id].slice(-2));
+
+  const showRunDiff = async () => {
+    const runs = compareIds.map(id => history.find(r => r.id === id));
+    const bundles = await Promise.all(runs.map(r => loadSavedBundle(r.id).catch(() => null)));
+    if (bundles.some(b => !b)) return setHistoryError("One of the selected runs could not be read");
+    setRunDiff({ a: runs[0], b: runs[1], ...diffRuns(bundles[0], bundles[1]) });
+    setHistoryOpen(false);
+  };
+
+  const filteredHistory = history.filter(r => {
+    const q = historyFilter.trim().toLowerCase();
+    if (!q) return true;
+    return q.startsWith("#") ? r.tags.some(t => t.startsWith(q.slice(1))) : `${r.name} ${r.summary.ticker} ${r.tags.join(" ")}`.toLowerCase().includes(q);
+  });
+
+  const reportSections = report?.sections ?? partialReportSections(analysis);
+  const turns = chatTurns(chatMessages);
+
+  const modelSeries = data?.models?.series ?? [];
+  const withModels = (rows, key) => rows.map((row, i) => ({ ...row, ...Object.fromEntries(modelSeries.map(m => [`model_${m.id}`, m[key][i]])) }));
+  const labels = data?.returns.map(r => r.regime) ?? [];
+  const span = data && { from: Math.min(zoom?.from ?? 0, data.days - 1), to: Math.min(zoom?.to ?? data.days - 1, data.days - 1) };
+  const view = { ...span, labels, regime: regimeMode === "filter" ? activeRegime : null };
+  const chartPrices = data ? chartRows(withModels(data.prices, "prices"), "actual", view) : [];
+  const chartReturns = data ? chartRows(withModels(data.returns, "returns"), "actual", view) : [];
+  const chartVol = data ? chartRows(data.volatility, "vol", view) : [];
+  const regimeNames = data?.regimeSummary.map(r => r.name) ?? [];
+  const regimeColumns = [{ label: "OVERALL" }, ...regimeNames.map(n => ({ label: n.toUpperCase(), color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled }))];
+  const chartDrawdown = data ? chartRows(data.drawdown, "drawdown", view) : [];
+  const chartEquity = data?.backtest ? chartRows(data.backtest.equity, "strategy", view) : [];
+  const chartRolling = data ? chartRows(data.rolling, "sharpe60", view) : [];
+  const chartProbs = data ? chartRows(data.regimeProbs.map(p => ({ ...Object.fromEntries(regimeNames.map(n => [n, 0])), ...p })), regimeNames[0], { from: 0, to: data.days - 1, labels }) : [];
+  const bands = data ? regimeSegments(labels, span.from, span.to) : [];
+  const ticks = data ? axisTicks(span.from, span.to, 6) : [];
+  const brushStart = zoom ? Math.max(chartProbs.findIndex(r => r.i >= span.from), 0) : 0;
+  const brushEnd = zoom ? chartProbs.length - 1 - Math.max([...chartProbs].reverse().findIndex(r => r.i <= span.to), 0) : chartProbs.length - 1;
+
+  const bandAreas = (yAxisId) => bands.map(b => (
+    <ReferenceArea key={`${b.regime}-${b.x1}`} x1={b.x1} x2={b.x2} {...(yAxisId ? { yAxisId } : {})} stroke="none" ifOverflow="hidden"
+      fill={REGIME_COLORS[b.regime] ?? REGIME_COLORS.Unlabeled} fillOpacity={!activeRegime ? 0.07 : b.regime === activeRegime ? 0.22 : 0.015} />
+  ));
+  const timeAxis = (fontSize) => (
+    <XAxis dataKey="i" type="number" domain={[span.from, span.to]} ticks={ticks} allowDataOverflow
+      tickFormatter={i => data.returns[i]?.date ?? ""} tick={{ fill: "#8b949e", fontSize }} tickLine={false} />
+  );
+  const handleBrush = ({ startIndex, endIndex }) => {
+    const from = chartProbs[startIndex]?.i ?? 0, to = chartProbs[endIndex]?.i ?? data.days - 1;
+    setZoom(from <= 0 && to >= data.days - 1 ? null : { from, to });
+  };
+
+  const viewData = data && zoom ? windowSummary(data, span.from, span.to) : data;
+  const statCards = viewData ? summaryStatCards(viewData) : [];
 
   const keyStatus = !apiKey ? null : apiKey.trim().startsWith("sk-ant-") ? "valid" : "invalid";
 
@@ -194,6 +854,7 @@ export default function App() {
         .analyze-btn:hover:not(:disabled) { transform: translateY(-1px); box-shadow: 0 0 24px rgba(0,212,170,0.35); }
         .analyze-btn:disabled { opacity: 0.6; cursor: not-allowed; }
         .section-card { transition: border-color 0.2s; }
+        .export-item:hover { background: #161b22; color: #58a6ff !important; }
         .section-card:hover { border-color: rgba(0,212,170,0.3) !important; }
         @keyframes pulse { 0%,100%{opacity:1} 50%{opacity:0.4} }
         @keyframes fadeUp { from{opacity:0;transform:translateY(16px)} to{opacity:1;transform:translateY(0)} }
@@ -214,10 +875,89 @@ export default function App() {
             {["MARKETS", "MODELS", "REGIMES", "DOCS"].map(t => (
               <span key={t} style={{ cursor: "pointer" }}>{t}</span>
             ))}
+            <span onClick={() => setHistoryOpen(!historyOpen)} style={{ cursor: "pointer", color: historyOpen ? "#00d4aa" : "#58a6ff" }}>
+              ☰ HISTORY{history.length ? ` (${history.length})` : ""}
+            </span>
           </div>
         </div>
       </div>
 
+      {/* History Sidebar */}
+      {historyOpen && (
+        <div style={{ position: "fixed", top: 56, right: 0, bottom: 0, width: 380, zIndex: 90, background: "#0d1117", borderLeft: "1px solid #21262d", boxShadow: "-12px 0 32px rgba(1,4,9,0.6)", overflowY: "auto", padding: "20px 20px 40px" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14 }}>
+            <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>☰ RUN HISTORY</div>
+            <span onClick={() => setHistoryOpen(false)} style={{ cursor: "pointer", fontSize: 12, color: "#8b949e" }}>✕</span>
+          </div>
+          <input value={historyFilter} onChange={e => setHistoryFilter(e.target.value)} placeholder="filter by name, ticker or #tag"
+            style={{ width: "100%", background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "8px 12px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit", marginBottom: 10 }} />
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14, fontSize: 10, color: "#8b949e" }}>
+            <span>{compareIds.length}/2 selected for diff</span>
+            <button onClick={showRunDiff} disabled={compareIds.length !== 2}
+              style={{ background: "transparent", border: `1px solid ${compareIds.length === 2 ? "#7b8cde" : "#30363d"}`, borderRadius: 6, padding: "5px 12px", color: compareIds.length === 2 ? "#7b8cde" : "#8b949e", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: compareIds.length === 2 ? "pointer" : "not-allowed" }}>
+              ⇄ DIFF RUNS
+            </button>
+          </div>
+          {historyError && <div style={{ fontSize: 11, color: "#ff4d6d", marginBottom: 12 }}>✕ {historyError}</div>}
+          {!history.length && !historyError && <div style={{ fontSize: 11, color: "#8b949e" }}>Runs are saved here automatically when an analysis finishes.</div>}
+          {filteredHistory.map(run => (
+            <div key={run.id} style={{ background: currentRunId === run.id ? "rgba(0,212,170,0.06)" : "#161b22", border: `1px solid ${compareIds.includes(run.id) ? "#7b8cde" : currentRunId === run.id ? "rgba(0,212,170,0.4)" : "#30363d"}`, borderRadius: 10, padding: "12px 14px", marginBottom: 10 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                <span onClick={() => toggleCompare(run.id)} title="Select for diff"
+                  style={{ cursor: "pointer", fontSize: 9, padding: "2px 5px", borderRadius: 4, border: `1px solid ${compareIds.includes(run.id) ? "#7b8cde" : "#30363d"}`, color: compareIds.includes(run.id) ? "#7b8cde" : "#8b949e" }}>
+                  {compareIds.includes(run.id) ? "AB"[compareIds.indexOf(run.id)] : "+"}
+                </span>
+                {renaming?.id === run.id ? (
+                  <input autoFocus value={renaming.name} onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={e => {
+                      if (e.key === "Enter" && renaming.name.trim()) { patchSavedRun(run, { name: renaming.name.trim() }); setRenaming(null); }
+                      if (e.key === "Escape") setRenaming(null);
+                    }}
+                    style={{ flex: 1, background: "#0d1117", border: "1px solid #58a6ff", borderRadius: 4, padding: "3px 6px", color: "#e6edf3", fontSize: 11, fontFamily: "inherit" }} />
+                ) : (
+                  <span style={{ flex: 1, fontSize: 11, fontWeight: 600, color: "#e6edf3" }}>{run.name}</span>
+                )}
+              </div>
+              <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>
+                {run.summary.ticker} · {run.params.startDate} → {run.params.endDate} · {REGIME_DETECTORS[run.summary.detector]?.label ?? run.summary.detector}
+              </div>
+              <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 6 }}>
+                Ret <span style={{ color: run.summary.totalReturn > 0 ? "#00d4aa" : "#ff4d6d" }}>{run.summary.totalReturn > 0 ? "+" : ""}{run.summary.totalReturn}%</span> · Sharpe <span style={{ color: "#e6edf3" }}>{run.summary.sharpe ?? "—"}</span> · Hit <span style={{ color: "#7b8cde" }}>{run.summary.hitRate ?? "—"}%</span>
+                {run.hasReport ? <span style={{ color: "#00d4aa" }}> · AI ✓</span> : <span> · no AI</span>}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center", marginBottom: 8 }}>
+                {run.tags.map(tag => (
+                  <span key={tag} style={{ fontSize: 9, color: "#58a6ff", background: "rgba(88,166,255,0.1)", borderRadius: 4, padding: "2px 6px" }}>
+                    #{tag} <span onClick={() => patchSavedRun(run, { tags: run.tags.filter(t => t !== tag) })} style={{ cursor: "pointer", color: "#8b949e" }}>×</span>
+                  </span>
+                ))}
+                {tagDraft?.id === run.id ? (
+                  <input autoFocus value={tagDraft.text} onChange={e => setTagDraft({ ...tagDraft, text: e.target.value })} placeholder="tag"
+                    onKeyDown={e => { if (e.key === "Enter") addTag(run, tagDraft.text); if (e.key === "Escape") setTagDraft(null); }}
+                    onBlur={() => addTag(run, tagDraft.text)}
+                    style={{ width: 80, background: "#0d1117", border: "1px solid #30363d", borderRadius: 4, padding: "2px 6px", color: "#e6edf3", fontSize: 10, fontFamily: "inherit" }} />
+                ) : (
+                  <span onClick={() => setTagDraft({ id: run.id, text: "" })} style={{ cursor: "pointer", fontSize: 9, color: "#8b949e" }}>+ TAG</span>
+                )}
+              </div>
+              <div style={{ display: "flex", gap: 14, fontSize: 9, letterSpacing: "0.1em" }}>
+                <span onClick={() => openSavedRun(run)} style={{ cursor: "pointer", color: "#00d4aa" }}>OPEN</span>
+                <span onClick={() => setRenaming({ id: run.id, name: run.name })} style={{ cursor: "pointer", color: "#58a6ff" }}>RENAME</span>
+                {pendingDelete === run.id ? (
+                  <>
+                    <span onClick={() => removeSavedRun(run)} style={{ cursor: "pointer", color: "#ff4d6d" }}>CONFIRM DELETE</span>
+                    <span onClick={() => setPendingDelete(null)} style={{ cursor: "pointer", color: "#8b949e" }}>KEEP</span>
+                  </>
+                ) : (
+                  <span onClick={() => setPendingDelete(run.id)} style={{ cursor: "pointer", color: "#ff4d6d" }}>DELETE</span>
+                )}
+                <span style={{ marginLeft: "auto", color: "#8b949e", letterSpacing: 0 }}>{new Date(run.createdAt).toLocaleString()}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div style={{ maxWidth: 1200, margin: "0 auto", padding: "32px 32px 64px" }}>
 
         {/* Hero */}
@@ -235,12 +975,93 @@ export default function App() {
         {/* Input Panel */}
         <div style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: 28, marginBottom: 32 }}>
           <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 20 }}>◉ ANALYSIS PARAMETERS</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 20, flexWrap: "wrap" }}>
+            <span style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginRight: 4 }}>DATA SOURCE</span>
+            {[["demo", "DEMO DATA"], ["import", "IMPORT CSV / JSON"]].map(([id, label]) => (
+              <span key={id} onClick={() => setSource(id)}
+                style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "6px 12px", borderRadius: 6, border: `1px solid ${source === id ? "#00d4aa" : "#30363d"}`, background: source === id ? "rgba(0,212,170,0.12)" : "#161b22", color: source === id ? "#00d4aa" : "#8b949e" }}>
+                {label}
+              </span>
+            ))}
+            {source === "import" && (
+              <>
+                <input ref={fileRef} type="file" multiple accept=".csv,.json,text/csv,application/json" onChange={handleImport} style={{ display: "none" }} />
+                <span onClick={() => fileRef.current?.click()} style={{ cursor: "pointer", fontSize: 10, color: "#58a6ff", letterSpacing: "0.08em", marginLeft: 8 }}>
+                  {imported ? "REPLACE FILES" : "CHOOSE FILES..."}
+                </span>
+                {imported && Object.entries(imported).map(([symbol, f]) => (
+                  <span key={symbol} style={{ fontSize: 11, color: "#00d4aa" }}>
+                    ✓ {symbol} · {f.fileName} · {f.rows.length} rows · {f.rows[0].date} → {f.rows[f.rows.length - 1].date}{f.labelled ? " · regime labels" : ""}
+                  </span>
+                ))}
+              </>
+            )}
+            <input ref={bundleRef} type="file" accept=".json,application/json" onChange={loadRun} style={{ display: "none" }} />
+            <span onClick={() => bundleRef.current?.click()} style={{ cursor: "pointer", fontSize: 10, color: "#58a6ff", letterSpacing: "0.08em", marginLeft: "auto" }}>
+              ↥ LOAD SAVED RUN
+            </span>
+          </div>
+          {bundleError && <div style={{ marginTop: -12, marginBottom: 20, fontSize: 11, color: "#ff4d6d" }}>✕ {bundleError}</div>}
+          {source === "import" && importErrors.length > 0 && (
+            <div style={{ background: "rgba(255,77,109,0.08)", border: "1px solid rgba(255,77,109,0.4)", borderRadius: 6, padding: "10px 14px", marginBottom: 20, fontSize: 11, color: "#ff4d6d", lineHeight: 1.6 }}>
+              {importErrors.slice(0, 8).map((err, i) => <div key={i}>✕ {err}</div>)}
+              {importErrors.length > 8 && <div style={{ color: "#8b949e" }}>…and {importErrors.length - 8} more</div>}
+            </div>
+          )}
+          {source === "import" && !imported && !importErrors.length && (
+            <div style={{ fontSize: 11, color: "#8b949e", marginBottom: 20 }}>
+              Columns: date, close, forecast (required) · open, high, low, volume, regime (optional) · one file per ticker
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 20, flexWrap: "wrap" }}>
+            <span style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginRight: 4 }}>REGIME DETECTOR</span>
+            {Object.entries(REGIME_DETECTORS).map(([id, d]) => (
+              <span key={id} onClick={() => handleDetector(id)}
+                style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "6px 12px", borderRadius: 6, border: `1px solid ${detector === id ? "#7b8cde" : "#30363d"}`, background: detector === id ? "rgba(123,140,222,0.12)" : "#161b22", color: detector === id ? "#7b8cde" : "#8b949e" }}>
+                {d.label}
+              </span>
+            ))}
+            {REGIME_DETECTORS[detector].params.map(p => (
+              <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 8 }}>
+                {p.label}
+                <input type="number" min={p.min} max={p.max} step={p.step} value={detectorParams[p.key]}
+                  onChange={e => setDetectorParams({ ...detectorParams, [p.key]: Math.min(Math.max(+e.target.value || p.min, p.min), p.max) })}
+                  style={{ width: 64, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 8px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+              </label>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 20, flexWrap: "wrap" }}>
+            <span style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginRight: 4 }}>FORECAST MODELS</span>
+            {Object.entries(FORECAST_MODELS).map(([id, m]) => (
+              <span key={id} onClick={() => toggleModel(id)}
+                style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "6px 12px", borderRadius: 6, border: `1px solid ${selectedModels.includes(id) ? m.color : "#30363d"}`, background: selectedModels.includes(id) ? "rgba(88,166,255,0.08)" : "#161b22", color: selectedModels.includes(id) ? m.color : "#8b949e" }}>
+                {m.label.toUpperCase()}
+              </span>
+            ))}
+          </div>
+          {selectedModels.some(id => FORECAST_MODELS[id].params.length) && (
+            <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 20, flexWrap: "wrap" }}>
+              {selectedModels.filter(id => FORECAST_MODELS[id].params.length).map(id => (
+                <div key={id} style={{ display: "flex", gap: 6, alignItems: "center", marginRight: 12 }}>
+                  <span style={{ fontSize: 10, color: FORECAST_MODELS[id].color, letterSpacing: "0.08em" }}>{FORECAST_MODELS[id].label.toUpperCase()}</span>
+                  {FORECAST_MODELS[id].params.map(p => (
+                    <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em" }}>
+                      {p.label}
+                      <input type="number" min={p.min} max={p.max} step={p.step} value={modelParams[id][p.key]}
+                        onChange={e => setModelParams({ ...modelParams, [id]: { ...modelParams[id], [p.key]: Math.min(Math.max(+e.target.value || p.min, p.min), p.max) } })}
+                        style={{ width: 56, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "4px 6px", color: "#e6edf3", fontSize: 11, fontFamily: "inherit" }} />
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
           <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end" }}>
 
-            <div style={{ flex: "1 1 120px" }}>
-              <label style={{ display: "block", fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginBottom: 8 }}>TICKER</label>
+            <div style={{ flex: "2 1 180px" }}>
+              <label style={{ display: "block", fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginBottom: 8 }}>TICKERS <span style={{ fontSize: 9 }}>(OPTIONAL :WEIGHT)</span></label>
               <input value={ticker} onChange={e => setTicker(e.target.value.toUpperCase())}
-                placeholder="NVDA"
+                placeholder="NVDA:50%, AAPL, MSFT"
                 style={{ width: "100%", background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "10px 14px", color: "#e6edf3", fontSize: 14, fontFamily: "inherit" }} />
             </div>
 
@@ -256,9 +1077,21 @@ export default function App() {
                 style={{ width: "100%", background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "10px 14px", color: "#e6edf3", fontSize: 13, fontFamily: "inherit", colorScheme: "dark" }} />
             </div>
 
+            <div style={{ flex: "1 1 90px" }}>
+              <label style={{ display: "block", fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginBottom: 8 }}>AI TIMEOUT S</label>
+              <input type="number" step={5} min={10} max={600} value={aiTimeout} onChange={e => setAiTimeout(Math.min(Math.max(+e.target.value || 10, 10), 600))}
+                style={{ width: "100%", background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "10px 14px", color: "#e6edf3", fontSize: 13, fontFamily: "inherit" }} />
+            </div>
+
+            <div style={{ flex: "1 1 90px" }}>
+              <label style={{ display: "block", fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginBottom: 8 }}>RISK-FREE %</label>
+              <input type="number" step={0.25} min={0} max={20} value={riskFree} onChange={e => setRiskFree(+e.target.value || 0)}
+                style={{ width: "100%", background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "10px 14px", color: "#e6edf3", fontSize: 13, fontFamily: "inherit" }} />
+            </div>
+
             <div style={{ flex: "3 1 240px" }}>
               <label style={{ display: "block", fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginBottom: 8 }}>
-                ANTHROPIC API KEY
+                ANTHROPIC API KEY <span style={{ fontSize: 9 }}>(OPTIONAL)</span>
                 <span onClick={() => setShowKey(!showKey)} style={{ marginLeft: 8, color: "#58a6ff", cursor: "pointer", fontSize: 9 }}>
                   {showKey ? "HIDE" : "SHOW"}
                 </span>
@@ -267,31 +1100,43 @@ export default function App() {
                 type={showKey ? "text" : "password"}
                 value={apiKey}
                 onChange={e => setApiKey(e.target.value)}
-                placeholder="sk-ant-api03-..."
+                placeholder="leave blank to use the proxy"
                 style={{ width: "100%", background: "#161b22", border: `1px solid ${keyStatus === "valid" ? "#00d4aa" : keyStatus === "invalid" ? "#ff4d6d" : "#30363d"}`, borderRadius: 6, padding: "10px 14px", color: "#e6edf3", fontSize: 13, fontFamily: "inherit" }} />
             </div>
 
             <div style={{ flex: "1 1 160px" }}>
               <button
                 onClick={handleAnalyze}
-                disabled={loading || !apiKey || !ticker}
+                disabled={loading || !ticker || (source === "import" && !imported)}
                 className="analyze-btn"
                 style={{ width: "100%", background: "linear-gradient(135deg, #00d4aa, #0099ff)", border: "none", borderRadius: 6, padding: "11px 24px", color: "#010409", fontSize: 12, fontFamily: "inherit", fontWeight: 600, letterSpacing: "0.1em", cursor: "pointer" }}>
                 {loading ? (phase === "data" ? "LOADING..." : "ANALYZING...") : "▶  RUN ANALYSIS"}
               </button>
+              {phase === "ai" && (
+                <button onClick={cancelAnalysis}
+                  style={{ width: "100%", marginTop: 8, background: "transparent", border: "1px solid #ff4d6d", borderRadius: 6, padding: "8px 24px", color: "#ff4d6d", fontSize: 11, fontFamily: "inherit", letterSpacing: "0.1em", cursor: "pointer" }}>
+                  ■  CANCEL
+                </button>
+              )}
             </div>
           </div>
 
+          {tickerErrors.length > 0 && (
+            <div style={{ marginTop: 12, fontSize: 11, color: "#ff4d6d", lineHeight: 1.6 }}>
+              {tickerErrors.map((err, i) => <div key={i}>✕ {err}</div>)}
+            </div>
+          )}
+
           <div style={{ marginTop: 12, fontSize: 11, minHeight: 18 }}>
-            {!apiKey && <span style={{ color: "#8b949e" }}>⚠ Enter your API key from console.anthropic.com to enable AI analysis</span>}
+            {!apiKey && <span style={{ color: "#8b949e" }}>◈ AI analysis runs through the RegimeIQ proxy ({ANALYZE_ENDPOINT}) — the API key stays on the server</span>}
             {keyStatus === "invalid" && <span style={{ color: "#ff4d6d" }}>✕ Key should start with "sk-ant-" — double check for extra spaces</span>}
-            {keyStatus === "valid" && <span style={{ color: "#00d4aa" }}>✓ API key format looks correct</span>}
+            {keyStatus === "valid" && <span style={{ color: "#00d4aa" }}>✓ API key format looks correct — calls go directly from this browser, bypassing the proxy</span>}
           </div>
 
           {loading && (
             <div style={{ marginTop: 16 }}>
               <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6, fontSize: 10, color: "#8b949e" }}>
-                <span className="pulse">{phase === "data" ? "Generating market regime simulation..." : "Claude analyzing signal stability..."}</span>
+                <span className="pulse">{phase === "data" ? (source === "import" ? "Normalising imported series..." : "Generating market regime simulation...") : retryNote || "Claude analyzing signal stability..."}</span>
                 <span style={{ color: "#00d4aa" }}>{phase === "data" ? "1/2" : "2/2"}</span>
               </div>
               <div style={{ height: 2, background: "#21262d", borderRadius: 1, overflow: "hidden" }}>
@@ -301,6 +1146,112 @@ export default function App() {
           )}
         </div>
 
+        {/* Run Diff */}
+        {runDiff && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>⇄ RUN DIFF · <span style={{ color: "#7b8cde" }}>A</span> {runDiff.a.name} → <span style={{ color: "#7b8cde" }}>B</span> {runDiff.b.name}</div>
+              <span onClick={() => setRunDiff(null)} style={{ cursor: "pointer", fontSize: 12, color: "#8b949e" }}>✕</span>
+            </div>
+            <div style={{ fontSize: 11, color: "#8b949e", lineHeight: 1.7 }}>
+              {runDiff.params.length ? runDiff.params.map(p => (
+                <div key={p.key}>{p.key}: <span style={{ color: "#ff4d6d" }}>{p.a || "—"}</span> → <span style={{ color: "#00d4aa" }}>{p.b || "—"}</span></div>
+              )) : "Same parameters — differences come from the data or the AI run"}
+            </div>
+            <MetricTable title="◈ METRICS" columns={[{ label: "A" }, { label: "B" }, { label: "B − A" }]}
+              rows={runDiff.metrics.map(m => ({ label: m.label, cells: [m.a, m.b, m.delta === null ? null : `${m.delta > 0 ? "+" : ""}${m.delta}`] }))} />
+            <MetricTable title="◆ REGIME BREAKDOWN" rowHeader="REGIME · METRIC" columns={[{ label: "A" }, { label: "B" }, { label: "B − A" }]}
+              rows={runDiff.regimes.flatMap(r => r.rows.map(m => ({
+                label: `${r.name} · ${m.label}`,
+                cells: [m.a, m.b, m.delta === null ? null : `${m.delta > 0 ? "+" : ""}${m.delta}`],
+              })))} />
+          </div>
+        )}
+
+        {/* Comparison */}
+        {comparison && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 18 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>◉ MULTI-TICKER COMPARISON</div>
+              <div style={{ fontSize: 10, color: "#8b949e" }}>click a card to focus the dashboard below</div>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(comparison.holdings.length + 1, 5)}, 1fr)`, gap: 12 }}>
+              {[...Object.values(comparison.series), comparison.portfolio].map(d => (
+                <div key={d.ticker} className="regime-badge" onClick={() => focusSeries(d.ticker)}
+                  style={{ background: data?.ticker === d.ticker ? "rgba(0,212,170,0.08)" : "#161b22", border: `1px solid ${data?.ticker === d.ticker ? "#00d4aa" : "#30363d"}`, borderRadius: 10, padding: "14px 16px" }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                    <span style={{ fontSize: 11, fontWeight: 600, color: "#e6edf3", letterSpacing: "0.05em" }}>{d.ticker}</span>
+                    <span style={{ fontSize: 9, color: "#8b949e" }}>
+                      {d.ticker === PORTFOLIO_TICKER ? `${comparison.holdings.length} names` : `${(comparison.holdings.find(h => h.ticker === d.ticker).weight * 100).toFixed(1)}%`}
+                    </span>
+                  </div>
+                  <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Return <span style={{ color: d.totalReturn > 0 ? "#00d4aa" : "#ff4d6d" }}>{d.totalReturn > 0 ? "+" : ""}{d.totalReturn}%</span></div>
+                  <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Sharpe <span style={{ color: "#e6edf3" }}>{d.sharpe ?? "—"}</span> · Max DD <span style={{ color: "#ff4d6d" }}>{d.risk?.maxDrawdown}%</span></div>
+                  <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Hit Rate <span style={{ color: "#7b8cde" }}>{d.signalAccuracy ?? "—"}%</span></div>
+                  <div style={{ fontSize: 10, color: "#8b949e" }}>IC <span style={{ color: "#e6edf3" }}>{d.forecastMetrics.overall?.icSpearman.value ?? "—"}</span></div>
+                </div>
+              ))}
+            </div>
+
+            <MetricTable title="◆ REGIME PERFORMANCE MATRIX · PORTFOLIO REGIMES · RET/DAY · HIT % · SHARPE" rowHeader="TICKER"
+              columns={comparison.matrix.regimes.map(n => ({ label: n.toUpperCase(), color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled }))}
+              rows={comparison.matrix.rows.map(r => ({
+                label: r.ticker,
+                cells: comparison.matrix.regimes.map(n => r.cells[n] ? `${r.cells[n].ret}% · ${r.cells[n].hitRate}% · ${r.cells[n].sharpe ?? "—"}` : null),
+              }))} />
+
+            {comparison.correlation.pairs.length > 0 && (
+              <div style={{ marginTop: 20 }}>
+                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>⬡ ROLLING {comparison.correlation.window}-DAY CORRELATION</div>
+                {comparison.correlation.pairs.map(p => (
+                  <div key={p.pair} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 3 }}>
+                    <span style={{ width: 110, fontSize: 10, color: "#8b949e", flexShrink: 0 }}>{p.pair}</span>
+                    <div style={{ display: "flex", flex: 1, gap: 1 }}>
+                      {p.rolling.map((c, i) => (
+                        <div key={i} title={`${comparison.correlation.dates[i]}: ${c}`} style={{ flex: 1, height: 16, background: correlationColor(c), borderRadius: 1 }} />
+                      ))}
+                    </div>
+                    <span style={{ width: 48, fontSize: 10, color: "#e6edf3", textAlign: "right" }}>{p.full}</span>
+                  </div>
+                ))}
+                <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "#8b949e", marginLeft: 118, marginRight: 56 }}>
+                  <span>{comparison.correlation.dates[0]}</span>
+                  <span>{comparison.correlation.dates[comparison.correlation.dates.length - 1]}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Export */}
+        {data && (
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, marginBottom: 12 }}>
+            <div style={{ fontSize: 10, color: exportNote ? "#ff4d6d" : "#8b949e", letterSpacing: "0.08em" }}>
+              {exportNote ? `✕ ${exportNote}` : `${data.ticker} · ${viewData.prices[0].date} → ${viewData.prices[viewData.prices.length - 1].date} · ${viewData.days}d${zoom ? ` of ${data.days} (zoomed — stat cards cover this window)` : ""}`}
+            </div>
+            <div style={{ position: "relative", display: "flex", gap: 8 }}>
+              <button onClick={copyRunLink}
+                style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 14px", color: linkCopied ? "#00d4aa" : "#8b949e", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: "pointer" }}>
+                {linkCopied ? "✓ LINK COPIED" : "⧉ COPY LINK"}
+              </button>
+              <button onClick={() => setExportOpen(!exportOpen)} disabled={loading}
+                style={{ background: "#161b22", border: `1px solid ${exportOpen ? "#58a6ff" : "#30363d"}`, borderRadius: 6, padding: "6px 14px", color: "#58a6ff", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: loading ? "not-allowed" : "pointer", opacity: loading ? 0.6 : 1 }}>
+                ⇩ EXPORT {exportOpen ? "▴" : "▾"}
+              </button>
+              {exportOpen && !loading && (
+                <div style={{ position: "absolute", right: 0, top: "calc(100% + 6px)", zIndex: 50, background: "#0d1117", border: "1px solid #30363d", borderRadius: 8, padding: 6, minWidth: 180, boxShadow: "0 8px 24px rgba(1,4,9,0.8)" }}>
+                  {EXPORT_FORMATS.map(f => (
+                    <div key={f.id} onClick={() => exportRun(f.id)} className="export-item"
+                      style={{ cursor: "pointer", fontSize: 10, color: "#c9d1d9", letterSpacing: "0.08em", padding: "8px 10px", borderRadius: 4 }}>
+                      {f.label}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Stat Cards */}
         {data && (
           <div className="fade-up" style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 28 }}>
@@ -308,6 +1259,7 @@ export default function App() {
               <div key={i} className="stat-card" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 10, padding: "18px 20px" }}>
                 <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>{s.label}</div>
                 <div style={{ fontSize: 26, fontWeight: 600, color: s.color, fontFamily: "'IBM Plex Sans', sans-serif" }}>{s.value}</div>
+                {s.sub && <div style={{ fontSize: 10, color: "#8b949e", marginTop: 6 }}>{s.sub}</div>}
               </div>
             ))}
           </div>
@@ -317,6 +1269,33 @@ export default function App() {
         {data && (
           <div className="fade-up" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginBottom: 28 }}>
 
+            <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+              <span style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.1em", marginRight: 4 }}>REGIME</span>
+              {[null, ...regimeNames].map(n => {
+                const color = n ? REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled : "#e6edf3";
+                return (
+                  <span key={n ?? "all"} onClick={() => setActiveRegime(n)}
+                    style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "5px 10px", borderRadius: 6, border: `1px solid ${activeRegime === n ? color : "#30363d"}`, background: activeRegime === n ? "#161b22" : "transparent", color: activeRegime === n ? color : "#8b949e" }}>
+                    {n ? n.toUpperCase() : "ALL"}
+                  </span>
+                );
+              })}
+              {activeRegime && [["highlight", "HIGHLIGHT"], ["filter", "FILTER"]].map(([id, label]) => (
+                <span key={id} onClick={() => setRegimeMode(id)}
+                  style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "5px 10px", borderRadius: 6, marginLeft: id === "highlight" ? 8 : 0, border: `1px solid ${regimeMode === id ? "#7b8cde" : "#30363d"}`, color: regimeMode === id ? "#7b8cde" : "#8b949e" }}>
+                  {label}
+                </span>
+              ))}
+              <span style={{ marginLeft: "auto", fontSize: 10, color: "#8b949e" }}>
+                {zoom ? (
+                  <>
+                    ZOOM {data.returns[span.from].date} → {data.returns[span.to].date} · {span.to - span.from + 1}d
+                    <span onClick={() => setZoom(null)} style={{ cursor: "pointer", color: "#58a6ff", marginLeft: 10, letterSpacing: "0.08em" }}>RESET</span>
+                  </>
+                ) : `${chartPrices.length} of ${data.days} points shown · LTTB`}
+              </span>
+            </div>
+
             <div style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 20px 16px", gridColumn: "1 / -1" }}>
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 18 }}>
                 <div>
@@ -326,6 +1305,7 @@ export default function App() {
                 <div style={{ display: "flex", gap: 16, fontSize: 10 }}>
                   <span style={{ color: "#00d4aa" }}>— Actual</span>
                   <span style={{ color: "#7b8cde", opacity: 0.7 }}>— Forecast</span>
+                  {modelSeries.map(m => <span key={m.id} style={{ color: m.color, opacity: 0.8 }}>— {m.label}</span>)}
                 </div>
               </div>
               <ResponsiveContainer width="100%" height={220}>
@@ -337,11 +1317,15 @@ export default function App() {
                     </linearGradient>
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
-                  <XAxis dataKey="date" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} interval={Math.floor(chartPrices.length / 6)} />
+                  {bandAreas()}
+                  {timeAxis(9)}
                   <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
                   <Tooltip content={<DarkTooltip />} />
                   <Area type="monotone" dataKey="actual" stroke="#00d4aa" strokeWidth={1.5} fill="url(#actualGrad)" dot={false} name="Actual" />
                   <Line type="monotone" dataKey="forecast" stroke="#7b8cde" strokeWidth={1} strokeDasharray="4 3" dot={false} name="Forecast" />
+                  {modelSeries.map(m => (
+                    <Line key={m.id} type="monotone" dataKey={`model_${m.id}`} stroke={m.color} strokeWidth={1} strokeOpacity={0.8} dot={false} name={m.label} connectNulls />
+                  ))}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -352,12 +1336,16 @@ export default function App() {
               <ResponsiveContainer width="100%" height={180}>
                 <LineChart data={chartReturns}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
-                  <XAxis dataKey="date" tick={{ fill: "#8b949e", fontSize: 8 }} tickLine={false} interval={Math.floor(chartReturns.length / 5)} />
+                  {bandAreas()}
+                  {timeAxis(8)}
                   <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
                   <Tooltip content={<DarkTooltip />} />
                   <ReferenceLine y={0} stroke="#30363d" strokeDasharray="2 2" />
                   <Line type="monotone" dataKey="actual" stroke="#f5a623" strokeWidth={1} dot={false} name="Actual %" />
                   <Line type="monotone" dataKey="forecast" stroke="#7b8cde" strokeWidth={1} strokeDasharray="3 2" dot={false} name="Forecast %" />
+                  {modelSeries.map(m => (
+                    <Line key={m.id} type="monotone" dataKey={`model_${m.id}`} stroke={m.color} strokeWidth={1} strokeOpacity={0.8} dot={false} name={`${m.label} %`} connectNulls />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -368,7 +1356,8 @@ export default function App() {
               <ResponsiveContainer width="100%" height={180}>
                 <BarChart data={chartVol} barSize={2}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
-                  <XAxis dataKey="date" tick={{ fill: "#8b949e", fontSize: 8 }} tickLine={false} interval={Math.floor(chartVol.length / 5)} />
+                  {bandAreas()}
+                  {timeAxis(8)}
                   <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
                   <Tooltip content={<DarkTooltip />} />
                   <Bar dataKey="vol" fill="#ff4d6d" opacity={0.7} name="Volatility %" />
@@ -376,6 +1365,79 @@ export default function App() {
               </ResponsiveContainer>
             </div>
 
+            <div style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 20px 16px" }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 4 }}>▼ UNDERWATER — DRAWDOWN FROM PEAK</div>
+              <div style={{ fontSize: 11, color: "#8b949e", marginBottom: 16 }}>Max {data.risk?.maxDrawdown}% · {data.risk?.drawdownDuration}d longest recovery</div>
+              <ResponsiveContainer width="100%" height={180}>
+                <AreaChart data={chartDrawdown}>
+                  <defs>
+                    <linearGradient id="ddGrad" x1="0" y1="0" x2="0" y2="1">
+                      <stop offset="0%" stopColor="#ff4d6d" stopOpacity={0} />
+                      <stop offset="100%" stopColor="#ff4d6d" stopOpacity={0.35} />
+                    </linearGradient>
+                  </defs>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                  {bandAreas()}
+                  {timeAxis(8)}
+                  <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                  <Tooltip content={<DarkTooltip />} />
+                  <Area type="monotone" dataKey="drawdown" stroke="#ff4d6d" strokeWidth={1} fill="url(#ddGrad)" dot={false} name="Drawdown %" />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 20px 16px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+                <div>
+                  <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 4 }}>◈ ROLLING SHARPE &amp; VOLATILITY</div>
+                  <div style={{ fontSize: 11, color: "#8b949e" }}>{ROLLING_WINDOWS.join("/")}-day windows, annualised</div>
+                </div>
+                <div style={{ display: "flex", gap: 16, fontSize: 10 }}>
+                  <span style={{ color: "#00d4aa" }}>— Sharpe</span>
+                  <span style={{ color: "#f5a623" }}>— Vol %</span>
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={chartRolling}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                  {timeAxis(8)}
+                  <YAxis yAxisId="sharpe" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                  {bandAreas("sharpe")}
+                  <YAxis yAxisId="vol" orientation="right" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                  <Tooltip content={<DarkTooltip />} />
+                  <ReferenceLine yAxisId="sharpe" y={0} stroke="#30363d" strokeDasharray="2 2" />
+                  <Line yAxisId="sharpe" type="monotone" dataKey="sharpe20" stroke="#00d4aa" strokeWidth={1} strokeOpacity={0.5} dot={false} name="Sharpe 20d" connectNulls />
+                  <Line yAxisId="sharpe" type="monotone" dataKey="sharpe60" stroke="#00d4aa" strokeWidth={1.5} dot={false} name="Sharpe 60d" connectNulls />
+                  <Line yAxisId="vol" type="monotone" dataKey="vol20" stroke="#f5a623" strokeWidth={1} strokeOpacity={0.5} strokeDasharray="3 2" dot={false} name="Vol 20d %" connectNulls />
+                  <Line yAxisId="vol" type="monotone" dataKey="vol60" stroke="#f5a623" strokeWidth={1.5} strokeDasharray="3 2" dot={false} name="Vol 60d %" connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 20px 16px", gridColumn: "1 / -1" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+                <div>
+                  <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 4 }}>◆ REGIME PROBABILITY</div>
+                  <div style={{ fontSize: 11, color: "#8b949e" }}>{data.regimeModel.label} · per-day state probabilities · drag the handles to zoom every chart</div>
+                </div>
+                <div style={{ display: "flex", gap: 16, fontSize: 10 }}>
+                  {regimeNames.map(n => <span key={n} style={{ color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled }}>■ {n}</span>)}
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={150}>
+                <AreaChart data={chartProbs}>
+                  <XAxis dataKey="date" tick={{ fill: "#8b949e", fontSize: 8 }} tickLine={false} interval={Math.floor(chartProbs.length / 6)} />
+                  <YAxis domain={[0, 1]} tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                  <Tooltip content={<DarkTooltip />} />
+                  {regimeNames.map(n => (
+                    <Area key={n} type="step" dataKey={n} stackId="p" stroke="none" fill={REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled} fillOpacity={!activeRegime || activeRegime === n ? 0.55 : 0.1} name={n} />
+                  ))}
+                  <Brush dataKey="date" height={20} travellerWidth={8} stroke="#30363d" fill="#0d1117" tickFormatter={() => ""}
+                    startIndex={brushStart} endIndex={brushEnd} onChange={handleBrush} />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+
           </div>
         )}
 
@@ -387,38 +1449,706 @@ export default function App() {
               {data.regimeSummary.map((r) => (
                 <div key={r.name} className="regime-badge"
                   onClick={() => setActiveRegime(activeRegime === r.name ? null : r.name)}
-                  style={{ background: activeRegime === r.name ? REGIME_BG[r.name] : "#161b22", border: `1px solid ${activeRegime === r.name ? REGIME_COLORS[r.name] : "#30363d"}`, borderRadius: 10, padding: "16px 18px" }}>
+                  style={{ background: activeRegime === r.name ? REGIME_BG[r.name] ?? REGIME_BG.Unlabeled : "#161b22", border: `1px solid ${activeRegime === r.name ? REGIME_COLORS[r.name] ?? REGIME_COLORS.Unlabeled : "#30363d"}`, borderRadius: 10, padding: "16px 18px" }}>
                   <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
-                    <span style={{ fontSize: 11, fontWeight: 600, color: REGIME_COLORS[r.name], letterSpacing: "0.05em" }}>{r.name.toUpperCase()}</span>
+                    <span style={{ fontSize: 11, fontWeight: 600, color: REGIME_COLORS[r.name] ?? REGIME_COLORS.Unlabeled, letterSpacing: "0.05em" }}>{r.name.toUpperCase()}</span>
                     <span style={{ fontSize: 9, color: "#8b949e" }}>{r.count}d</span>
                   </div>
                   <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Actual <span style={{ color: r.actualReturn > 0 ? "#00d4aa" : "#ff4d6d" }}>{r.actualReturn > 0 ? "+" : ""}{r.actualReturn}%</span></div>
                   <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Forecast <span style={{ color: "#7b8cde" }}>{r.forecastReturn > 0 ? "+" : ""}{r.forecastReturn}%</span></div>
-                  <div style={{ fontSize: 10, color: "#8b949e" }}>Avg Vol <span style={{ color: "#f5a623" }}>{r.avgVol}%</span></div>
+                  <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Avg Vol <span style={{ color: "#f5a623" }}>{r.avgVol}%</span></div>
+                  {r.confidence !== null && <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Confidence <span style={{ color: "#e6edf3" }}>{r.confidence}%</span></div>}
+                  {r.risk && (
+                    <div style={{ borderTop: "1px solid #21262d", marginTop: 10, paddingTop: 10 }}>
+                      <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Sharpe <span style={{ color: r.risk.sharpe > 0 ? "#00d4aa" : "#ff4d6d" }}>{r.risk.sharpe ?? "—"}</span> · Sortino <span style={{ color: "#e6edf3" }}>{r.risk.sortino ?? "—"}</span></div>
+                      <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Max DD <span style={{ color: "#ff4d6d" }}>{r.risk.maxDrawdown}%</span></div>
+                      <div style={{ fontSize: 10, color: "#8b949e" }}>VaR 95 <span style={{ color: "#f5a623" }}>{r.risk.var[0.95].historicalVaR}%</span></div>
+                    </div>
+                  )}
+                  {r.metrics && (
+                    <div style={{ borderTop: "1px solid #21262d", marginTop: 10, paddingTop: 10 }}>
+                      <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>Hit Rate <span style={{ color: r.metrics.hitRate.value > 50 ? "#00d4aa" : "#ff4d6d" }}>{r.metrics.hitRate.value.toFixed(1)}%</span> <span style={{ fontSize: 9 }}>[{r.metrics.hitRate.lo.toFixed(0)}–{r.metrics.hitRate.hi.toFixed(0)}]</span></div>
+                      <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>IC <span style={{ color: "#e6edf3" }}>{r.metrics.icSpearman.value.toFixed(2)}</span> <span style={{ fontSize: 9 }}>[{r.metrics.icSpearman.lo.toFixed(2)}, {r.metrics.icSpearman.hi.toFixed(2)}]</span></div>
+                      <div style={{ fontSize: 10, color: "#8b949e", marginBottom: 4 }}>RMSE <span style={{ color: "#e6edf3" }}>{r.metrics.rmse.value.toFixed(2)}%</span></div>
+                      <div style={{ fontSize: 10, color: "#8b949e" }}>DM p <span style={{ color: r.metrics.dm.pValue < 0.05 ? (r.metrics.dm.stat < 0 ? "#00d4aa" : "#ff4d6d") : "#e6edf3" }}>{r.metrics.dm.pValue.toFixed(3)}</span></div>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
+            {data.forecastMetrics.overall && (
+              <MetricTable title="◈ FORECAST QUALITY · 95% BOOTSTRAP CI" columns={regimeColumns}
+                rows={[
+                  ...FORECAST_METRICS.map(({ key, label, unit }) => ({
+                    label: `${label}${unit && ` (${unit})`}`,
+                    cells: [formatMetric(data.forecastMetrics.overall[key]), ...data.regimeSummary.map(r => formatMetric(r.metrics?.[key]))],
+                  })),
+                  {
+                    label: "DM vs random walk (p)",
+                    cells: [data.forecastMetrics.overall, ...data.regimeSummary.map(r => r.metrics)].map(m => m ? `${m.dm.stat.toFixed(2)} (${m.dm.pValue.toFixed(3)})` : null),
+                  },
+                ]} />
+            )}
+            {data.risk && (
+              <MetricTable title={`⬡ RISK BY REGIME · RISK-FREE ${data.riskFree}%`} columns={regimeColumns}
+                rows={RISK_METRICS.map(({ label, get }) => ({
+                  label,
+                  cells: [data.risk, ...data.regimeSummary.map(r => r.risk)].map(m => m ? get(m) : null),
+                }))} />
+            )}
           </div>
         )}
 
-        {/* AI Analysis */}
-        {analysis && (
-          <div ref={analysisRef} className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "26px 28px" }}>
-            <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 24 }}>
-              <div style={{ width: 22, height: 22, background: "linear-gradient(135deg, #00d4aa, #0099ff)", borderRadius: 4, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 11 }}>◆</div>
-              <div>
-                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>CLAUDE AI ANALYSIS</div>
-                <div style={{ fontSize: 11, color: "#8b949e" }}>{data?.ticker} · Signal Intelligence Report</div>
+        {/* Regime Transitions */}
+        {data?.transitions && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 12, marginBottom: 18 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>⇄ REGIME TRANSITIONS &amp; DURATIONS</div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                <span style={{ fontSize: 10, color: "#8b949e" }}>forecasts around each switch · day 0 = first day of the new regime</span>
+                {TRANSITION_PARAMS.map(p => (
+                  <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 8 }}>
+                    {p.label}
+                    <input type="number" min={p.min} max={p.max} step={p.step} value={transitionSettings[p.key]}
+                      onChange={e => handleTransitionSettings({ [p.key]: Math.min(Math.max(Math.round(+e.target.value) || p.min, p.min), p.max) })}
+                      style={{ width: 64, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 8px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12 }}>
+              {[
+                { label: "CURRENT REGIME", value: data.transitions.current.regime.toUpperCase(), color: REGIME_COLORS[data.transitions.current.regime] ?? REGIME_COLORS.Unlabeled, sub: `${data.transitions.current.age}d since ${data.transitions.current.since}` },
+                { label: "SWITCH PROB. TOMORROW", value: data.transitions.current.switchProb === null ? null : `${+(data.transitions.current.switchProb * 100).toFixed(1)}%`, sub: data.transitions.current.next && `most likely → ${data.transitions.current.next} (${Math.round(data.transitions.current.nextProb * 100)}%)` },
+                { label: "EXPECTED DAYS LEFT", value: data.transitions.current.empiricalRemaining ?? data.transitions.current.markovRemaining, sub: data.transitions.current.outlasted ? `${data.transitions.current.outlasted} past episodes ran longer · Markov ${data.transitions.current.markovRemaining ?? "—"}d` : "Markov estimate · no past episode ran longer" },
+                { label: "REGIME SWITCHES", value: data.transitions.switches.count, sub: `${data.transitions.episodes.length} episodes · ${+(data.days / data.transitions.episodes.length).toFixed(1)}d average` },
+              ].map(c => (
+                <div key={c.label} style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                  <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 8 }}>{c.label}</div>
+                  <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Sans', sans-serif", color: c.value === null || c.value === undefined ? "#8b949e" : c.color ?? "#7b8cde" }}>
+                    {c.value ?? "—"}
+                  </div>
+                  {c.sub && <div style={{ fontSize: 10, color: "#8b949e", marginTop: 6 }}>{c.sub}</div>}
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginTop: 16 }}>
+              <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px", overflowX: "auto" }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>⇄ TRANSITION MATRIX · P(NEXT DAY | TODAY) · DAY COUNTS IN BRACKETS</div>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: "left", color: "#8b949e", fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>FROM</th>
+                      {data.transitions.regimes.map(n => <th key={n} style={{ color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled, fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>→ {n.toUpperCase()}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.transitions.regimes.map(a => (
+                      <tr key={a}>
+                        <td style={{ color: REGIME_COLORS[a] ?? REGIME_COLORS.Unlabeled, fontWeight: 600, padding: "6px 8px", borderBottom: "1px solid #0d1117" }}>{a.toUpperCase()}</td>
+                        {data.transitions.regimes.map(b => {
+                          const p = data.transitions.matrix.probs[a][b];
+                          return (
+                            <td key={b} style={{ padding: "6px 8px", borderBottom: "1px solid #0d1117", textAlign: "center", color: "#e6edf3", background: p ? `rgba(123,140,222,${0.06 + p * 0.5})` : "transparent" }}>
+                              {p === null ? "—" : `${+(p * 100).toFixed(1)}%`} <span style={{ fontSize: 9, color: "#8b949e" }}>({data.transitions.matrix.counts[a][b]})</span>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>◷ EPISODE LENGTHS · TRADING DAYS · FINISHED EPISODES</div>
+                <ResponsiveContainer width="100%" height={160}>
+                  <BarChart data={data.transitions.durations.histogram}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                    <XAxis dataKey="bin" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} />
+                    <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} allowDecimals={false} />
+                    <Tooltip content={<DarkTooltip />} cursor={{ fill: "rgba(139,148,158,0.08)" }} />
+                    {data.transitions.regimes.map(n => (
+                      <Bar key={n} dataKey={n} stackId="episodes" fill={REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled} name={n}
+                        fillOpacity={!activeRegime || activeRegime === n ? 0.85 : 0.2} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <MetricTable title="◷ DURATION BY REGIME · TRADING DAYS" columns={data.transitions.regimes.map(n => ({ label: n.toUpperCase(), color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled }))}
+              rows={[
+                { label: "Finished episodes", key: "episodes" },
+                { label: "Mean", key: "mean" },
+                { label: "Median", key: "median" },
+                { label: "Longest", key: "max" },
+                { label: "Markov-implied 1 / (1 − p stay)", key: "markov" },
+              ].map(({ label, key }) => ({ label, cells: data.transitions.regimes.map(n => data.transitions.durations.byRegime[n][key]) }))} />
+
+            <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px", marginTop: 20 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em" }}>◈ HIT RATE BY DAY RELATIVE TO SWITCH · ALL {data.transitions.switches.count} SWITCHES</div>
+                <div style={{ display: "flex", gap: 16, fontSize: 10 }}>
+                  <span style={{ color: "#00d4aa" }}>— Hit rate %</span>
+                  <span style={{ color: "#8b949e" }}>- - Away from switches</span>
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={180}>
+                <LineChart data={data.transitions.switches.profile}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                  <XAxis dataKey="offset" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} />
+                  <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} domain={[0, 100]} />
+                  <Tooltip content={<DarkTooltip />} />
+                  <ReferenceLine x={0} stroke="#f5a623" strokeDasharray="2 2" />
+                  <ReferenceLine y={data.transitions.switches.away?.hitRate ?? 50} stroke="#8b949e" strokeDasharray="4 3" />
+                  <Line type="monotone" dataKey="hitRate" stroke="#00d4aa" strokeWidth={1.5} dot={{ r: 2 }} name="Hit rate %" connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <MetricTable title={`◈ FORECASTS ±${data.transitions.switches.window} DAYS AROUND SWITCHES · HIT % · IC · RMSE · SIGNAL SHARPE`}
+              columns={[{ label: "BEFORE" }, { label: "AFTER" }, { label: "AWAY" }, ...data.transitions.regimes.map(n => ({ label: `INTO ${n.toUpperCase()}`, color: REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled }))]}
+              rows={[
+                { label: "Hit rate (%)", key: "hitRate" },
+                { label: "IC (Spearman)", key: "ic" },
+                { label: "RMSE (%)", key: "rmse" },
+                { label: "Signal Sharpe", key: "sharpe" },
+                { label: "Days", key: "days" },
+              ].map(({ label, key }) => ({
+                label,
+                cells: [data.transitions.switches.before, data.transitions.switches.after, data.transitions.switches.away, ...data.transitions.regimes.map(n => data.transitions.switches.entering[n])].map(m => m?.[key] ?? null),
+              }))} />
+
+            <div style={{ marginTop: 20 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>▤ REGIME EPISODES · CLICK A ROW TO ZOOM THE CHARTS</div>
+              <div style={{ maxHeight: 280, overflowY: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+                  <thead>
+                    <tr style={{ color: "#8b949e", textAlign: "left" }}>
+                      {["REGIME", "START", "END", "DAYS", "RETURN %", "MAX DD %", "HIT %", "MAE", "BIAS"].map(h => (
+                        <th key={h} style={{ padding: "6px 8px", fontWeight: 400, borderBottom: "1px solid #21262d", position: "sticky", top: 0, background: "#0d1117" }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.transitions.episodes.map(e => (
+                      <tr key={e.start} style={{ cursor: "pointer", opacity: !activeRegime || activeRegime === e.regime ? 1 : 0.35 }}
+                        onClick={() => {
+                          const from = data.returns.findIndex(r => r.date === e.start);
+                          setZoom({ from, to: from + e.days - 1 });
+                        }}>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: REGIME_COLORS[e.regime] ?? REGIME_COLORS.Unlabeled, fontWeight: 600 }}>
+                          {e.regime.toUpperCase()}{e.ongoing && <span style={{ color: "#8b949e", fontWeight: 400 }}> · ongoing</span>}
+                        </td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#c9d1d9" }}>{e.start}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#c9d1d9" }}>{e.end}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#c9d1d9" }}>{e.days}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: e.return > 0 ? "#00d4aa" : "#ff4d6d" }}>{e.return > 0 ? "+" : ""}{e.return}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#ff4d6d" }}>{e.drawdown}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: e.hitRate > 50 ? "#00d4aa" : "#c9d1d9" }}>{e.hitRate}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#c9d1d9" }}>{e.mae}</td>
+                        <td style={{ padding: "6px 8px", borderBottom: "1px solid #161b22", color: "#c9d1d9" }}>{e.bias > 0 ? "+" : ""}{e.bias}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Model Leaderboard */}
+        {data?.models && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>◉ MODEL LEADERBOARD</div>
+              <div style={{ fontSize: 10, color: "#8b949e" }}>walk-forward, one-day-ahead · HIT % · IC · RMSE · DM vs RW</div>
+            </div>
+            <MetricTable columns={regimeColumns} rowHeader="MODEL"
+              rows={data.models.leaderboard.map((m, rank) => ({
+                label: `${rank + 1}. ${m.label}`,
+                cells: [m.overall, ...regimeNames.map(n => m.byRegime[n])].map(x => x ? `${x.hitRate ?? "—"}${x.hitRate !== null ? "%" : ""} · ${x.ic ?? "—"} · ${x.rmse} · ${x.dm}` : null),
+              }))} />
+          </div>
+        )}
+
+        {/* Overfitting */}
+        {data?.overfitting && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 12, marginBottom: 18 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>▲ OVERFITTING DIAGNOSTICS</div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                {[["split", "IS / OOS SPLIT"], ["walkforward", "WALK-FORWARD"]].map(([id, label]) => (
+                  <span key={id} onClick={() => handleOverfitSettings({ mode: id })}
+                    style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "6px 12px", borderRadius: 6, border: `1px solid ${overfitSettings.mode === id ? "#7b8cde" : "#30363d"}`, background: overfitSettings.mode === id ? "rgba(123,140,222,0.12)" : "#161b22", color: overfitSettings.mode === id ? "#7b8cde" : "#8b949e" }}>
+                    {label}
+                  </span>
+                ))}
+                {OVERFIT_PARAMS.filter(p => !p.mode || p.mode === overfitSettings.mode).map(p => (
+                  <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 8 }}>
+                    {p.label}
+                    <input type="number" min={p.min} max={p.max} step={p.step} value={overfitSettings[p.key]}
+                      onChange={e => handleOverfitSettings({ [p.key]: Math.min(Math.max(Math.round(+e.target.value) || p.min, p.min), p.max) })}
+                      style={{ width: 64, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 8px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+                  </label>
+                ))}
               </div>
             </div>
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
-              {parsedSections.map((s, i) => (
-                <div key={i} className="section-card" style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "18px 20px" }}>
-                  <div style={{ fontSize: 9, color: "#00d4aa", letterSpacing: "0.15em", marginBottom: 10 }}>{s.icon} {s.title}</div>
-                  <p style={{ fontSize: 12, color: "#c9d1d9", lineHeight: 1.75, fontFamily: "'IBM Plex Sans', sans-serif", fontWeight: 300 }}>{s.content}</p>
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12 }}>
+              {[
+                { label: "OOS − IS HIT RATE", value: data.overfitting.degradation.hitRate, unit: "pp", good: v => v >= 0 },
+                { label: "OOS − IS SHARPE", value: data.overfitting.degradation.sharpe, unit: "", good: v => v >= 0 },
+                { label: "DEFLATED SHARPE (PROB)", value: data.overfitting.overall.dsr?.dsr, unit: "", good: v => v >= 0.95, sub: data.overfitting.overall.dsr && `SR ${data.overfitting.overall.dsr.sharpe} vs ${data.overfitting.overall.dsr.benchmark} · ${data.overfitting.overall.dsr.trials} trials` },
+                { label: "PROB. BACKTEST OVERFIT", value: data.overfitting.overall.pbo?.pbo, unit: "", good: v => v < 0.5, sub: data.overfitting.overall.pbo && `${data.overfitting.overall.pbo.combinations} CSCV splits · ${data.overfitting.overall.pbo.variants} variants` },
+              ].map(c => (
+                <div key={c.label} style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                  <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 8 }}>{c.label}</div>
+                  <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Sans', sans-serif", color: c.value === null || c.value === undefined ? "#8b949e" : c.good(c.value) ? "#00d4aa" : "#ff4d6d" }}>
+                    {c.value === null || c.value === undefined ? "—" : `${c.value > 0 && c.unit ? "+" : ""}${c.value}${c.unit}`}
+                  </div>
+                  {c.sub && <div style={{ fontSize: 10, color: "#8b949e", marginTop: 6 }}>{c.sub}</div>}
+                </div>
+              ))}
+            </div>
+
+            <MetricTable title="◈ WINDOW METRICS · HIT % · IC · SIGNAL SHARPE" columns={regimeColumns}
+              rows={data.overfitting.windows.map(w => ({
+                label: `${w.label} · ${w.start} → ${w.end}`,
+                cells: [w.overall, ...regimeNames.map(n => w.byRegime[n])].map(m => m ? `${m.hitRate}% · ${m.ic} · ${m.sharpe}` : null),
+              }))} />
+            <MetricTable title="▲ OVERFITTING BY REGIME" columns={regimeColumns}
+              rows={[
+                { label: "Deflated Sharpe (prob)", get: o => o.dsr?.dsr },
+                { label: "Probabilistic Sharpe", get: o => o.dsr?.psr },
+                { label: "Signal Sharpe / benchmark", get: o => o.dsr && `${o.dsr.sharpe} / ${o.dsr.benchmark}` },
+                { label: "PBO", get: o => o.pbo?.pbo },
+                { label: "Best IS → OOS Sharpe", get: o => o.pbo && `${o.pbo.isSharpe} → ${o.pbo.oosSharpe}` },
+              ].map(({ label, get }) => ({
+                label,
+                cells: [data.overfitting.overall, ...regimeNames.map(n => data.overfitting.byRegime[n])].map(o => o ? get(o) : null),
+              }))} />
+            <div style={{ fontSize: 10, color: "#8b949e", marginTop: 8 }}>
+              Regime columns reuse the overall CSCV splits: blocks are calendar blocks of the whole series and the variant is picked on the whole training half, then scored on that regime's days. Splits with under 5 regime days on either side are skipped, so a regime's split count can be lower.
+            </div>
+          </div>
+        )}
+
+        {/* Strategy Backtest */}
+        {data?.backtest && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 12, marginBottom: 12 }}>
+              <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>◧ STRATEGY BACKTEST</div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                {Object.entries(BACKTEST_RULES).map(([id, r]) => (
+                  <span key={id} onClick={() => handleBacktestSettings({ rule: id })} title={r.description}
+                    style={{ cursor: "pointer", fontSize: 10, letterSpacing: "0.08em", padding: "6px 12px", borderRadius: 6, border: `1px solid ${backtestSettings.rule === id ? "#7b8cde" : "#30363d"}`, background: backtestSettings.rule === id ? "rgba(123,140,222,0.12)" : "#161b22", color: backtestSettings.rule === id ? "#7b8cde" : "#8b949e" }}>
+                    {r.label}
+                  </span>
+                ))}
+                {BACKTEST_PARAMS.filter(p => !p.rule || p.rule === backtestSettings.rule).map(p => (
+                  <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 8 }}>
+                    {p.label}
+                    <input type="number" min={p.min} max={p.max} step={p.step} value={backtestSettings[p.key]}
+                      onChange={e => handleBacktestSettings({ [p.key]: Math.min(Math.max(Number.isFinite(+e.target.value) ? +e.target.value : p.min, p.min), p.max) })}
+                      style={{ width: 64, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 8px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 18, fontSize: 10, color: "#8b949e" }}>
+              <span style={{ marginRight: 4 }}>{BACKTEST_RULES[backtestSettings.rule].description} · FLAT AFTER</span>
+              {regimeNames.map(n => {
+                const on = backtestSettings.gate.includes(n);
+                return (
+                  <span key={n} onClick={() => handleBacktestSettings({ gate: on ? backtestSettings.gate.filter(g => g !== n) : [...backtestSettings.gate, n] })}
+                    style={{ cursor: "pointer", letterSpacing: "0.08em", padding: "4px 10px", borderRadius: 6, border: `1px solid ${on ? REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled : "#30363d"}`, background: on ? REGIME_BG[n] ?? REGIME_BG.Unlabeled : "#161b22", color: on ? REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled : "#8b949e" }}>
+                    {n.toUpperCase()}
+                  </span>
+                );
+              })}
+              <span>days</span>
+            </div>
+            {data.backtest.settings.gate.length > 0 && (
+              <div style={{ fontSize: 10, color: "#8b949e", marginTop: -8, marginBottom: 18 }}>
+                {gateNote(data.regimeModel.detector)}.
+              </div>
+            )}
+
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12 }}>
+              {[
+                { label: "STRATEGY RETURN", value: data.backtest.strategy.totalReturn, unit: "%", signed: true, good: v => v > 0, sub: `buy & hold ${data.backtest.buyHold.totalReturn}%` },
+                { label: "EXCESS VS BUY & HOLD", value: data.backtest.excessReturn, unit: "pp", signed: true, good: v => v > 0 },
+                { label: "STRATEGY SHARPE", value: data.backtest.strategy.sharpe, unit: "", good: v => v > (data.backtest.buyHold.sharpe ?? 0), sub: `buy & hold ${data.backtest.buyHold.sharpe}` },
+                { label: "STRATEGY MAX DRAWDOWN", value: data.backtest.strategy.maxDrawdown, unit: "%", good: v => v >= data.backtest.buyHold.maxDrawdown, sub: `buy & hold ${data.backtest.buyHold.maxDrawdown}%` },
+                { label: "TRADES", value: data.backtest.trades.count, unit: "", sub: `${data.backtest.trades.longShare ?? "—"}% long · ${data.backtest.trades.avgDays ?? "—"}d avg hold` },
+                { label: "WIN RATE · AVG TRADE", value: data.backtest.trades.winRate, unit: "%", good: v => v >= 50, sub: data.backtest.trades.count ? `avg ${data.backtest.trades.avgReturn}% · best ${data.backtest.trades.best}% · worst ${data.backtest.trades.worst}%` : "no trades" },
+                { label: "TURNOVER / YEAR", value: data.backtest.trades.turnover, unit: "×", sub: `${data.backtest.trades.costs}% of capital paid in costs` },
+                { label: "EXPOSURE", value: data.backtest.trades.exposure, unit: "%", sub: "days with a position" },
+              ].map(c => (
+                <div key={c.label} style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                  <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 8 }}>{c.label}</div>
+                  <div style={{ fontSize: 20, fontWeight: 600, fontFamily: "'IBM Plex Sans', sans-serif", color: c.value === null || c.value === undefined ? "#8b949e" : !c.good ? "#7b8cde" : c.good(c.value) ? "#00d4aa" : "#ff4d6d" }}>
+                    {c.value === null || c.value === undefined ? "—" : `${c.value > 0 && c.signed ? "+" : ""}${c.value}${c.unit}`}
+                  </div>
+                  {c.sub && <div style={{ fontSize: 10, color: "#8b949e", marginTop: 6 }}>{c.sub}</div>}
                 </div>
               ))}
             </div>
+
+            <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px", marginTop: 16 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em" }}>◈ EQUITY VS BUY & HOLD · START = 100 · NET OF COSTS</div>
+                <div style={{ display: "flex", gap: 16, fontSize: 10 }}>
+                  <span style={{ color: "#00d4aa" }}>— Strategy</span>
+                  <span style={{ color: "#8b949e" }}>- - Buy &amp; hold</span>
+                </div>
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartEquity}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                  {bandAreas()}
+                  {timeAxis(8)}
+                  <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} domain={["auto", "auto"]} />
+                  <Tooltip content={<DarkTooltip />} />
+                  <ReferenceLine y={100} stroke="#30363d" strokeDasharray="2 2" />
+                  <Line type="monotone" dataKey="strategy" stroke="#00d4aa" strokeWidth={1.5} dot={false} name="Strategy" />
+                  <Line type="monotone" dataKey="buyHold" stroke="#8b949e" strokeWidth={1} strokeDasharray="4 3" dot={false} name="Buy & hold" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginTop: 16 }}>
+              <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>◉ PER-REGIME EQUITY · COMPOUNDED ONLY ON EACH REGIME'S DAYS</div>
+                <ResponsiveContainer width="100%" height={180}>
+                  <LineChart data={chartEquity}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                    {timeAxis(8)}
+                    <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} domain={["auto", "auto"]} />
+                    <Tooltip content={<DarkTooltip />} />
+                    <ReferenceLine y={100} stroke="#30363d" strokeDasharray="2 2" />
+                    {regimeNames.map(n => (
+                      <Line key={n} type="stepAfter" dataKey={`regime_${n}`} stroke={REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled} strokeWidth={1.2} dot={false} name={n}
+                        strokeOpacity={!activeRegime || activeRegime === n ? 1 : 0.2} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>⬡ P&L BY REGIME · % OF STARTING CAPITAL</div>
+                <ResponsiveContainer width="100%" height={180}>
+                  <BarChart data={regimeNames.map(n => ({ regime: n, ...data.backtest.byRegime[n] }))}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                    <XAxis dataKey="regime" tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} />
+                    <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                    <Tooltip content={<DarkTooltip />} cursor={{ fill: "rgba(139,148,158,0.08)" }} />
+                    <ReferenceLine y={0} stroke="#30363d" />
+                    <Bar dataKey="net" name="Net P&L %">
+                      {regimeNames.map(n => <Cell key={n} fill={REGIME_COLORS[n] ?? REGIME_COLORS.Unlabeled} />)}
+                    </Bar>
+                    <Bar dataKey="costs" fill="#ff4d6d" opacity={0.5} name="Costs %" />
+                    <Bar dataKey="buyHold" fill="#8b949e" opacity={0.5} name="Buy & hold %" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <MetricTable title="⬡ P&L ATTRIBUTION BY REGIME · % OF STARTING CAPITAL" columns={regimeColumns}
+              rows={BACKTEST_ATTRIBUTION.map(({ label, key }) => ({
+                label,
+                cells: [data.backtest.overall, ...regimeNames.map(n => data.backtest.byRegime[n])].map(x => x?.[key] ?? null),
+              }))} />
+          </div>
+        )}
+
+        {/* Monte Carlo Simulator */}
+        {data && (
+          <div className="fade-up" style={{ background: "#0d1117", border: "1px solid #21262d", borderRadius: 12, padding: "22px 24px", marginBottom: 28 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 12, marginBottom: 18 }}>
+              <div>
+                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 4 }}>⟿ MONTE CARLO REGIME SIMULATOR</div>
+                <div style={{ fontSize: 11, color: "#8b949e" }}>Markov regime paths · Student-t shocks · forecast = skill × return + noise × vol × N(0,1)</div>
+              </div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                {SIM_SETTINGS.map(p => (
+                  <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 8 }}>
+                    {p.label}
+                    <input type="number" min={p.min} max={p.max} step={p.step} value={simConfig[p.key]}
+                      onChange={e => setSimConfig({ ...simConfig, [p.key]: Math.min(Math.max(Math.round(+e.target.value) || p.min, p.min), p.max) })}
+                      style={{ width: 72, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "6px 8px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: "left", color: "#8b949e", fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>REGIME</th>
+                    {SIM_REGIME_PARAMS.map(p => <th key={p.key} style={{ color: "#8b949e", fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>{p.label}</th>)}
+                    {SIM_REGIMES.map(n => <th key={n} style={{ color: REGIME_COLORS[n], fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>→ {n.toUpperCase()} %</th>)}
+                    <th style={{ color: "#8b949e", fontWeight: 400, letterSpacing: "0.08em", padding: "6px 8px", borderBottom: "1px solid #21262d" }}>ROW Σ</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {SIM_REGIMES.map(n => {
+                    const rowSum = SIM_REGIMES.reduce((a, m) => a + simConfig.transitions[n][m], 0);
+                    return (
+                      <tr key={n}>
+                        <td style={{ color: REGIME_COLORS[n], fontWeight: 600, padding: "4px 8px", borderBottom: "1px solid #161b22" }}>{n.toUpperCase()}</td>
+                        {SIM_REGIME_PARAMS.map(p => (
+                          <td key={p.key} style={{ padding: "4px 4px", borderBottom: "1px solid #161b22", textAlign: "center" }}>
+                            <input type="number" min={p.min} max={p.max} step={p.step} value={simConfig.regimes[n][p.key]}
+                              onChange={e => setSimRegime(n, p.key, Math.min(Math.max(Number.isFinite(+e.target.value) ? +e.target.value : p.min, p.min), p.max))}
+                              style={{ width: 64, background: "#161b22", border: "1px solid #30363d", borderRadius: 4, padding: "4px 6px", color: "#e6edf3", fontSize: 11, fontFamily: "inherit" }} />
+                          </td>
+                        ))}
+                        {SIM_REGIMES.map(m => (
+                          <td key={m} style={{ padding: "4px 4px", borderBottom: "1px solid #161b22", textAlign: "center" }}>
+                            <input type="number" min={0} max={100} step={0.1} value={+(simConfig.transitions[n][m] * 100).toFixed(2)}
+                              onChange={e => setSimTransition(n, m, Math.min(Math.max(+e.target.value || 0, 0), 100) / 100)}
+                              style={{ width: 64, background: n === m ? "rgba(123,140,222,0.08)" : "#161b22", border: "1px solid #30363d", borderRadius: 4, padding: "4px 6px", color: "#e6edf3", fontSize: 11, fontFamily: "inherit" }} />
+                          </td>
+                        ))}
+                        <td style={{ padding: "4px 8px", borderBottom: "1px solid #161b22", textAlign: "center", color: Math.abs(rowSum - 1) < 1e-6 ? "#8b949e" : "#f5a623" }} title="Rows are normalised before simulating">
+                          {(rowSum * 100).toFixed(1)}%
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 16, flexWrap: "wrap" }}>
+              <button onClick={runSimulator} disabled={simProgress !== null} className="analyze-btn"
+                style={{ background: "linear-gradient(135deg, #7b8cde, #0099ff)", border: "none", borderRadius: 6, padding: "8px 20px", color: "#010409", fontSize: 11, fontFamily: "inherit", fontWeight: 600, letterSpacing: "0.1em", cursor: "pointer" }}>
+                {simProgress !== null ? `SIMULATING ${Math.round(simProgress * 100)}%` : "▶  SIMULATE"}
+              </button>
+              {simProgress !== null && (
+                <button onClick={() => simAbortRef.current?.abort()}
+                  style={{ background: "transparent", border: "1px solid #ff4d6d", borderRadius: 6, padding: "7px 16px", color: "#ff4d6d", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: "pointer" }}>
+                  ■  CANCEL
+                </button>
+              )}
+              <span onClick={() => setSimConfig(calibrateSimulation(data, simConfig))} style={{ cursor: "pointer", fontSize: 10, color: "#58a6ff", letterSpacing: "0.08em", marginLeft: 6 }}>
+                ⟲ CALIBRATE FROM {data.ticker}
+              </span>
+              <span onClick={() => setSimConfig(SIM_DEFAULTS)} style={{ cursor: "pointer", fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", marginLeft: 6 }}>
+                RESET DEFAULTS
+              </span>
+              {simError && <span style={{ fontSize: 11, color: "#ff4d6d" }}>✕ {simError}</span>}
+            </div>
+            {simProgress !== null && (
+              <div style={{ height: 2, background: "#21262d", borderRadius: 1, overflow: "hidden", marginTop: 12 }}>
+                <div style={{ height: "100%", width: `${simProgress * 100}%`, background: "linear-gradient(90deg, #7b8cde, #0099ff)", transition: "width 0.2s" }} />
+              </div>
+            )}
+
+            {simResult && (
+              <>
+                <div style={{ fontSize: 10, color: "#8b949e", marginTop: 18, lineHeight: 1.7 }}>
+                  {simResult.paths} paths × {simResult.days} days · seed {simResult.seed} · time in regime {SIM_REGIMES.map(n => (
+                    <span key={n} style={{ color: REGIME_COLORS[n], marginLeft: 6 }}>{n} {simResult.share[n]}%</span>
+                  ))}
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginTop: 12 }}>
+                  {[
+                    { key: "price", title: "◈ PRICE FAN · 5–25–50–75–95%", color: "#00d4aa" },
+                    { key: "hitRate", title: "◉ CUMULATIVE HIT RATE FAN (%)", color: "#7b8cde" },
+                  ].map(f => (
+                    <div key={f.key} style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                      <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>{f.title}</div>
+                      <ResponsiveContainer width="100%" height={180}>
+                        <AreaChart data={simResult.fan[f.key]}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                          <XAxis dataKey="day" tick={{ fill: "#8b949e", fontSize: 8 }} tickLine={false} />
+                          <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} domain={["auto", "auto"]} />
+                          <Tooltip content={<DarkTooltip />} />
+                          <Area type="monotone" dataKey={r => [r.p05, r.p95]} stroke="none" fill={f.color} fillOpacity={0.12} name="5–95%" />
+                          <Area type="monotone" dataKey={r => [r.p25, r.p75]} stroke="none" fill={f.color} fillOpacity={0.25} name="25–75%" />
+                          <Line type="monotone" dataKey="p50" stroke={f.color} strokeWidth={1.5} dot={false} name="Median" />
+                          {f.key === "hitRate" && <ReferenceLine y={50} stroke="#30363d" strokeDasharray="2 2" />}
+                        </AreaChart>
+                      </ResponsiveContainer>
+                    </div>
+                  ))}
+                  {[
+                    { key: "sharpe", title: "◆ SIGNAL SHARPE DISTRIBUTION BY REGIME" },
+                    { key: "hitRate", title: "◆ HIT RATE DISTRIBUTION BY REGIME (%)" },
+                  ].map(h => (
+                    <div key={h.key} style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "14px 16px" }}>
+                      <div style={{ fontSize: 9, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 10 }}>{h.title}</div>
+                      <ResponsiveContainer width="100%" height={180}>
+                        <LineChart data={simResult[h.key].hist}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#21262d" />
+                          <XAxis dataKey="x" tick={{ fill: "#8b949e", fontSize: 8 }} tickLine={false} />
+                          <YAxis tick={{ fill: "#8b949e", fontSize: 9 }} tickLine={false} axisLine={false} />
+                          <Tooltip content={<DarkTooltip />} />
+                          <Line type="monotone" dataKey="Overall" stroke="#e6edf3" strokeWidth={1.5} strokeDasharray="4 3" dot={false} />
+                          {SIM_REGIMES.map(n => <Line key={n} type="monotone" dataKey={n} stroke={REGIME_COLORS[n]} strokeWidth={1} dot={false} />)}
+                          {simResult.luck?.[h.key].overall.observed != null && <ReferenceLine x={nearestBin(simResult[h.key].hist, simResult.luck[h.key].overall.observed)} stroke="#f5a623" strokeDasharray="2 2" label={{ value: "observed", fill: "#f5a623", fontSize: 9, position: "top" }} />}
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  ))}
+                </div>
+                <MetricTable title={`▲ SIGNAL QUALITY VS LUCK${simResult.luck ? ` · ${simResult.observedTicker} OBSERVED vs ${simResult.paths} ZERO-SKILL PATHS` : ""}`}
+                  columns={[{ label: "OVERALL" }, ...SIM_REGIMES.map(n => ({ label: n.toUpperCase(), color: REGIME_COLORS[n] }))]}
+                  rows={[
+                    { label: "Simulated hit rate [5%, 95%]", get: (m) => m?.n ? `${m.p50}% [${m.p05}, ${m.p95}]` : null, from: r => r.hitRate },
+                    { label: "Simulated signal Sharpe [5%, 95%]", get: (m) => m?.n ? `${m.p50} [${m.p05}, ${m.p95}]` : null, from: r => r.sharpe },
+                    ...(simResult.luck ? [
+                      { label: "Observed hit rate (%)", get: (m) => m?.observed, from: r => r.luck.hitRate },
+                      { label: "P(hit rate ≥ observed | no skill)", get: (m) => m?.pValue, from: r => r.luck.hitRate },
+                      { label: "Observed signal Sharpe", get: (m) => m?.observed, from: r => r.luck.sharpe },
+                      { label: "P(Sharpe ≥ observed | no skill)", get: (m) => m?.pValue, from: r => r.luck.sharpe },
+                    ] : []),
+                  ].map(({ label, get, from }) => ({
+                    label,
+                    cells: [get(from(simResult).overall), ...SIM_REGIMES.map(n => get(from(simResult).byRegime[n]) ?? null)],
+                  }))} />
+                {simResult.luck && (
+                  <div style={{ fontSize: 10, color: "#8b949e", marginTop: 8 }}>
+                    Small P means a forecaster with no skill rarely does this well over the same number of days — the observed quality is unlikely to be luck.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* AI Analysis */}
+        {analysisSubject && (phase === "ai" || analysis || report || analysisError) && (
+          <div ref={analysisRef} className="fade-up" style={{ background: "#0d1117", border: `1px solid ${analysisError ? "rgba(255,77,109,0.5)" : "#21262d"}`, borderRadius: 12, padding: "26px 28px" }}>
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 10, marginBottom: 24 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                <div style={{ width: 22, height: 22, background: "linear-gradient(135deg, #00d4aa, #0099ff)", borderRadius: 4, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 11 }}>◆</div>
+                <div>
+                  <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em" }}>CLAUDE AI ANALYSIS</div>
+                  <div style={{ fontSize: 11, color: "#8b949e" }}>{analysisSubject.data.ticker} · Signal Intelligence Report</div>
+                </div>
+              </div>
+              {report && (
+                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.08em" }}>
+                  CONFIDENCE <span style={{ fontSize: 14, fontWeight: 600, color: report.confidence >= 0.7 ? "#00d4aa" : report.confidence >= 0.4 ? "#f5a623" : "#ff4d6d" }}>{Math.round(report.confidence * 100)}%</span>
+                </div>
+              )}
+              {phase === "ai" && !report && <div className="pulse" style={{ fontSize: 10, color: "#00d4aa", letterSpacing: "0.08em" }}>{retryNote || "STREAMING…"}</div>}
+              {reusedRun && !loading && (
+                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.08em", textAlign: "right" }}>
+                  <div>REUSED FROM SAVED RUN · {reusedRun.name}</div>
+                  <span onClick={() => runAiAnalysis(analysisSubject.data, analysisSubject.comparison, { fresh: true })} style={{ cursor: "pointer", color: "#58a6ff" }}>↻ FRESH ANALYSIS</span>
+                </div>
+              )}
+            </div>
+
+            {analysisError && (
+              <div style={{ background: "rgba(255,77,109,0.08)", border: "1px solid rgba(255,77,109,0.4)", borderRadius: 10, padding: "16px 18px", marginBottom: reportSections.length ? 16 : 0 }}>
+                <div style={{ fontSize: 10, color: "#ff4d6d", letterSpacing: "0.12em", marginBottom: 8 }}>
+                  ✕ {{ http: `API ERROR${analysisError.status ? ` ${analysisError.status}` : ""}`, timeout: "TIMED OUT", cancelled: "CANCELLED", schema: "INVALID REPORT", stream: "STREAM ERROR", network: "NETWORK ERROR" }[analysisError.kind] ?? "ERROR"}
+                </div>
+                <div style={{ fontSize: 12, color: "#c9d1d9", marginBottom: 12 }}>{analysisError.message}</div>
+                <button onClick={() => runAiAnalysis(analysisSubject.data, analysisSubject.comparison)} disabled={loading}
+                  style={{ background: "transparent", border: "1px solid #30363d", borderRadius: 6, padding: "6px 14px", color: "#58a6ff", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: "pointer" }}>
+                  ↻ RETRY AI ANALYSIS
+                </button>
+              </div>
+            )}
+
+            {reportSections.length > 0 && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, opacity: report ? 1 : 0.75 }}>
+                {reportSections.map((s) => (
+                  <div key={s.title} className="section-card" style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "18px 20px" }}>
+                    <div style={{ fontSize: 9, color: "#00d4aa", letterSpacing: "0.15em", marginBottom: 10 }}>{s.icon} {s.title}</div>
+                    <p style={{ fontSize: 12, color: "#c9d1d9", lineHeight: 1.75, fontFamily: "'IBM Plex Sans', sans-serif", fontWeight: 300 }}>{s.content}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {report && (report.flaggedRisks.length > 0 || report.citedMetrics.length > 0) && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginTop: 16 }}>
+                <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "18px 20px" }}>
+                  <div style={{ fontSize: 9, color: "#ff4d6d", letterSpacing: "0.15em", marginBottom: 10 }}>▲ FLAGGED RISKS</div>
+                  {report.flaggedRisks.length ? report.flaggedRisks.map((r, i) => (
+                    <div key={i} style={{ fontSize: 12, color: "#c9d1d9", lineHeight: 1.6, marginBottom: 6, fontFamily: "'IBM Plex Sans', sans-serif", fontWeight: 300 }}>
+                      <span style={{ fontSize: 9, letterSpacing: "0.1em", marginRight: 8, color: r.severity === "high" ? "#ff4d6d" : r.severity === "medium" ? "#f5a623" : "#8b949e" }}>{r.severity.toUpperCase()}</span>
+                      {r.risk}
+                    </div>
+                  )) : <div style={{ fontSize: 11, color: "#8b949e" }}>None flagged</div>}
+                </div>
+                <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "18px 20px" }}>
+                  <div style={{ fontSize: 9, color: "#7b8cde", letterSpacing: "0.15em", marginBottom: 10 }}>◈ CITED METRICS</div>
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                    {report.citedMetrics.map((m, i) => (
+                      <span key={i} style={{ fontSize: 10, color: "#c9d1d9", background: "#0d1117", border: "1px solid #30363d", borderRadius: 4, padding: "4px 8px" }}>
+                        {m.regime && <span style={{ color: REGIME_COLORS[m.regime] ?? "#8b949e" }}>{m.regime} · </span>}{m.name} <span style={{ color: "#e6edf3" }}>{m.value}</span>
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Follow-up Chat */}
+            {(report || turns.length > 0) && (
+              <div style={{ marginTop: 24, borderTop: "1px solid #21262d", paddingTop: 20 }}>
+                <div style={{ fontSize: 10, color: "#8b949e", letterSpacing: "0.12em", marginBottom: 4 }}>⌁ FOLLOW-UP CHAT</div>
+                <div style={{ fontSize: 11, color: "#8b949e", marginBottom: 14 }}>Answers come from tool calls on {analysisSubject.data.ticker}'s loaded data and are saved with the run</div>
+                {turns.map((t, i) => (
+                  <div key={i} style={{ marginBottom: 18 }}>
+                    <div style={{ fontSize: 12, color: "#e6edf3", marginBottom: 8 }}><span style={{ fontSize: 9, color: "#58a6ff", letterSpacing: "0.12em", marginRight: 8 }}>YOU</span>{t.question}</div>
+                    {t.calls.map(c => (
+                      <details key={c.id} style={{ fontSize: 10, color: "#8b949e", marginBottom: 4, marginLeft: 34 }}>
+                        <summary style={{ cursor: "pointer" }}>
+                          ⚙ {c.name}{Object.keys(c.input ?? {}).length ? ` · ${Object.entries(c.input).map(([k, v]) => `${k}=${v}`).join(", ")}` : ""}
+                          {c.result?.error && <span style={{ color: "#ff4d6d" }}> · {c.result.error}</span>}
+                          {!c.result && <span className="pulse"> · running</span>}
+                        </summary>
+                        <pre style={{ background: "#010409", border: "1px solid #21262d", borderRadius: 6, padding: "8px 10px", marginTop: 4, overflowX: "auto", maxHeight: 220, color: "#c9d1d9" }}>{JSON.stringify(c.result, null, 1)}</pre>
+                      </details>
+                    ))}
+                    {t.answer && (
+                      <div style={{ background: "#161b22", border: "1px solid #30363d", borderRadius: 10, padding: "12px 16px", marginTop: 6 }}>
+                        <p style={{ fontSize: 12, color: "#c9d1d9", lineHeight: 1.75, fontFamily: "'IBM Plex Sans', sans-serif", fontWeight: 300, whiteSpace: "pre-wrap" }}>{t.answer}</p>
+                        {t.trace.total > 0 && (
+                          <div style={{ fontSize: 10, marginTop: 8, color: t.trace.untraced.length ? "#f5a623" : "#00d4aa" }}>
+                            {t.trace.untraced.length
+                              ? `▲ ${t.trace.untraced.length} of ${t.trace.total} figures not found in the tool results: ${t.trace.untraced.join(", ")}`
+                              : `✓ all ${t.trace.total} figures match the tool results`}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+                {chatPending && (
+                  <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 10, letterSpacing: "0.08em", marginBottom: 12 }}>
+                    <span className="pulse" style={{ color: "#00d4aa" }}>QUERYING RUN DATA…</span>
+                    <span onClick={() => chatAbortRef.current?.abort()} style={{ cursor: "pointer", color: "#ff4d6d" }}>■ CANCEL</span>
+                  </div>
+                )}
+                {chatError && (
+                  <div style={{ fontSize: 11, color: "#ff4d6d", marginBottom: 12 }}>
+                    ✕ {{ http: `API ERROR${chatError.status ? ` ${chatError.status}` : ""}`, timeout: "TIMED OUT", cancelled: "CANCELLED", schema: "NO ANSWER", network: "NETWORK ERROR" }[chatError.kind] ?? "ERROR"} · {chatError.message}
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 8 }}>
+                  <input value={chatDraft} onChange={e => setChatDraft(e.target.value)} onKeyDown={e => e.key === "Enter" && askQuestion()} disabled={chatPending}
+                    placeholder="Ask about this run — e.g. why did the forecast miss in the Volatile regime in March?"
+                    style={{ flex: 1, background: "#161b22", border: "1px solid #30363d", borderRadius: 6, padding: "9px 12px", color: "#e6edf3", fontSize: 12, fontFamily: "inherit" }} />
+                  <button onClick={askQuestion} disabled={chatPending || !chatDraft.trim()}
+                    style={{ background: "transparent", border: "1px solid #30363d", borderRadius: 6, padding: "6px 16px", color: "#58a6ff", fontSize: 10, fontFamily: "inherit", letterSpacing: "0.1em", cursor: "pointer" }}>
+                    ASK ↵
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -0,0 +1,198 @@
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { createProvider, ProviderError } from "./providers.mjs";
+
+const DEFAULT_MODEL = "claude-sonnet-4-20250514";
+const ALLOWED_MODELS = [DEFAULT_MODEL];
+const MAX_TOKENS_CAP = 4000;
+const MAX_BODY_BYTES = 256 * 1024;
+// Only finished turns are cached; a reply cut off by max_tokens (or with no stop reason at all) is
+// served once and asked for again next time. A tool_use turn is finished: it waits on tool results.
+const COMPLETE_STOP_REASONS = ["end_turn", "tool_use"];
+
+export function createRateLimiter({ limit, windowMs = 60_000, now = Date.now }) {
+  const hits = new Map();
+  let swept = now();
+  const check = (user) => {
+    const t = now();
+    // Drop clients whose last request has aged out, at most once per window.
+    if (t - swept >= windowMs) {
+      for (const [key, times] of hits) if (t - times[times.length - 1] >= windowMs) hits.delete(key);
+      swept = t;
+    }
+    const recent = (hits.get(user) ?? []).filter(ts => t - ts < windowMs);
+    if (recent.length >= limit) {
+      hits.set(user, recent);
+      return { ok: false, retryAfter: Math.ceil((recent[0] + windowMs - t) / 1000) };
+    }
+    recent.push(t);
+    hits.set(user, recent);
+    return { ok: true, remaining: limit - recent.length };
+  };
+  Object.defineProperty(check, "size", { get: () => hits.size });
+  return check;
+}
+
+export function createResponseCache({ ttlMs, maxEntries, now = Date.now }) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      if (now() - hit.at > ttlMs) { entries.delete(key); return null; }
+      entries.delete(key);
+      entries.set(key, hit);
+      return hit.text;
+    },
+    set(key, text) {
+      entries.set(key, { text, at: now() });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    get size() { return entries.size; },
+  };
+}
+
+const sse = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) { reject(new ProviderError(413, "Request body too large")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Requests are limited per client address. Behind a reverse proxy set trustProxy so the address the
+// proxy appended to X-Forwarded-For is used; otherwise that header is client-controlled and ignored.
+function clientAddress(req, trustProxy) {
+  const forwarded = trustProxy && String(req.headers["x-forwarded-for"] ?? "").split(",").pop().trim();
+  return forwarded || req.socket.remoteAddress || "unknown";
+}
+
+export function createProxyServer({ provider, rateLimit, cache, log = console.log, allowedOrigin = null, trustProxy = false }) {
+  return createServer(async (req, res) => {
+    const started = Date.now();
+    const user = clientAddress(req, trustProxy);
+    const entry = { user, method: req.method, path: req.url, provider: provider.name };
+    res.on("finish", () => log(JSON.stringify({ time: new Date(started).toISOString(), ...entry, status: res.statusCode, ms: Date.now() - started })));
+
+    // Same-origin only unless an origin is configured, so other sites can't spend the server's key.
+    if (allowedOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RegimeIQ-Cache");
+      res.setHeader("Vary", "Origin");
+    }
+    if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+    if (req.url === "/api/health" && req.method === "GET") return sendJson(res, 200, { ok: true, provider: provider.name });
+    if (req.url !== "/api/analyze" && req.url !== "/api/chat") return sendJson(res, 404, { error: { type: "not_found", message: "Not found" } });
+    if (req.method !== "POST") return sendJson(res, 405, { error: { type: "method_not_allowed", message: "Use POST" } });
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (e) {
+      return sendJson(res, e.status ?? 400, { error: { type: "invalid_request_error", message: e.status ? e.message : "Body must be JSON" } });
+    }
+    const chat = req.url === "/api/chat";
+    const prompt = body?.prompt, messages = body?.messages;
+    const model = body?.model ?? DEFAULT_MODEL;
+    const maxTokens = Math.min(Number(body?.max_tokens) || 1500, MAX_TOKENS_CAP);
+    if (!chat && (typeof prompt !== "string" || !prompt.trim())) return sendJson(res, 400, { error: { type: "invalid_request_error", message: "prompt must be a non-empty string" } });
+    if (chat && (!Array.isArray(messages) || !messages.length)) return sendJson(res, 400, { error: { type: "invalid_request_error", message: "messages must be a non-empty array" } });
+    if (!ALLOWED_MODELS.includes(model)) return sendJson(res, 400, { error: { type: "invalid_request_error", message: `model must be one of ${ALLOWED_MODELS.join(", ")}` } });
+
+    const request = chat
+      ? { system: typeof body.system === "string" ? body.system : undefined, tools: Array.isArray(body.tools) ? body.tools : undefined, messages }
+      : { prompt };
+    const key = createHash("sha256").update(JSON.stringify([provider.name, model, maxTokens, request])).digest("hex");
+    const cached = cache.get(key);
+    if (!cached) {
+      const limited = rateLimit(user);
+      if (!limited.ok) {
+        return sendJson(res, 429, { error: { type: "rate_limit_error", message: `Rate limit exceeded — retry in ${limited.retryAfter}s` } }, { "Retry-After": String(limited.retryAfter) });
+      }
+    }
+
+    const controller = new AbortController();
+    res.on("close", () => { if (!res.writableFinished) controller.abort(); });
+    entry.cache = cached ? "hit" : "miss";
+
+    // Chat turns carry tool calls, so they are returned whole rather than streamed.
+    if (chat) {
+      try {
+        const message = cached ? JSON.parse(cached) : await provider.complete({ ...request, model, maxTokens, signal: controller.signal });
+        if (!cached && COMPLETE_STOP_REASONS.includes(message?.stop_reason)) cache.set(key, JSON.stringify(message));
+        return sendJson(res, 200, message, { "X-RegimeIQ-Cache": entry.cache });
+      } catch (e) {
+        if (controller.signal.aborted) { entry.aborted = true; return; }
+        const status = e instanceof ProviderError ? e.status : 502;
+        entry.error = e.message;
+        return sendJson(res, status, { error: { type: status === 429 ? "rate_limit_error" : "api_error", message: e.message } });
+      }
+    }
+
+    const stream = cached ? (async function* () { yield cached; return "end_turn"; })() : provider.stream({ prompt, model, maxTokens, signal: controller.signal });
+
+    // Iterated by hand rather than with for-await so the stream's return value, the stop reason, is kept.
+    let text = "", streaming = false, step;
+    try {
+      while (!(step = await stream.next()).done) {
+        const chunk = step.value;
+        if (!streaming) {
+          res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-RegimeIQ-Cache": entry.cache });
+          res.write(sse("message_start", { message: { model } }));
+          streaming = true;
+        }
+        text += chunk;
+        res.write(sse("content_block_delta", { index: 0, delta: { type: "text_delta", text: chunk } }));
+      }
+      if (!streaming) res.writeHead(200, { "Content-Type": "text/event-stream", "X-RegimeIQ-Cache": entry.cache });
+      if (step.value) res.write(sse("message_delta", { delta: { stop_reason: step.value } }));
+      res.end(sse("message_stop", {}));
+      if (!cached && text && COMPLETE_STOP_REASONS.includes(step.value)) cache.set(key, text);
+    } catch (e) {
+      if (controller.signal.aborted) { entry.aborted = true; return; }
+      const status = e instanceof ProviderError ? e.status : 502;
+      entry.error = e.message;
+      if (streaming) res.end(sse("error", { error: { type: "api_error", message: e.message } }));
+      else sendJson(res, status, { error: { type: status === 429 ? "rate_limit_error" : "api_error", message: e.message } });
+    }
+  });
+}
+
+export function serverConfig(env = process.env) {
+  return {
+    port: Number(env.PORT) || 8787,
+    provider: env.REGIMEIQ_PROVIDER || (env.ANTHROPIC_API_KEY ? "anthropic" : "mock"),
+    rateLimit: Number(env.RATE_LIMIT_PER_MIN) || 10,
+    cacheTtlS: Number(env.CACHE_TTL_S) || 3600,
+    cacheMax: Number(env.CACHE_MAX_ENTRIES) || 200,
+    allowedOrigin: env.ALLOWED_ORIGIN || null,
+    trustProxy: env.TRUST_PROXY === "1",
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  const config = serverConfig();
+  const server = createProxyServer({
+    provider: createProvider(config.provider),
+    rateLimit: createRateLimiter({ limit: config.rateLimit }),
+    cache: createResponseCache({ ttlMs: config.cacheTtlS * 1000, maxEntries: config.cacheMax }),
+    allowedOrigin: config.allowedOrigin,
+    trustProxy: config.trustProxy,
+  });
+  server.listen(config.port, () => console.log(`RegimeIQ proxy on :${config.port} (provider: ${config.provider})`));
+}
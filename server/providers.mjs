@@ -0,0 +1,156 @@
+import { createHash } from "node:crypto";
+
+export class ProviderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+// Yields the text deltas and returns the stop reason, which is null if the stream ends without one.
+async function* readSseText(body) {
+  const decoder = new TextDecoder();
+  let buffer = "", stopReason = null;
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const payload = event.split(/\r?\n/).filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("");
+      if (!payload) continue;
+      const json = JSON.parse(payload);
+      if (json.type === "error") throw new ProviderError(502, json.error?.message || "Upstream stream error");
+      if (json.type === "content_block_delta" && json.delta?.type === "text_delta") yield json.delta.text;
+      if (json.type === "message_delta" && json.delta?.stop_reason) stopReason = json.delta.stop_reason;
+    }
+  }
+  return stopReason;
+}
+
+export function createAnthropicProvider({ apiKey, fetchImpl = fetch, baseUrl = "https://api.anthropic.com" }) {
+  if (!apiKey) throw new Error("ANTHROPIC_API_KEY is required for the anthropic provider");
+  return {
+    name: "anthropic",
+    async *stream({ prompt, model, maxTokens, signal }) {
+      const response = await fetchImpl(`${baseUrl}/v1/messages`, {
+        method: "POST",
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: JSON.stringify({ model, max_tokens: maxTokens, stream: true, messages: [{ role: "user", content: prompt }] }),
+      });
+      if (!response.ok) {
+        const json = await response.json().catch(() => null);
+        throw new ProviderError(response.status, json?.error?.message || response.statusText || "Upstream error");
+      }
+      return yield* readSseText(response.body);
+    },
+    async complete({ system, tools, messages, model, maxTokens, signal }) {
+      const response = await fetchImpl(`${baseUrl}/v1/messages`, {
+        method: "POST",
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: JSON.stringify({ model, max_tokens: maxTokens, system, tools, messages }),
+      });
+      const json = await response.json().catch(() => null);
+      if (!response.ok) throw new ProviderError(response.status, json?.error?.message || response.statusText || "Upstream error");
+      return json;
+    },
+  };
+}
+
+const SECTION_TITLES = ["SIGNAL QUALITY", "REGIME ANALYSIS", "RISK PROFILE", "OVERFITTING RISK", "KEY INSIGHT"];
+
+function pick(prompt, re, fallback = "n/a") {
+  return prompt.match(re)?.[1] ?? fallback;
+}
+
+// Builds a schema-valid report from numbers quoted in the prompt, so the same prompt always
+// produces the same text. Used for offline runs and tests.
+export function mockReport(prompt) {
+  const digest = createHash("sha256").update(prompt).digest();
+  const ticker = pick(prompt, /market data for (\S+) over/, "the series");
+  const hitRate = pick(prompt, /Directional Hit Rate: ([-\d.]+|null)%/);
+  const sharpe = pick(prompt, /Sharpe Ratio: ([-\d.]+|null)/);
+  const totalReturn = pick(prompt, /Total Return: ([-\d.]+)%/);
+  const regimes = [...prompt.matchAll(/(\w+): avg daily return ([-\d.]+)%/g)].map(m => ({ name: m[1], ret: m[2] }));
+  const worst = [...regimes].sort((a, b) => a.ret - b.ret)[0];
+  const content = {
+    "SIGNAL QUALITY": `${ticker} forecasts hit direction ${hitRate}% of the time. Mock provider output — no model was called.`,
+    "REGIME ANALYSIS": regimes.length
+      ? `Regimes observed: ${regimes.map(r => `${r.name} ${r.ret}%/day`).join(", ")}. ${worst.name} is the weakest regime.`
+      : "No regime breakdown was supplied.",
+    "RISK PROFILE": `Total return ${totalReturn}% with an annualised Sharpe of ${sharpe}.`,
+    "OVERFITTING RISK": "Compare the deflated Sharpe and PBO above before trusting in-sample results.",
+    "KEY INSIGHT": `Deterministic mock report ${digest.toString("hex").slice(0, 8)}.`,
+  };
+  return {
+    sections: SECTION_TITLES.map(title => ({ title, content: content[title] })),
+    confidence: +(0.3 + digest[0] / 255 * 0.4).toFixed(2),
+    citedMetrics: [
+      { name: "Directional Hit Rate", value: `${hitRate}%`, regime: null },
+      { name: "Sharpe Ratio", value: sharpe, regime: null },
+    ],
+    flaggedRisks: worst ? [{ risk: `${worst.name} regime averages ${worst.ret}% per day`, severity: worst.ret < 0 ? "high" : "low" }] : [],
+  };
+}
+
+// Chat counterpart of mockReport: a question gets a slice and a largest-errors tool call (scoped to a
+// regime if the question names one), and the tool results get a text answer quoting them.
+export function mockChatReply({ system = "", messages }) {
+  const last = messages[messages.length - 1];
+  const digest = createHash("sha256").update(JSON.stringify(messages)).digest("hex").slice(0, 8);
+  if (typeof last?.content === "string") {
+    const regimes = [...(system.match(/^Regimes \([^)]*\): (.*)\.$/m)?.[1] ?? "").matchAll(/(\w+) \d+ days/g)].map(m => m[1]);
+    const regime = regimes.find(r => last.content.toLowerCase().includes(r.toLowerCase()));
+    const scope = regime ? { regime } : {};
+    return {
+      role: "assistant",
+      stop_reason: "tool_use",
+      content: [
+        { type: "text", text: "Checking the run data." },
+        { type: "tool_use", id: `toolu_mock_${digest}_0`, name: "slice_returns", input: scope },
+        { type: "tool_use", id: `toolu_mock_${digest}_1`, name: "largest_errors", input: { ...scope, n: 3 } },
+      ],
+    };
+  }
+  const results = (last?.content ?? []).filter(b => b.type === "tool_result").map(b => JSON.parse(b.content));
+  const slice = results.find(r => "hitRate" in r), misses = results.find(r => r.errors)?.errors ?? [];
+  const text = slice
+    ? `${slice.regime ?? "Across the run"} (${slice.start} → ${slice.end}, ${slice.days} days): return ${slice.return}%, hit rate ${slice.hitRate}%, RMSE ${slice.rmse}.${misses[0] ? ` Largest miss ${misses[0].date}: forecast ${misses[0].forecast}% vs actual ${misses[0].actual}% (error ${misses[0].error}).` : ""} Mock provider output — no model was called.`
+    : `The tools returned no data${results[0]?.error ? `: ${results[0].error}` : ""}. Mock provider output — no model was called.`;
+  return { role: "assistant", stop_reason: "end_turn", content: [{ type: "text", text }] };
+}
+
+export function createMockProvider({ chunkSize = 48, delayMs = 0, respond = (prompt) => JSON.stringify(mockReport(prompt)), stopReason = "end_turn" } = {}) {
+  return {
+    name: "mock",
+    async complete(request) {
+      if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+      return mockChatReply(request);
+    },
+    async *stream({ prompt, signal }) {
+      const text = respond(prompt);
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (signal?.aborted) return null;
+        if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+        yield text.slice(i, i + chunkSize);
+      }
+      return stopReason;
+    },
+  };
+}
+
+export function createProvider(name, env = process.env) {
+  if (name === "mock") return createMockProvider({ delayMs: Number(env.MOCK_DELAY_MS) || 0 });
+  if (name === "anthropic") return createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY });
+  throw new Error(`Unknown provider "${name}" (expected anthropic or mock)`);
+}
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REPORT_SECTIONS, AnalysisError, extractJsonObject, validateAnalysisReport, partialReportSections, buildAnalysisPrompt,
+  generateMarketData, analyzeSeries, buildRunBundle, parseRunBundle, markdownReport, RUN_BUNDLE_VERSION,
+  gateNote, BACKTEST_DEFAULTS,
+} from "../engine/index.mjs";
+
+const validReport = () => ({
+  sections: [...REPORT_SECTIONS].reverse().map(s => ({ title: s.title, content: `  ${s.title.toLowerCase()} text  ` })),
+  confidence: 0.7,
+  citedMetrics: [{ name: "Hit rate", value: 52.1, regime: "Bull" }, { name: "Sharpe", value: "1.2" }],
+  flaggedRisks: [{ risk: "Short sample", severity: "medium" }],
+});
+
+test("extractJsonObject strips fences and surrounding prose", () => {
+  const json = { a: 1, b: { c: [2] } };
+  assert.deepEqual(extractJsonObject("```json\n" + JSON.stringify(json) + "\n```"), json);
+  assert.deepEqual(extractJsonObject(`Here you go: ${JSON.stringify(json)} — done`), json);
+});
+
+test("extractJsonObject raises schema errors", () => {
+  for (const [text, message] of [["no braces here", /did not contain/], ['{"a": 1,,}', /malformed/]]) {
+    assert.throws(() => extractJsonObject(text), e => e instanceof AnalysisError && e.kind === "schema" && message.test(e.message));
+  }
+});
+
+test("validateAnalysisReport normalises a valid report into section order", () => {
+  const { errors, report } = validateAnalysisReport(validReport());
+  assert.deepEqual(errors, []);
+  assert.deepEqual(report.sections.map(s => s.title), REPORT_SECTIONS.map(s => s.title));
+  assert.equal(report.sections[0].content, "signal quality text");
+  assert.equal(report.sections[0].icon, REPORT_SECTIONS[0].icon);
+  assert.deepEqual(report.citedMetrics, [{ name: "Hit rate", value: "52.1", regime: "Bull" }, { name: "Sharpe", value: "1.2", regime: null }]);
+});
+
+test("validateAnalysisReport lists every schema problem", () => {
+  const bad = validReport();
+  bad.sections = bad.sections.filter(s => s.title !== "KEY INSIGHT").concat({ title: "EXTRA", content: "x" });
+  bad.confidence = 1.5;
+  bad.flaggedRisks = [{ risk: "x", severity: "severe" }];
+  bad.citedMetrics = [{ name: "", value: 1 }];
+  const { errors, report } = validateAnalysisReport(bad);
+  assert.equal(report, undefined);
+  assert.ok(errors.some(e => e.includes('"EXTRA" is not one of')));
+  assert.ok(errors.includes("missing section KEY INSIGHT"));
+  assert.ok(errors.includes("confidence must be a number between 0 and 1"));
+  assert.ok(errors.some(e => e.startsWith("flaggedRisks[0]")));
+  assert.ok(errors.some(e => e.startsWith("citedMetrics[0]")));
+  assert.deepEqual(validateAnalysisReport([]).errors, ["Report must be a JSON object"]);
+});
+
+test("partialReportSections reads sections out of a truncated stream", () => {
+  const full = JSON.stringify(validReport());
+  const cut = full.indexOf("regime analysis text") + 6;
+  const sections = partialReportSections(full.slice(0, cut));
+  assert.deepEqual(sections.map(s => s.title), ["KEY INSIGHT", "OVERFITTING RISK", "RISK PROFILE", "REGIME ANALYSIS"]);
+  assert.equal(sections.at(-1).content, "  regime");
+  assert.deepEqual(partialReportSections('{"sections":[{"title":"UNKNOWN","content":"x"}'), []);
+});
+
+test("partialReportSections decodes escapes and tolerates a dangling backslash", () => {
+  const [done] = partialReportSections('{"sections":[{"title":"KEY INSIGHT","content":"line one\\nsays \\"hi\\""}');
+  assert.equal(done.content, 'line one\nsays "hi"');
+  const [partial] = partialReportSections('{"sections":[{"title":"KEY INSIGHT","content":"cut at \\');
+  assert.equal(partial.content, "cut at ");
+});
+
+test("the prompt carries the run's metrics and the report schema", () => {
+  const data = analyzeSeries(generateMarketData("NVDA", "2024-01-01", "2024-06-30"));
+  const prompt = buildAnalysisPrompt(data);
+  assert.equal(buildAnalysisPrompt(data), prompt);
+  assert.ok(prompt.includes("NVDA"));
+  assert.ok(prompt.includes(String(data.totalReturn)));
+  REPORT_SECTIONS.forEach(s => assert.ok(prompt.includes(s.title), s.title));
+});
+
+test("regime-gated backtests trade on causal labels and the prompt says which", () => {
+  const series = generateMarketData("NVDA", "2024-01-01", "2024-06-30");
+  const plain = analyzeSeries(series);
+  assert.equal(plain.causalRegimes, null);
+  assert.ok(!buildAnalysisPrompt(plain).includes("Regime gate:"));
+  const gated = analyzeSeries(series, { backtestSettings: { ...BACKTEST_DEFAULTS, gate: ["Bear"] } });
+  assert.equal(gated.causalRegimes.length, gated.returns.length);
+  assert.ok(buildAnalysisPrompt(gated).includes(`Regime gate: ${gateNote("hmm")}.`));
+  assert.match(gateNote("hmm"), /refitted every 63 days/);
+  assert.match(gateNote("labels"), /source labels as supplied/);
+  assert.doesNotMatch(gateNote("labels"), /fitted|never gated/);
+});
+
+test("run bundles round-trip and render as Markdown", () => {
+  const data = analyzeSeries(generateMarketData("NVDA", "2024-01-01", "2024-06-30"));
+  const { report } = validateAnalysisReport(validReport());
+  const bundle = buildRunBundle({ params: { tickers: "NVDA", detector: "hmm", source: "demo" }, data, comparison: null, analysis: { subject: "NVDA", text: "", report } });
+  const parsed = parseRunBundle(JSON.stringify(bundle));
+  assert.deepEqual(parsed.bundle, JSON.parse(JSON.stringify(bundle)));
+  assert.match(parseRunBundle(JSON.stringify({ ...bundle, version: RUN_BUNDLE_VERSION + 1 })).error, /newer/);
+  assert.match(parseRunBundle('{"format":"other"}').error, /Not a RegimeIQ run bundle/);
+  assert.match(parseRunBundle("{").error, /Not valid JSON/);
+  const md = markdownReport(bundle);
+  assert.ok(md.startsWith("# RegimeIQ · NVDA"));
+  REPORT_SECTIONS.forEach(s => assert.ok(md.includes(s.title), s.title));
+});
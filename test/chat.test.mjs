@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { askRunChat, chatTurns } from "../engine/index.mjs";
+import { turbulentSeries } from "./fixtures.mjs";
+
+// Answers each request with the next scripted message and records what the app sent.
+function scriptedFetch(replies) {
+  const sent = [];
+  const fetchImpl = async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    return new Response(JSON.stringify(replies.shift()), { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+  return { sent, fetchImpl };
+}
+
+test("tool calls in a reply cut off by max_tokens still get results", async (t) => {
+  const { sent, fetchImpl } = scriptedFetch([
+    {
+      stop_reason: "max_tokens",
+      content: [{ type: "text", text: "Checking the Volatile block" }, { type: "tool_use", id: "call-1", name: "slice_returns", input: { regime: "Volatile" } }],
+    },
+    { stop_reason: "end_turn", content: [{ type: "text", text: "Done." }] },
+  ]);
+  t.mock.method(globalThis, "fetch", fetchImpl);
+  const thread = await askRunChat(turbulentSeries(), null, [], "How did Volatile go?", "sk-test");
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].messages.at(-1).content[0].tool_use_id, "call-1");
+  assert.equal(JSON.parse(sent[1].messages.at(-1).content[0].content).days, 80);
+  assert.deepEqual(thread.at(-1), { role: "assistant", content: [{ type: "text", text: "Done." }] });
+  assert.equal(chatTurns(thread).length, 1);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { runCli } from "../bin/regimeiq.mjs";
+import { createProxyServer, createRateLimiter, createResponseCache } from "../server/index.mjs";
+import { createMockProvider } from "../server/providers.mjs";
+import { parseRunBundle, seriesCsv, REPORT_SECTIONS } from "../engine/index.mjs";
+
+async function cli(argv, env = {}) {
+  let stdout = "", stderr = "";
+  const code = await runCli(argv, { env, stdout: { write: s => { stdout += s; } }, stderr: { write: s => { stderr += s; } } });
+  return { code, stdout, stderr };
+}
+
+const DEMO = ["--ticker", "NVDA", "--start", "2024-01-01", "--end", "2024-06-30"];
+
+test("writes a run bundle the app can reopen", async () => {
+  const { code, stdout, stderr } = await cli([...DEMO, "--detector", "threshold", "--risk-free", "3"]);
+  assert.equal(code, 0);
+  assert.match(stderr, /^NVDA: 130 days/);
+  const { bundle, error } = parseRunBundle(stdout);
+  assert.equal(error, undefined);
+  assert.equal(bundle.params.detector, "threshold");
+  assert.equal(bundle.params.riskFree, 3);
+  assert.equal(bundle.data.ticker, "NVDA");
+  assert.equal(bundle.analysis, null);
+  assert.equal((await cli([...DEMO, "--detector", "threshold", "--risk-free", "3"])).stdout.replace(/"exportedAt": "[^"]+"/, ""), stdout.replace(/"exportedAt": "[^"]+"/, ""));
+});
+
+test("rejects bad arguments with exit code 2", async () => {
+  for (const argv of [[], ["--ticker", "NVDA"], [...DEMO, "--detector", "nope"], [...DEMO, "--format", "pdf"], [...DEMO, "--models", "ar,magic"], ["--bogus"]]) {
+    const { code, stderr } = await cli(argv);
+    assert.equal(code, 2, argv.join(" "));
+    assert.match(stderr, /^regimeiq: /);
+  }
+  const help = await cli(["--help"]);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: regimeiq/);
+});
+
+test("re-imports an exported prices CSV and writes Markdown to a file", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "regimeiq-"));
+  try {
+    const bundle = parseRunBundle((await cli(DEMO)).stdout).bundle;
+    const csv = join(dir, "nvda.csv"), out = join(dir, "report.md");
+    await writeFile(csv, seriesCsv(bundle.data, "prices"));
+    const { code } = await cli(["--csv", csv, "--ticker", "NVDA", "--start", "2024-02-01", "--format", "markdown", "--out", out]);
+    assert.equal(code, 0);
+    const md = await readFile(out, "utf8");
+    assert.match(md, /^# RegimeIQ · NVDA\n\n2024-02-02 → 2024-06-28/);
+    assert.match(md, /source import/);
+    assert.equal((await cli(["--csv", join(dir, "missing.csv")])).code, 2);
+    const unwritable = await cli([...DEMO, "--out", join(dir, "no-such-dir", "report.json")]);
+    assert.equal(unwritable.code, 2);
+    assert.match(unwritable.stderr, /^regimeiq: Cannot write .*report\.json: ENOENT/m);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("adds the AI analysis through the proxy", async () => {
+  const server = createProxyServer({
+    provider: createMockProvider(),
+    rateLimit: createRateLimiter({ limit: 10 }),
+    cache: createResponseCache({ ttlMs: 60_000, maxEntries: 10 }),
+    log: () => {},
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const proxy = `http://127.0.0.1:${server.address().port}`;
+    const { code, stdout } = await cli([...DEMO, "--ai", "--proxy", proxy]);
+    assert.equal(code, 0);
+    const { bundle } = parseRunBundle(stdout);
+    assert.deepEqual(bundle.analysis.report.sections.map(s => s.title), REPORT_SECTIONS.map(s => s.title));
+
+    const failed = await cli([...DEMO, "--ai", "--proxy", "http://127.0.0.1:9", "--timeout", "5"]);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stderr, /AI analysis failed/);
+    assert.equal(parseRunBundle(failed.stdout).bundle.analysis, null);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,31 @@
+import { createRng, summarizeMarketData } from "../engine/index.mjs";
+
+// Standard normal draws from the engine's seeded generator (Box-Muller).
+export function normals(seed, n) {
+  const rng = createRng(seed);
+  return Array.from({ length: n }, () => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng()));
+}
+
+// A market-data object in the shape the loaders produce, from daily % returns and forecasts.
+export function seriesFromReturns(actual, forecast, { ticker = "TEST", regimes = actual.map(() => "Unlabeled") } = {}) {
+  const prices = [], returns = [], volatility = [];
+  let price = 100;
+  actual.forEach((ret, i) => {
+    const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10);
+    const forecastPrice = price * (1 + forecast[i] / 100);
+    price *= 1 + ret / 100;
+    prices.push({ date, actual: +price.toFixed(2), forecast: +forecastPrice.toFixed(2), regime: regimes[i] });
+    returns.push({ date, actual: ret, forecast: forecast[i], regime: regimes[i] });
+    volatility.push({ date, vol: 1, regime: regimes[i] });
+  });
+  return { ...summarizeMarketData(prices, returns, volatility), ticker, source: "import" };
+}
+
+// Calm, turbulent, calm: the middle block has five times the volatility and a negative drift.
+export function turbulentSeries(seed = 7) {
+  const z = normals(seed, 300), noise = normals(seed + 1, 300);
+  const regimes = z.map((_, i) => i >= 100 && i < 180 ? "Volatile" : "Bull");
+  const actual = z.map((x, i) => +(regimes[i] === "Volatile" ? -0.2 + 2.5 * x : 0.08 + 0.5 * x).toFixed(3));
+  const forecast = actual.map((a, i) => +(0.5 * a + 0.5 * noise[i]).toFixed(3));
+  return seriesFromReturns(actual, forecast, { regimes });
+}
@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRng, ranks, pearson, pointMetrics, computeForecastMetrics, drawdownStats, computeRiskMetrics,
+  computeBacktest, BACKTEST_DEFAULTS, windowMetrics, TRADING_DAYS, computeOverfitting, OVERFIT_PARAMS, generateMarketData,
+} from "../engine/index.mjs";
+import { normals, turbulentSeries } from "./fixtures.mjs";
+
+test("createRng is reproducible per seed", () => {
+  const a = createRng(42), b = createRng(42), c = createRng(43);
+  const xs = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), xs);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), xs);
+  xs.forEach(x => assert.ok(x >= 0 && x < 1));
+});
+
+test("ranks average ties and pearson handles degenerate input", () => {
+  assert.deepEqual([...ranks([3, 1, 3, 2])], [3.5, 1, 3.5, 2]);
+  assert.equal(pearson([1, 2, 3], [2, 4, 6]), 1);
+  assert.equal(pearson([1, 2, 3], [3, 2, 1]), -1);
+  assert.equal(pearson([1, 1, 1], [1, 2, 3]), 0);
+});
+
+test("pointMetrics matches hand-computed errors", () => {
+  const m = pointMetrics([1, -1, 2, -2], [0.5, 0.5, 1, -1]);
+  assert.equal(m.hitRate, 75);
+  assert.equal(m.mae, 1);
+  assert.equal(m.rmse, Math.sqrt(1.125));
+  assert.equal(m.bias, 0.25);
+  assert.equal(m.mape, 75);
+});
+
+test("pointMetrics counts a zero forecast or a flat day as a miss", () => {
+  assert.equal(pointMetrics([0, 1, -1, 0.5], [0, 1, 1, 0]).hitRate, 25);
+  assert.equal(pointMetrics([0, 0, 0], [0, 0, 0]).hitRate, 0);
+});
+
+test("pointMetrics skips near-zero actuals in MAPE", () => {
+  assert.equal(pointMetrics([0, 0.01], [1, 1]).mape, null);
+});
+
+test("bootstrap intervals are deterministic for a seed and bracket the point estimate", () => {
+  const actual = normals(1, 120), noise = normals(2, 120);
+  const forecast = actual.map((a, i) => 0.6 * a + noise[i]);
+  const first = computeForecastMetrics(actual, forecast, 99);
+  assert.deepEqual(computeForecastMetrics(actual, forecast, 99), first);
+  assert.notDeepEqual(computeForecastMetrics(actual, forecast, 100).hitRate, first.hitRate);
+  for (const key of ["hitRate", "mae", "rmse", "icPearson", "icSpearman"]) {
+    assert.ok(first[key].lo <= first[key].value && first[key].value <= first[key].hi, key);
+  }
+  assert.ok(first.icPearson.value > 0.3);
+  assert.equal(first.n, 120);
+  assert.equal(computeForecastMetrics([1, 2], [1, 2]), null);
+});
+
+test("drawdownStats tracks depth and time underwater", () => {
+  const { underwater, maxDrawdown, maxDuration } = drawdownStats([0.1, -0.5, 0.2, 0.8]);
+  assert.equal(+maxDrawdown.toFixed(10), -0.5);
+  assert.equal(maxDuration, 2);
+  assert.equal(underwater[0], 0);
+  assert.equal(underwater[3], 0);
+});
+
+test("computeRiskMetrics annualises volatility and reads VaR from the sorted tail", () => {
+  const returnsPct = normals(5, 500).map(x => 0.05 + x);
+  const m = computeRiskMetrics(returnsPct);
+  const r = returnsPct.map(x => x / 100), mu = r.reduce((a, b) => a + b) / r.length;
+  const sd = Math.sqrt(r.reduce((a, x) => a + (x - mu) ** 2, 0) / (r.length - 1));
+  assert.equal(m.annVol, +(sd * Math.sqrt(TRADING_DAYS) * 100).toFixed(2));
+  const sorted = [...returnsPct].sort((a, b) => a - b);
+  assert.equal(m.var[0.95].historicalVaR, +(-sorted[Math.floor(0.05 * 500) - 1]).toFixed(3));
+  assert.ok(m.var[0.99].historicalCVaR >= m.var[0.99].historicalVaR);
+  assert.ok(m.maxDrawdown <= 0);
+  assert.equal(computeRiskMetrics([1]), null);
+});
+
+test("risk-free rate lowers Sharpe but not volatility", () => {
+  const returnsPct = normals(6, 250).map(x => 0.1 + x);
+  const base = computeRiskMetrics(returnsPct), withRf = computeRiskMetrics(returnsPct, { riskFree: 5 });
+  assert.equal(withRf.annVol, base.annVol);
+  assert.ok(withRf.sharpe < base.sharpe);
+});
+
+test("windowMetrics scores the sign strategy on a window", () => {
+  assert.equal(windowMetrics([{ actual: 1, forecast: 1 }]), null);
+  const m = windowMetrics([{ actual: 1, forecast: 2 }, { actual: -1, forecast: -1 }, { actual: 2, forecast: -1 }]);
+  assert.equal(m.hitRate, 66.7);
+});
+
+test("PBO at the maximum block count scores every split of five years of data", () => {
+  const { returns } = generateMarketData("NVDA", "2019-01-01", "2023-12-31");
+  const blocks = OVERFIT_PARAMS.find(p => p.key === "blocks").max;
+  const o = computeOverfitting(returns, { blocks });
+  assert.equal(o.overall.pbo.combinations, 924);
+  assert.ok(o.overall.pbo.pbo >= 0 && o.overall.pbo.pbo <= 1);
+});
+
+test("per-regime PBO scores the whole-series CSCV splits on that regime's days", () => {
+  const data = turbulentSeries();
+  const o = computeOverfitting(data.returns);
+  // Volatile is one 80-day episode across blocks 2–4 of 8; splits that put it all on one side are skipped.
+  assert.equal(o.overall.pbo.combinations, 70);
+  assert.equal(o.byRegime.Volatile.pbo.combinations, 60);
+  const single = computeOverfitting(data.returns.map(r => ({ ...r, regime: "Bull" })));
+  assert.deepEqual(single.byRegime.Bull, single.overall);
+});
+
+test("deflated Sharpe uses the trial count as entered", () => {
+  const data = turbulentSeries();
+  const few = computeOverfitting(data.returns, { trials: 4 }).overall.dsr;
+  const many = computeOverfitting(data.returns, { trials: 400 }).overall.dsr;
+  assert.equal(few.trials, 4);
+  assert.equal(many.trials, 400);
+  assert.ok(many.benchmark > few.benchmark);
+});
+
+test("the regime gate trades on the causal labels it is given, not the rows' labels", () => {
+  const data = turbulentSeries();
+  const gate = { ...BACKTEST_DEFAULTS, gate: ["Volatile"] };
+  const ungated = computeBacktest(data.returns, BACKTEST_DEFAULTS);
+  assert.deepEqual(computeBacktest(data.returns, gate, { causalRegimes: data.returns.map(() => null) }).equity, ungated.equity);
+  assert.deepEqual(computeBacktest(data.returns, gate, { causalRegimes: data.returns.map(r => r.regime) }), computeBacktest(data.returns, gate));
+  const gated = computeBacktest(data.returns, gate);
+  assert.ok(gated.equity.slice(101, 181).every(e => e.position === 0));
+  assert.ok(gated.trades.exposure < ungated.trades.exposure);
+});
+
+test("backtest attribution adds up to the strategy return", () => {
+  const data = turbulentSeries();
+  for (const rule of ["sign", "threshold", "volTarget"]) {
+    const bt = computeBacktest(data.returns, { rule, commission: 2, slippage: 3 });
+    const net = Object.values(bt.byRegime).reduce((a, r) => a + r.net, 0);
+    assert.ok(Math.abs(net - bt.strategy.totalReturn) < 0.05, `${rule}: ${net} vs ${bt.strategy.totalReturn}`);
+    assert.ok(bt.trades.costs > 0);
+  }
+});
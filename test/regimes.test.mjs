@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateMarketData, detectRegimes, applyRegimeDetection, defaultDetectorParams, analyzeSeries, analyzeHoldings,
+  parseTickerList, PORTFOLIO_TICKER, causalRegimeLabels, CAUSAL_WARMUP_DAYS,
+} from "../engine/index.mjs";
+import { turbulentSeries } from "./fixtures.mjs";
+
+const share = (labels, from, to, name) => labels.slice(from, to).filter(l => l === name).length / (to - from);
+
+test("demo data is seeded by ticker and skips weekends", () => {
+  const a = generateMarketData("NVDA", "2024-01-01", "2024-03-31");
+  assert.deepEqual(generateMarketData("NVDA", "2024-01-01", "2024-03-31"), a);
+  assert.notDeepEqual(generateMarketData("AAPL", "2024-01-01", "2024-03-31").returns, a.returns);
+  assert.equal(a.days, 65);
+  a.prices.forEach(p => assert.ok(![0, 6].includes(new Date(p.date).getUTCDay()), p.date));
+});
+
+test("regime summary counts and averages come from the labelled rows", () => {
+  const data = generateMarketData("MSFT", "2023-01-01", "2023-12-31");
+  assert.equal(data.regimeSummary.reduce((a, r) => a + r.count, 0), data.days);
+  for (const r of data.regimeSummary) {
+    const rows = data.returns.filter(x => x.regime === r.name);
+    assert.equal(r.count, rows.length);
+    assert.equal(r.actualReturn, +(rows.reduce((a, x) => a + x.actual, 0) / rows.length).toFixed(3));
+    assert.equal(r.metrics.n, rows.length);
+    assert.ok(r.risk.annVol > 0);
+  }
+  assert.deepEqual(data.regimeSummary.map(r => r.name), ["Bull", "Volatile", "Bear", "Recovery"]);
+});
+
+test("rolling threshold finds the turbulent block", () => {
+  const data = turbulentSeries();
+  const { labels } = detectRegimes(data.returns, "threshold", defaultDetectorParams("threshold"));
+  assert.ok(share(labels, 110, 180, "Volatile") > 0.8);
+  assert.ok(share(labels, 200, 300, "Volatile") < 0.2);
+});
+
+test("HMM detection is deterministic and separates the volatile state", () => {
+  const data = turbulentSeries();
+  const params = defaultDetectorParams("hmm");
+  const first = detectRegimes(data.returns, "hmm", params);
+  assert.deepEqual(detectRegimes(data.returns, "hmm", params), first);
+  assert.ok(share(first.labels, 100, 180, "Volatile") > 0.8);
+  assert.ok(share(first.labels, 0, 100, "Volatile") < 0.2);
+  first.probs.forEach(p => assert.ok(Math.abs(Object.values(p).reduce((a, b) => a + b, 0) - 1) < 1e-6));
+});
+
+test("change-point segments respect the minimum length", () => {
+  const data = turbulentSeries();
+  const { labels } = detectRegimes(data.returns, "changepoint", { penalty: 3, minSegment: 20 });
+  const runs = labels.reduce((acc, l, i) => (i && l === labels[i - 1] ? acc[acc.length - 1]++ : acc.push(1), acc), []);
+  assert.ok(runs.length > 1);
+  assert.ok(runs.every(n => n >= 20), runs.join(","));
+  assert.ok(share(labels, 110, 170, "Volatile") > 0.8);
+});
+
+test("causal labels use no data after each day and still find the turbulent block", () => {
+  const data = turbulentSeries();
+  for (const detector of ["hmm", "threshold", "changepoint"]) {
+    const params = defaultDetectorParams(detector);
+    const labels = causalRegimeLabels(data.returns, detector, params);
+    assert.deepEqual(causalRegimeLabels(data.returns.slice(0, 200), detector, params), labels.slice(0, 200), detector);
+    assert.equal(labels.lastIndexOf(null), CAUSAL_WARMUP_DAYS - 2, detector);
+    assert.ok(share(labels, 120, 180, "Volatile") > 0.8, detector);
+  }
+  assert.deepEqual(causalRegimeLabels(data.returns, "labels", {}), data.returns.map(r => r.regime));
+});
+
+test("source labels pass through with full confidence", () => {
+  const data = turbulentSeries();
+  const labelled = applyRegimeDetection(data, detectRegimes(data.returns, "labels", {}));
+  assert.deepEqual(labelled.returns.map(r => r.regime), data.returns.map(r => r.regime));
+  labelled.returns.forEach(r => assert.equal(r.confidence, 1));
+  assert.deepEqual(labelled.regimeSummary.map(r => [r.name, r.count]), [["Bull", 220], ["Volatile", 80]]);
+  assert.equal(labelled.regimeModel.detector, "labels");
+});
+
+test("analyzeSeries is reproducible end to end", () => {
+  const data = generateMarketData("NVDA", "2024-01-01", "2024-12-31");
+  const a = analyzeSeries(data, { detector: "threshold", riskFree: 2 });
+  const b = analyzeSeries(data, { detector: "threshold", riskFree: 2 });
+  assert.equal(JSON.stringify(a), JSON.stringify(b));
+  assert.equal(a.riskFree, 2);
+  assert.ok(a.overfitting.overall.dsr);
+  assert.ok(a.backtest.strategy);
+  assert.equal(a.models.series.length, 3);
+});
+
+test("parseTickerList refuses unweighted names once the given weights are used up", () => {
+  assert.deepEqual(parseTickerList("NVDA:0.8, AAPL:0.2, MSFT"), { holdings: [], errors: ["Weights already sum to 100%; MSFT has no weight (each weight is a fraction like 0.6 or a percent like 60%)"] });
+  assert.match(parseTickerList("NVDA:150%, AAPL, MSFT").errors[0], /150%; AAPL, MSFT have no weight/);
+  assert.deepEqual(parseTickerList("NVDA:0.5, AAPL, MSFT").holdings.map(h => h.weight), [0.5, 0.25, 0.25]);
+  assert.deepEqual(parseTickerList("NVDA, AAPL").holdings.map(h => h.weight), [0.5, 0.5]);
+});
+
+test("parseTickerList reads percent weights", () => {
+  const weights = (text) => parseTickerList(text).holdings.map(h => h.weight);
+  assert.deepEqual(weights("NVDA:60%, AMD"), [0.6, 0.4]);
+  assert.deepEqual(weights("NVDA:60, AMD"), [0.6, 0.4]);
+  assert.deepEqual(weights("NVDA:30, AMD:20, MSFT"), [0.3, 0.2, 0.5]);
+  assert.deepEqual(weights("NVDA:0.6, AMD:40%"), [0.6, 0.4]);
+  assert.match(parseTickerList("NVDA:sixty").errors[0], /non-numeric weight — use a fraction like 0\.6 or a percent like 60%/);
+});
+
+test("analyzeHoldings builds the portfolio and comparison for several tickers", () => {
+  const { holdings } = parseTickerList("NVDA:0.6, AAPL");
+  const series = holdings.map(h => generateMarketData(h.ticker, "2024-01-01", "2024-06-30"));
+  const { data, comparison } = analyzeHoldings(series, holdings, { detector: "threshold" });
+  assert.equal(data.ticker, PORTFOLIO_TICKER);
+  assert.deepEqual(comparison.holdings, [{ ticker: "NVDA", weight: 0.6 }, { ticker: "AAPL", weight: 0.4 }]);
+  assert.deepEqual(comparison.matrix.rows.map(r => r.ticker), ["NVDA", "AAPL", PORTFOLIO_TICKER]);
+  assert.equal(comparison.correlation.pairs[0].pair, "NVDA/AAPL");
+  const day = 10;
+  const expected = 0.6 * series[0].returns[day].actual + 0.4 * series[1].returns[day].actual;
+  assert.ok(Math.abs(data.returns[day].actual - expected) < 0.001);
+  assert.equal(analyzeHoldings(series.slice(0, 1), holdings.slice(0, 1)).comparison, null);
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProxyServer, createRateLimiter, createResponseCache, serverConfig } from "../server/index.mjs";
+import { createMockProvider } from "../server/providers.mjs";
+
+const clock = (t = 0) => { const now = () => t; now.advance = (ms) => { t += ms; }; return now; };
+
+async function withServer(options, fn) {
+  const server = createProxyServer({
+    provider: createMockProvider(),
+    rateLimit: createRateLimiter({ limit: 10 }),
+    cache: createResponseCache({ ttlMs: 60_000, maxEntries: 10 }),
+    log: () => {},
+    ...options,
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn((path, init) => fetch(base + path, init));
+  } finally {
+    server.close();
+  }
+}
+
+const post = (body, headers = {}) => ({ method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: typeof body === "string" ? body : JSON.stringify(body) });
+
+test("rate limiter allows the limit per window and reports when to retry", () => {
+  const now = clock();
+  const limit = createRateLimiter({ limit: 2, windowMs: 60_000, now });
+  assert.deepEqual(limit("a"), { ok: true, remaining: 1 });
+  now.advance(10_000);
+  assert.deepEqual(limit("a"), { ok: true, remaining: 0 });
+  assert.deepEqual(limit("a"), { ok: false, retryAfter: 50 });
+  assert.equal(limit("b").ok, true);
+  now.advance(50_000);
+  assert.equal(limit("a").ok, true);
+});
+
+test("rate limiter forgets clients once their requests age out", () => {
+  const now = clock();
+  const limit = createRateLimiter({ limit: 5, windowMs: 1000, now });
+  for (let i = 0; i < 100; i++) limit(`client-${i}`);
+  assert.equal(limit.size, 100);
+  now.advance(1000);
+  limit("late");
+  assert.equal(limit.size, 1);
+});
+
+test("response cache expires entries after the TTL and evicts the least recently used", () => {
+  const now = clock();
+  const cache = createResponseCache({ ttlMs: 1000, maxEntries: 2, now });
+  cache.set("a", "A");
+  cache.set("b", "B");
+  assert.equal(cache.get("a"), "A");
+  cache.set("c", "C");
+  assert.equal(cache.get("b"), null);
+  assert.equal(cache.get("a"), "A");
+  now.advance(1001);
+  assert.equal(cache.get("a"), null);
+  assert.equal(cache.size, 1);
+});
+
+test("proxy rejects unknown routes, wrong methods and bad bodies", async () => {
+  await withServer({}, async (request) => {
+    assert.equal((await request("/api/nope")).status, 404);
+    assert.equal((await request("/api/analyze")).status, 405);
+    for (const body of ["{", { prompt: "" }, { prompt: "hi", model: "other-model" }]) {
+      const res = await request("/api/analyze", post(body));
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.equal((await res.json()).error.type, "invalid_request_error");
+    }
+    assert.equal((await request("/api/chat", post({ messages: [] }))).status, 400);
+  });
+});
+
+test("proxy limits by client address, not a header the client picks, and serves cache hits free", async () => {
+  await withServer({ rateLimit: createRateLimiter({ limit: 1 }) }, async (request) => {
+    const first = await request("/api/analyze", post({ prompt: "one" }, { "X-RegimeIQ-User": "u-1" }));
+    assert.equal(first.status, 200);
+    await first.text();
+    const rotated = await request("/api/analyze", post({ prompt: "two" }, { "X-RegimeIQ-User": "u-2", "X-Forwarded-For": "10.0.0.9" }));
+    assert.equal(rotated.status, 429);
+    assert.ok(Number(rotated.headers.get("retry-after")) > 0);
+    assert.equal((await rotated.json()).error.type, "rate_limit_error");
+    const cached = await request("/api/analyze", post({ prompt: "one" }));
+    assert.equal(cached.status, 200);
+    assert.equal(cached.headers.get("x-regimeiq-cache"), "hit");
+    await cached.text();
+  });
+});
+
+test("proxy caches only replies that finished, not ones cut off by max_tokens", async () => {
+  const truncated = createMockProvider({ respond: () => '{"sections": [{"title": "SIGNAL', stopReason: "max_tokens" });
+  const cache = createResponseCache({ ttlMs: 60_000, maxEntries: 10 });
+  await withServer({ provider: truncated, cache }, async (request) => {
+    for (const expected of ["miss", "miss"]) {
+      const res = await request("/api/analyze", post({ prompt: "long" }));
+      assert.equal(res.headers.get("x-regimeiq-cache"), expected);
+      assert.match(await res.text(), /"stop_reason":"max_tokens"/);
+    }
+    assert.equal(cache.size, 0);
+  });
+  await withServer({ cache }, async (request) => {
+    await (await request("/api/analyze", post({ prompt: "long" }))).text();
+    assert.equal(cache.size, 1);
+  });
+});
+
+test("proxy trusts X-Forwarded-For only when configured", async () => {
+  await withServer({ rateLimit: createRateLimiter({ limit: 1 }), trustProxy: true }, async (request) => {
+    for (const ip of ["10.0.0.1", "10.0.0.2"]) {
+      const res = await request("/api/analyze", post({ prompt: `from ${ip}` }, { "X-Forwarded-For": `1.2.3.4, ${ip}` }));
+      assert.equal(res.status, 200, ip);
+      await res.text();
+    }
+  });
+});
+
+test("proxy sends no CORS headers unless an origin is configured", async () => {
+  await withServer({}, async (request) => {
+    assert.equal((await request("/api/health")).headers.get("access-control-allow-origin"), null);
+  });
+  await withServer({ allowedOrigin: "https://app.example" }, async (request) => {
+    const res = await request("/api/health");
+    assert.equal(res.headers.get("access-control-allow-origin"), "https://app.example");
+  });
+  assert.equal(serverConfig({}).allowedOrigin, null);
+  assert.equal(serverConfig({}).trustProxy, false);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  regimeEpisodes, computeTransitions, generateMarketData, analyzeSeries, buildAnalysisPrompt, reportTables,
+} from "../engine/index.mjs";
+import { seriesFromReturns, turbulentSeries } from "./fixtures.mjs";
+
+const labelled = (regimes) => seriesFromReturns(regimes.map((_, i) => i % 3 ? 1 : -1), regimes.map(() => 1), { regimes }).returns;
+
+test("episodes split the labels into runs and mark the last one as ongoing", () => {
+  const data = turbulentSeries();
+  const episodes = regimeEpisodes(data.returns);
+  assert.deepEqual(episodes.map(e => [e.regime, e.days, e.ongoing]), [["Bull", 100, false], ["Volatile", 80, false], ["Bull", 120, true]]);
+  assert.equal(episodes[1].start, data.returns[100].date);
+  assert.equal(episodes[1].end, data.returns[179].date);
+  const compounded = data.returns.slice(100, 180).reduce((a, r) => a * (1 + r.actual / 100), 1);
+  assert.equal(episodes[1].return, +((compounded - 1) * 100).toFixed(2));
+  assert.ok(episodes[1].drawdown <= 0);
+});
+
+test("transition matrix counts every consecutive pair and rows sum to one", () => {
+  const returns = labelled(["Bull", "Bull", "Bear", "Bear", "Bear", "Bull", "Volatile", "Volatile", "Bull", "Bull"]);
+  const { matrix, regimes } = computeTransitions(returns);
+  assert.deepEqual(regimes, ["Bull", "Bear", "Volatile"]);
+  assert.equal(regimes.reduce((a, r) => a + regimes.reduce((b, s) => b + matrix.counts[r][s], 0), 0), returns.length - 1);
+  assert.deepEqual(matrix.counts.Bull, { Bull: 2, Bear: 1, Volatile: 1 });
+  regimes.forEach(r => assert.ok(Math.abs(regimes.reduce((a, s) => a + matrix.probs[r][s], 0) - 1) < 0.002, r));
+});
+
+test("durations use finished episodes and the Markov holding time is 1 / (1 − p stay)", () => {
+  const returns = labelled(["Bull", "Bull", "Bear", "Bear", "Bear", "Bull", "Volatile", "Volatile", "Bull", "Bull"]);
+  const t = computeTransitions(returns);
+  assert.deepEqual(t.durations.byRegime.Bull, { episodes: 2, mean: 1.5, median: 1.5, max: 2, markov: 2 });
+  assert.equal(t.durations.byRegime.Bear.markov, +(1 / (1 - t.matrix.probs.Bear.Bear)).toFixed(1));
+  assert.equal(t.durations.histogram.reduce((a, b) => a + t.regimes.reduce((s, r) => s + b[r], 0), 0), 4);
+  assert.equal(t.current.regime, "Bull");
+  assert.equal(t.current.age, 2);
+  assert.equal(t.current.outlasted, 0);
+  assert.equal(t.current.switchProb, 0.5);
+});
+
+test("switch windows cover N days either side of each change", () => {
+  const data = turbulentSeries();
+  const t = computeTransitions(data.returns, { window: 4 });
+  assert.equal(t.switches.count, 2);
+  assert.equal(t.switches.profile.length, 8);
+  assert.deepEqual(t.switches.profile.map(p => p.offset), [-4, -3, -2, -1, 0, 1, 2, 3]);
+  t.switches.profile.forEach(p => assert.equal(p.n, 2));
+  assert.equal(t.switches.before.days, 8);
+  assert.equal(t.switches.after.days, 8);
+  assert.equal(t.switches.away.days, 300 - 16);
+  assert.equal(t.switches.entering.Volatile.days, 4);
+});
+
+test("the prompt and report carry the episode table", () => {
+  const data = analyzeSeries(generateMarketData("NVDA", "2024-01-01", "2024-12-31"), { transitionSettings: { window: 3 } });
+  assert.equal(data.transitions.settings.window, 3);
+  const prompt = buildAnalysisPrompt(data);
+  assert.ok(prompt.includes("Regime Episodes"));
+  data.transitions.episodes.slice(-40).forEach(e => assert.ok(prompt.includes(`${e.regime} ${e.start}→${e.end}`), e.start));
+  assert.ok(prompt.includes("3 days either side of each switch"));
+  const episodes = reportTables(data).find(t => t.title === "Regime episodes");
+  assert.equal(episodes.rows.length, data.transitions.episodes.length);
+});